@@ -1,8 +1,8 @@
-// data.js — IndexedDB, stores, migration, CRUD, import/export, backup/restore, guards
-// LeVe Coach v3.0.0 — Schema version 3
+// data.js — Storage adapters (IndexedDB / memory / JSON file), stores, migration, CRUD, import/export, backup/restore, guards
+// LeVe Coach v3.0.0 — Schema version 8
 
 const APP_VERSION = "3.2.0";
-const SCHEMA_VERSION = 3;
+const SCHEMA_VERSION = 8;
 const DB_NAME = "LeVeCoachDB";
 const TIMEZONE = "Europe/Helsinki";
 
@@ -20,8 +20,18 @@ const STORES = {
   recommendations: "recommendations",
   decisionTraces: "decisionTraces",
   movementProgress: "movementProgress",
+  workoutDrafts: "workoutDrafts",
+  adaptations: "adaptations",
+  adaptationProposals: "adaptationProposals",
+  backups: "backups",
+  templates: "templates",
+  competitions: "competitions",
 };
 
+// Storet jotka kuuluvat backupiin ja migraatioihin. Palautuspisteet (backups)
+// eivät — muuten jokainen snapshot sisältäisi kaikki edelliset.
+const BACKUP_STORES = Object.values(STORES).filter(s => s !== STORES.backups);
+
 // ── Movement categories ──
 const CATEGORIES = [
   "vertikaaliveto",
@@ -42,74 +52,75 @@ const PULL_VOLUME_CATEGORIES = new Set([
 ]);
 
 // ── Preset movements (40+ across all categories) ──
+// equipment: barbell | dumbbell | cable | machine, null = kehonpaino / leuanvetotanko
 const PRESET_MOVEMENTS = [
   // ─── Primary ───
-  { name: "Lisäpainoleuanveto", category: "vertikaaliveto", isPrimary: true, isPreset: true },
+  { name: "Lisäpainoleuanveto", category: "vertikaaliveto", isPrimary: true, isPreset: true, equipment: null },
   // ─── Vertical pull ───
-  { name: "Ylätalja", category: "vertikaaliveto", isPrimary: false, isPreset: true },
-  { name: "Lat pulldown", category: "vertikaaliveto", isPrimary: false, isPreset: true },
-  { name: "Pullover kone", category: "vertikaaliveto", isPrimary: false, isPreset: true },
-  { name: "Leuanveto (kehonpaino)", category: "vertikaaliveto", isPrimary: false, isPreset: true },
-  { name: "Ylätalja neutraaliote", category: "vertikaaliveto", isPrimary: false, isPreset: true },
-  { name: "Single-arm lat pulldown", category: "vertikaaliveto", isPrimary: false, isPreset: true },
+  { name: "Ylätalja", category: "vertikaaliveto", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "Lat pulldown", category: "vertikaaliveto", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "Pullover kone", category: "vertikaaliveto", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Leuanveto (kehonpaino)", category: "vertikaaliveto", isPrimary: false, isPreset: true, equipment: null },
+  { name: "Ylätalja neutraaliote", category: "vertikaaliveto", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "Single-arm lat pulldown", category: "vertikaaliveto", isPrimary: false, isPreset: true, equipment: "cable" },
   // ─── Horizontal pull ───
-  { name: "Penkkiveto", category: "horisontaaliveto", isPrimary: false, isPreset: true },
-  { name: "Alatalja", category: "horisontaaliveto", isPrimary: false, isPreset: true },
-  { name: "Seated row", category: "horisontaaliveto", isPrimary: false, isPreset: true },
-  { name: "Cable row", category: "horisontaaliveto", isPrimary: false, isPreset: true },
-  { name: "T-bar row", category: "horisontaaliveto", isPrimary: false, isPreset: true },
-  { name: "Chest-supported row", category: "horisontaaliveto", isPrimary: false, isPreset: true },
-  { name: "Kulmasoutu käsipainot", category: "horisontaaliveto", isPrimary: false, isPreset: true },
-  { name: "Seal row", category: "horisontaaliveto", isPrimary: false, isPreset: true },
-  { name: "Face pull", category: "horisontaaliveto", isPrimary: false, isPreset: true },
+  { name: "Penkkiveto", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Alatalja", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "Seated row", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Cable row", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "T-bar row", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Chest-supported row", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Kulmasoutu käsipainot", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "dumbbell" },
+  { name: "Seal row", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Face pull", category: "horisontaaliveto", isPrimary: false, isPreset: true, equipment: "cable" },
   // ─── Bicep flexion ───
-  { name: "Hauiskääntö tanko", category: "hauisfleksio", isPrimary: false, isPreset: true },
-  { name: "Hauiskääntö käsipainot", category: "hauisfleksio", isPrimary: false, isPreset: true },
-  { name: "Hammer curl", category: "hauisfleksio", isPrimary: false, isPreset: true },
-  { name: "Preacher curl", category: "hauisfleksio", isPrimary: false, isPreset: true },
-  { name: "Incline curl", category: "hauisfleksio", isPrimary: false, isPreset: true },
-  { name: "Spider curl", category: "hauisfleksio", isPrimary: false, isPreset: true },
-  { name: "Cable curl", category: "hauisfleksio", isPrimary: false, isPreset: true },
-  { name: "Bayesian curl", category: "hauisfleksio", isPrimary: false, isPreset: true },
+  { name: "Hauiskääntö tanko", category: "hauisfleksio", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Hauiskääntö käsipainot", category: "hauisfleksio", isPrimary: false, isPreset: true, equipment: "dumbbell" },
+  { name: "Hammer curl", category: "hauisfleksio", isPrimary: false, isPreset: true, equipment: "dumbbell" },
+  { name: "Preacher curl", category: "hauisfleksio", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Incline curl", category: "hauisfleksio", isPrimary: false, isPreset: true, equipment: "dumbbell" },
+  { name: "Spider curl", category: "hauisfleksio", isPrimary: false, isPreset: true, equipment: "dumbbell" },
+  { name: "Cable curl", category: "hauisfleksio", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "Bayesian curl", category: "hauisfleksio", isPrimary: false, isPreset: true, equipment: "cable" },
   // ─── Vertical push ───
-  { name: "Pystypunnerrus", category: "vertikaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Shoulder press laite", category: "vertikaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Pystypunnerrus käsipainot", category: "vertikaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Sivunosto", category: "vertikaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Lateral raise kone", category: "vertikaalityöntö", isPrimary: false, isPreset: true },
+  { name: "Pystypunnerrus", category: "vertikaalityöntö", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Shoulder press laite", category: "vertikaalityöntö", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Pystypunnerrus käsipainot", category: "vertikaalityöntö", isPrimary: false, isPreset: true, equipment: "dumbbell" },
+  { name: "Sivunosto", category: "vertikaalityöntö", isPrimary: false, isPreset: true, equipment: "dumbbell" },
+  { name: "Lateral raise kone", category: "vertikaalityöntö", isPrimary: false, isPreset: true, equipment: "machine" },
   // ─── Horizontal push ───
-  { name: "Penkkipunnerrus", category: "horisontaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Chest press", category: "horisontaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Pec deck", category: "horisontaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Vinopenkkipunnerrus", category: "horisontaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Cable fly", category: "horisontaalityöntö", isPrimary: false, isPreset: true },
-  { name: "Dippi", category: "horisontaalityöntö", isPrimary: false, isPreset: true },
+  { name: "Penkkipunnerrus", category: "horisontaalityöntö", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Chest press", category: "horisontaalityöntö", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Pec deck", category: "horisontaalityöntö", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Vinopenkkipunnerrus", category: "horisontaalityöntö", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Cable fly", category: "horisontaalityöntö", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "Dippi", category: "horisontaalityöntö", isPrimary: false, isPreset: true, equipment: null },
   // ─── Tricep extension ───
-  { name: "Tricep pushdown", category: "ojentajaekstensio", isPrimary: false, isPreset: true },
-  { name: "French press", category: "ojentajaekstensio", isPrimary: false, isPreset: true },
-  { name: "Overhead tricep ext", category: "ojentajaekstensio", isPrimary: false, isPreset: true },
-  { name: "Skull crusher", category: "ojentajaekstensio", isPrimary: false, isPreset: true },
-  { name: "Kickback", category: "ojentajaekstensio", isPrimary: false, isPreset: true },
+  { name: "Tricep pushdown", category: "ojentajaekstensio", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "French press", category: "ojentajaekstensio", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Overhead tricep ext", category: "ojentajaekstensio", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "Skull crusher", category: "ojentajaekstensio", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Kickback", category: "ojentajaekstensio", isPrimary: false, isPreset: true, equipment: "dumbbell" },
   // ─── Core ───
-  { name: "Ab crunch", category: "core", isPrimary: false, isPreset: true },
-  { name: "Cable crunch", category: "core", isPrimary: false, isPreset: true },
-  { name: "Hanging leg raise", category: "core", isPrimary: false, isPreset: true },
-  { name: "Ab wheel rollout", category: "core", isPrimary: false, isPreset: true },
-  { name: "Pallof press", category: "core", isPrimary: false, isPreset: true },
+  { name: "Ab crunch", category: "core", isPrimary: false, isPreset: true, equipment: null },
+  { name: "Cable crunch", category: "core", isPrimary: false, isPreset: true, equipment: "cable" },
+  { name: "Hanging leg raise", category: "core", isPrimary: false, isPreset: true, equipment: null },
+  { name: "Ab wheel rollout", category: "core", isPrimary: false, isPreset: true, equipment: null },
+  { name: "Pallof press", category: "core", isPrimary: false, isPreset: true, equipment: "cable" },
   // ─── Lower body ───
-  { name: "Jalkaprässi", category: "alaraaja", isPrimary: false, isPreset: true },
-  { name: "Kyykky", category: "alaraaja", isPrimary: false, isPreset: true },
-  { name: "Maastaveto", category: "alaraaja", isPrimary: false, isPreset: true },
-  { name: "Leg curl", category: "alaraaja", isPrimary: false, isPreset: true },
-  { name: "Leg extension", category: "alaraaja", isPrimary: false, isPreset: true },
-  { name: "Bulgarian split squat", category: "alaraaja", isPrimary: false, isPreset: true },
-  { name: "Hip thrust", category: "alaraaja", isPrimary: false, isPreset: true },
-  { name: "Pohjenosto", category: "alaraaja", isPrimary: false, isPreset: true },
+  { name: "Jalkaprässi", category: "alaraaja", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Kyykky", category: "alaraaja", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Maastaveto", category: "alaraaja", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Leg curl", category: "alaraaja", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Leg extension", category: "alaraaja", isPrimary: false, isPreset: true, equipment: "machine" },
+  { name: "Bulgarian split squat", category: "alaraaja", isPrimary: false, isPreset: true, equipment: "dumbbell" },
+  { name: "Hip thrust", category: "alaraaja", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Pohjenosto", category: "alaraaja", isPrimary: false, isPreset: true, equipment: "machine" },
   // ─── Other / grip ───
-  { name: "Rannekoukistus", category: "muu", isPrimary: false, isPreset: true },
-  { name: "Wrist roller", category: "muu", isPrimary: false, isPreset: true },
-  { name: "Dead hang", category: "muu", isPrimary: false, isPreset: true },
-  { name: "Shrug", category: "muu", isPrimary: false, isPreset: true },
+  { name: "Rannekoukistus", category: "muu", isPrimary: false, isPreset: true, equipment: "barbell" },
+  { name: "Wrist roller", category: "muu", isPrimary: false, isPreset: true, equipment: null },
+  { name: "Dead hang", category: "muu", isPrimary: false, isPreset: true, equipment: null },
+  { name: "Shrug", category: "muu", isPrimary: false, isPreset: true, equipment: "dumbbell" },
 ];
 
 // ── Primary variants ──
@@ -148,9 +159,38 @@ function nowISO() {
 }
 
 function todayISO() {
-  return new Date()
-    .toLocaleDateString("sv-SE", { timeZone: TIMEZONE })
-    .slice(0, 10);
+  return localDateISO(new Date());
+}
+
+// ── Calendar dates (TIMEZONE) ──
+// Päivämäärät käsitellään kalenteripäivinä (YYYY-MM-DD). new Date("YYYY-MM-DD")
+// tulkitaan UTC:nä, joten viikonpäivä ja päivälaskenta tehdään UTC-keskiyöstä.
+
+/**
+ * Palauttaa kalenteripäivän TIMEZONE-aikavyöhykkeellä.
+ * @param {string|Date} value — YYYY-MM-DD, ISO-aikaleima tai Date
+ * @returns {string} YYYY-MM-DD
+ */
+function localDateISO(value = new Date()) {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  return new Date(value).toLocaleDateString("sv-SE", { timeZone: TIMEZONE }).slice(0, 10);
+}
+
+function addDaysISO(dateISO, days) {
+  const d = new Date(`${localDateISO(dateISO)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetweenISO(fromISO, toISO) {
+  const from = Date.parse(`${localDateISO(fromISO)}T00:00:00Z`);
+  const to = Date.parse(`${localDateISO(toISO)}T00:00:00Z`);
+  return Math.round((to - from) / 86400000);
+}
+
+/** Viikonpäivä 1=Ma … 7=Su */
+function isoWeekday(dateISO) {
+  return new Date(`${localDateISO(dateISO)}T00:00:00Z`).getUTCDay() || 7;
 }
 
 function parseNumericInput(v) {
@@ -218,12 +258,48 @@ function isVelocityTypo(value, baselineMedian, threshold = 0.4) {
   return deviation > threshold;
 }
 
-// ── IndexedDB ──
+// ── Store schema: avainkenttä + indeksit (indeksin nimi = kenttä) ──
+const STORE_SCHEMA = {
+  appMeta: { keyPath: "key", indexes: [] },
+  movements: { keyPath: "movementId", indexes: ["category", "isPrimary"] },
+  variants: { keyPath: "variantId", indexes: ["movementId"] },
+  sessions: { keyPath: "sessionId", indexes: ["dateISO", "mesocycleId"] },
+  sets: { keyPath: "setId", indexes: ["sessionId", "movementId"] },
+  measurements: { keyPath: "measurementId", indexes: ["dateISO", "type"] },
+  protocols: { keyPath: "protocolId", indexes: [] },
+  baselines: { keyPath: "baselineId", indexes: ["protocolId"] },
+  mesocycles: { keyPath: "mesocycleId", indexes: [] },
+  recommendations: { keyPath: "recId", indexes: ["sessionId"] },
+  decisionTraces: { keyPath: "traceId", indexes: ["recId"] },
+  movementProgress: { keyPath: "movementId", indexes: [] },
+  // v4: in-progress workout checkpoints
+  workoutDrafts: { keyPath: "sessionId", indexes: [] },
+  // v5: persisted session adaptations + reviewable program-change proposals
+  adaptations: { keyPath: "adaptationId", indexes: ["sessionId", "mesocycleId"] },
+  adaptationProposals: { keyPath: "proposalId", indexes: ["mesocycleId"] },
+  // v6: restore points (pre-restore snapshots)
+  backups: { keyPath: "backupId", indexes: ["kind"] },
+  // v7: user-defined mesocycle templates
+  templates: { keyPath: "templateId", indexes: [] },
+  // v8: competition / meet history
+  competitions: { keyPath: "competitionId", indexes: ["dateISO"] },
+};
+
+// ── Storage adapters ──
+// Kaikki CRUD kulkee aktiivisen adapterin kautta. Adapterin rajapinta (kaikki async):
+//   get(store, key) → tietue|null        getAll(store) → []        getByIndex(store, index, value) → []
+//   put(store, obj) → bool               putBulk(store, items) → bool
+//   delete(store, key) → bool            clear(store) → bool
+//   writeDataset(data, mode, storeNames) — yksi atominen kirjoitus, hylkää virheellä
+// sekä kind ("indexeddb" | "memory" | "file") ja persistent (säilyykö data uudelleenkäynnistyksen yli).
 let _db = null;
+let _adapter = null;
+let _storageFallbackReason = null; // miksi IndexedDB:n sijaan käytetään muistia
+let _upgradedFromVersion = null; // oldVersion of the last onupgradeneeded (0 = fresh DB)
 
 function openDB() {
-  return new Promise((resolve, reject) => {
-    if (!("indexedDB" in self)) {
+  return new Promise((resolve) => {
+    if (!("indexedDB" in globalThis)) {
       console.warn("IndexedDB not available");
       resolve(null);
       return;
@@ -232,56 +308,14 @@ function openDB() {
 
     req.onupgradeneeded = (event) => {
       const db = event.target.result;
-      const oldVersion = event.oldVersion;
+      // Record transforms run after open (runPendingMigrations); here only stores/indexes
+      _upgradedFromVersion = event.oldVersion;
 
       // Create all stores if they don't exist
-      if (!db.objectStoreNames.contains(STORES.appMeta)) {
-        db.createObjectStore(STORES.appMeta, { keyPath: "key" });
-      }
-      if (!db.objectStoreNames.contains(STORES.movements)) {
-        const store = db.createObjectStore(STORES.movements, { keyPath: "movementId" });
-        store.createIndex("category", "category", { unique: false });
-        store.createIndex("isPrimary", "isPrimary", { unique: false });
-      }
-      if (!db.objectStoreNames.contains(STORES.variants)) {
-        const store = db.createObjectStore(STORES.variants, { keyPath: "variantId" });
-        store.createIndex("movementId", "movementId", { unique: false });
-      }
-      if (!db.objectStoreNames.contains(STORES.sessions)) {
-        const store = db.createObjectStore(STORES.sessions, { keyPath: "sessionId" });
-        store.createIndex("dateISO", "dateISO", { unique: false });
-        store.createIndex("mesocycleId", "mesocycleId", { unique: false });
-      }
-      if (!db.objectStoreNames.contains(STORES.sets)) {
-        const store = db.createObjectStore(STORES.sets, { keyPath: "setId" });
-        store.createIndex("sessionId", "sessionId", { unique: false });
-        store.createIndex("movementId", "movementId", { unique: false });
-      }
-      if (!db.objectStoreNames.contains(STORES.measurements)) {
-        const store = db.createObjectStore(STORES.measurements, { keyPath: "measurementId" });
-        store.createIndex("dateISO", "dateISO", { unique: false });
-        store.createIndex("type", "type", { unique: false });
-      }
-      if (!db.objectStoreNames.contains(STORES.protocols)) {
-        db.createObjectStore(STORES.protocols, { keyPath: "protocolId" });
-      }
-      if (!db.objectStoreNames.contains(STORES.baselines)) {
-        const store = db.createObjectStore(STORES.baselines, { keyPath: "baselineId" });
-        store.createIndex("protocolId", "protocolId", { unique: false });
-      }
-      if (!db.objectStoreNames.contains(STORES.mesocycles)) {
-        db.createObjectStore(STORES.mesocycles, { keyPath: "mesocycleId" });
-      }
-      if (!db.objectStoreNames.contains(STORES.recommendations)) {
-        const store = db.createObjectStore(STORES.recommendations, { keyPath: "recId" });
-        store.createIndex("sessionId", "sessionId", { unique: false });
-      }
-      if (!db.objectStoreNames.contains(STORES.decisionTraces)) {
-        const store = db.createObjectStore(STORES.decisionTraces, { keyPath: "traceId" });
-        store.createIndex("recId", "recId", { unique: false });
-      }
-      if (!db.objectStoreNames.contains(STORES.movementProgress)) {
-        db.createObjectStore(STORES.movementProgress, { keyPath: "movementId" });
+      for (const [storeName, spec] of Object.entries(STORE_SCHEMA)) {
+        if (db.objectStoreNames.contains(storeName)) continue;
+        const store = db.createObjectStore(storeName, { keyPath: spec.keyPath });
+        for (const field of spec.indexes) store.createIndex(field, field, { unique: false });
       }
     };
 
@@ -300,110 +334,334 @@ function getDB() {
   return _db;
 }
 
-// ── Generic CRUD ──
-function dbPut(storeName, obj) {
-  return new Promise((resolve) => {
-    if (!_db) { resolve(false); return; }
-    try {
-      const tx = _db.transaction(storeName, "readwrite");
-      tx.objectStore(storeName).put(obj);
-      tx.oncomplete = () => resolve(true);
-      tx.onerror = () => { console.error("dbPut error:", tx.error); resolve(false); };
-    } catch (e) {
-      console.error("dbPut exception:", e);
-      resolve(false);
+function getStorageAdapter() {
+  return _adapter;
+}
+
+/**
+ * Tallennuksen tila käyttöliittymälle (banneri kun data ei säily).
+ * @returns {{ kind: string|null, persistent: boolean, fallbackReason: string|null }}
+ */
+function getStorageInfo() {
+  return {
+    kind: _adapter?.kind ?? null,
+    persistent: !!_adapter?.persistent,
+    fallbackReason: _storageFallbackReason,
+  };
+}
+
+// ── IndexedDB adapter ──
+function createIndexedDBAdapter(db) {
+  return {
+    kind: "indexeddb",
+    persistent: true,
+
+    put(storeName, obj) {
+      return new Promise((resolve) => {
+        try {
+          const tx = db.transaction(storeName, "readwrite");
+          tx.objectStore(storeName).put(obj);
+          tx.oncomplete = () => resolve(true);
+          tx.onerror = () => { console.error("dbPut error:", tx.error); resolve(false); };
+        } catch (e) {
+          console.error("dbPut exception:", e);
+          resolve(false);
+        }
+      });
+    },
+
+    get(storeName, key) {
+      return new Promise((resolve) => {
+        try {
+          const tx = db.transaction(storeName, "readonly");
+          const req = tx.objectStore(storeName).get(key);
+          req.onsuccess = () => resolve(req.result || null);
+          req.onerror = () => resolve(null);
+        } catch (e) {
+          resolve(null);
+        }
+      });
+    },
+
+    getAll(storeName) {
+      return new Promise((resolve) => {
+        try {
+          const tx = db.transaction(storeName, "readonly");
+          const req = tx.objectStore(storeName).getAll();
+          req.onsuccess = () => resolve(req.result || []);
+          req.onerror = () => resolve([]);
+        } catch (e) {
+          resolve([]);
+        }
+      });
+    },
+
+    getByIndex(storeName, indexName, value) {
+      return new Promise((resolve) => {
+        try {
+          const tx = db.transaction(storeName, "readonly");
+          const idx = tx.objectStore(storeName).index(indexName);
+          const req = idx.getAll(value);
+          req.onsuccess = () => resolve(req.result || []);
+          req.onerror = () => resolve([]);
+        } catch (e) {
+          resolve([]);
+        }
+      });
+    },
+
+    delete(storeName, key) {
+      return new Promise((resolve) => {
+        try {
+          const tx = db.transaction(storeName, "readwrite");
+          tx.objectStore(storeName).delete(key);
+          tx.oncomplete = () => resolve(true);
+          tx.onerror = () => resolve(false);
+        } catch (e) {
+          resolve(false);
+        }
+      });
+    },
+
+    clear(storeName) {
+      return new Promise((resolve) => {
+        try {
+          const tx = db.transaction(storeName, "readwrite");
+          tx.objectStore(storeName).clear();
+          tx.oncomplete = () => resolve(true);
+          tx.onerror = () => resolve(false);
+        } catch (e) {
+          resolve(false);
+        }
+      });
+    },
+
+    // Bulk put (transactional)
+    putBulk(storeName, items) {
+      return new Promise((resolve) => {
+        if (!items.length) { resolve(true); return; }
+        try {
+          const tx = db.transaction(storeName, "readwrite");
+          const store = tx.objectStore(storeName);
+          for (const item of items) {
+            store.put(item);
+          }
+          tx.oncomplete = () => resolve(true);
+          tx.onerror = () => { console.error("dbPutBulk error:", tx.error); resolve(false); };
+        } catch (e) {
+          console.error("dbPutBulk exception:", e);
+          resolve(false);
+        }
+      });
+    },
+
+    // Koko datasetti yhdessä transaktiossa kaikkiin storeihin.
+    // Virhe missä tahansa kohdassa keskeyttää transaktion → tietokanta ennallaan.
+    writeDataset(data, mode, storeNames) {
+      return new Promise((resolve, reject) => {
+        let tx;
+        try {
+          tx = db.transaction(storeNames, "readwrite");
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        tx.oncomplete = () => resolve(true);
+        tx.onabort = () => reject(tx.error || new Error("Palautus keskeytyi — tietokanta ennallaan"));
+        try {
+          for (const storeName of storeNames) {
+            const store = tx.objectStore(storeName);
+            if (mode === "replace") store.clear();
+            for (const rec of data[storeName] || []) store.put(rec);
+          }
+        } catch (e) {
+          console.error("dbWriteDataset exception:", e);
+          tx.abort();
+        }
+      });
+    },
+  };
+}
+
+// ── In-memory adapter ──
+// Sama semantiikka kuin IndexedDB:ssä: tietueet kopioidaan sisään ja ulos,
+// getAll palauttaa avainjärjestyksessä, virheellinen avain = epäonnistunut kirjoitus.
+function isValidStoreKey(key) {
+  return typeof key === "string" || (typeof key === "number" && !Number.isNaN(key));
+}
+
+function compareStoreKeys(a, b) {
+  if (typeof a !== typeof b) return typeof a === "number" ? -1 : 1; // numbers before strings
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function cloneRecord(obj) {
+  return typeof structuredClone === "function" ? structuredClone(obj) : JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * @param {object} initialData — { storeName: [records] } (esim. createFileAdapterin lukema tiedosto)
+ */
+function createMemoryAdapter(initialData = {}) {
+  const stores = {};
+  for (const storeName of Object.keys(STORE_SCHEMA)) stores[storeName] = new Map();
+  const keyOf = (storeName, obj) => obj?.[STORE_SCHEMA[storeName].keyPath];
+  const sorted = (records) => records.sort((a, b) => compareStoreKeys(a.key, b.key)).map((r) => cloneRecord(r.value));
+
+  for (const [storeName, records] of Object.entries(initialData)) {
+    if (!stores[storeName] || !Array.isArray(records)) continue;
+    for (const rec of records) {
+      const key = keyOf(storeName, rec);
+      if (isValidStoreKey(key)) stores[storeName].set(key, cloneRecord(rec));
     }
-  });
+  }
+
+  return {
+    kind: "memory",
+    persistent: false,
+
+    async put(storeName, obj) {
+      const key = keyOf(storeName, obj);
+      if (!stores[storeName] || !isValidStoreKey(key)) {
+        console.error("dbPut error: invalid key", storeName, key);
+        return false;
+      }
+      stores[storeName].set(key, cloneRecord(obj));
+      return true;
+    },
+
+    async get(storeName, key) {
+      const rec = stores[storeName]?.get(key);
+      return rec ? cloneRecord(rec) : null;
+    },
+
+    async getAll(storeName) {
+      return sorted([...(stores[storeName] || new Map())].map(([key, value]) => ({ key, value })));
+    },
+
+    async getByIndex(storeName, indexName, value) {
+      return sorted([...(stores[storeName] || new Map())]
+        .filter(([, rec]) => rec[indexName] === value)
+        .map(([key, rec]) => ({ key, value: rec })));
+    },
+
+    async delete(storeName, key) {
+      if (!stores[storeName]) return false;
+      stores[storeName].delete(key);
+      return true;
+    },
+
+    async clear(storeName) {
+      if (!stores[storeName]) return false;
+      stores[storeName].clear();
+      return true;
+    },
+
+    async putBulk(storeName, items) {
+      if (!stores[storeName] || items.some((item) => !isValidStoreKey(keyOf(storeName, item)))) {
+        console.error("dbPutBulk error: invalid key in", storeName);
+        return false;
+      }
+      for (const item of items) stores[storeName].set(keyOf(storeName, item), cloneRecord(item));
+      return true;
+    },
+
+    // Tarkistetaan kaikki avaimet ennen yhtäkään kirjoitusta → atominen kuten IDB-transaktio
+    async writeDataset(data, mode, storeNames) {
+      for (const storeName of storeNames) {
+        if (!stores[storeName]) throw new Error(`Tuntematon store "${storeName}"`);
+        const bad = (data[storeName] || []).find((rec) => !isValidStoreKey(keyOf(storeName, rec)));
+        if (bad) throw new Error(`${storeName}: virheellinen avain — tietokanta ennallaan`);
+      }
+      for (const storeName of storeNames) {
+        if (mode === "replace") stores[storeName].clear();
+        for (const rec of data[storeName] || []) stores[storeName].set(keyOf(storeName, rec), cloneRecord(rec));
+      }
+      return true;
+    },
+
+    /** Koko sisältö muodossa { storeName: [records] } (tiedostoadapteri tallentaa tämän). */
+    dump() {
+      const out = {};
+      for (const [storeName, map] of Object.entries(stores)) out[storeName] = [...map.values()];
+      return out;
+    },
+  };
+}
+
+// ── JSON file adapter (Node) ──
+// Muistiadapteri, joka kirjoittaa koko sisällön tiedostoon jokaisen onnistuneen
+// kirjoituksen jälkeen (tmp + rename, jotta keskeytynyt kirjoitus ei riko tiedostoa).
+async function createFileAdapter(filePath) {
+  const fs = await import("node:fs/promises");
+  let initial = {};
+  try {
+    initial = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  const mem = createMemoryAdapter(initial);
+
+  // Kirjoitukset jonossa; epäonnistunut kirjoitus hylkää vain oman kutsunsa,
+  // ei jonon seuraavia
+  let pending = Promise.resolve();
+  const flush = () => {
+    const write = pending.catch(() => {}).then(async () => {
+      const tmp = `${filePath}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(mem.dump()));
+      await fs.rename(tmp, filePath);
+    });
+    pending = write;
+    return write;
+  };
+  const persisting = (method) => async (...args) => {
+    const ok = await mem[method](...args);
+    if (ok) await flush();
+    return ok;
+  };
+
+  return {
+    ...mem,
+    kind: "file",
+    persistent: true,
+    filePath,
+    put: persisting("put"),
+    putBulk: persisting("putBulk"),
+    delete: persisting("delete"),
+    clear: persisting("clear"),
+    writeDataset: persisting("writeDataset"),
+  };
+}
+
+// ── Generic CRUD (aktiivinen adapteri) ──
+function dbPut(storeName, obj) {
+  return _adapter ? _adapter.put(storeName, obj) : Promise.resolve(false);
 }
 
 function dbGet(storeName, key) {
-  return new Promise((resolve) => {
-    if (!_db) { resolve(null); return; }
-    try {
-      const tx = _db.transaction(storeName, "readonly");
-      const req = tx.objectStore(storeName).get(key);
-      req.onsuccess = () => resolve(req.result || null);
-      req.onerror = () => resolve(null);
-    } catch (e) {
-      resolve(null);
-    }
-  });
+  return _adapter ? _adapter.get(storeName, key) : Promise.resolve(null);
 }
 
 function dbGetAll(storeName) {
-  return new Promise((resolve) => {
-    if (!_db) { resolve([]); return; }
-    try {
-      const tx = _db.transaction(storeName, "readonly");
-      const req = tx.objectStore(storeName).getAll();
-      req.onsuccess = () => resolve(req.result || []);
-      req.onerror = () => resolve([]);
-    } catch (e) {
-      resolve([]);
-    }
-  });
+  return _adapter ? _adapter.getAll(storeName) : Promise.resolve([]);
 }
 
 function dbGetByIndex(storeName, indexName, value) {
-  return new Promise((resolve) => {
-    if (!_db) { resolve([]); return; }
-    try {
-      const tx = _db.transaction(storeName, "readonly");
-      const idx = tx.objectStore(storeName).index(indexName);
-      const req = idx.getAll(value);
-      req.onsuccess = () => resolve(req.result || []);
-      req.onerror = () => resolve([]);
-    } catch (e) {
-      resolve([]);
-    }
-  });
+  return _adapter ? _adapter.getByIndex(storeName, indexName, value) : Promise.resolve([]);
 }
 
 function dbDelete(storeName, key) {
-  return new Promise((resolve) => {
-    if (!_db) { resolve(false); return; }
-    try {
-      const tx = _db.transaction(storeName, "readwrite");
-      tx.objectStore(storeName).delete(key);
-      tx.oncomplete = () => resolve(true);
-      tx.onerror = () => resolve(false);
-    } catch (e) {
-      resolve(false);
-    }
-  });
+  return _adapter ? _adapter.delete(storeName, key) : Promise.resolve(false);
 }
 
 function dbClear(storeName) {
-  return new Promise((resolve) => {
-    if (!_db) { resolve(false); return; }
-    try {
-      const tx = _db.transaction(storeName, "readwrite");
-      tx.objectStore(storeName).clear();
-      tx.oncomplete = () => resolve(true);
-      tx.onerror = () => resolve(false);
-    } catch (e) {
-      resolve(false);
-    }
-  });
+  return _adapter ? _adapter.clear(storeName) : Promise.resolve(false);
 }
 
 // ── Bulk put (transactional) ──
 function dbPutBulk(storeName, items) {
-  return new Promise((resolve) => {
-    if (!_db || !items.length) { resolve(true); return; }
-    try {
-      const tx = _db.transaction(storeName, "readwrite");
-      const store = tx.objectStore(storeName);
-      for (const item of items) {
-        store.put(item);
-      }
-      tx.oncomplete = () => resolve(true);
-      tx.onerror = () => { console.error("dbPutBulk error:", tx.error); resolve(false); };
-    } catch (e) {
-      console.error("dbPutBulk exception:", e);
-      resolve(false);
-    }
-  });
+  if (!_adapter || !items.length) return Promise.resolve(true);
+  return _adapter.putBulk(storeName, items);
 }
 
 // ── Initialization: seed preset movements + variants ──
@@ -518,6 +776,48 @@ async function saveSession(session) {
   return dbPut(STORES.sessions, session);
 }
 
+/**
+ * Onko sessio treeni? Pelkän readiness-testin sessio (source "readiness_test")
+ * ei ole: se ei näy historiassa eikä lasketa toteutumaan. Treenin tallennus
+ * kirjoittaa saman session yli ilman sourcea.
+ */
+function isWorkoutSession(session) {
+  return !!session && session.source !== "readiness_test";
+}
+
+/**
+ * Palauttaa päivän session tai luo sille kevyen pohjan (esim. readiness-testiä varten).
+ * Jos sessionId annetaan (käynnissä oleva treeni), käytetään sitä.
+ * @param {string} dateISO — päivämäärä
+ * @param {string|null} sessionId — olemassa olevan/aktiivisen treenin ID
+ * @param {object} defaults — plannedDayType, mesocycleWeek, mesocycleId, bodyweightKg
+ * @returns {Promise<object>} session-tietue
+ */
+async function getOrCreateSessionForDate(dateISO, sessionId = null, defaults = {}) {
+  if (sessionId) {
+    const existing = await dbGet(STORES.sessions, sessionId);
+    if (existing) return existing;
+  } else {
+    const sameDay = await dbGetByIndex(STORES.sessions, "dateISO", dateISO);
+    if (sameDay.length > 0) return sameDay[sameDay.length - 1];
+  }
+  const session = {
+    sessionId: sessionId || uid(),
+    dateISO,
+    plannedDayType: defaults.plannedDayType ?? null,
+    mesocycleWeek: defaults.mesocycleWeek ?? null,
+    mesocycleId: defaults.mesocycleId ?? null,
+    bodyweightKg: defaults.bodyweightKg ?? null,
+    sessionNotes: "",
+    readinessCapLevel: null,
+    readinessDetails: null,
+    recId: null,
+    source: "readiness_test",
+  };
+  await dbPut(STORES.sessions, session);
+  return session;
+}
+
 async function deleteSession(sessionId) {
   // Delete associated sets
   const sets = await dbGetByIndex(STORES.sets, "sessionId", sessionId);
@@ -561,11 +861,90 @@ async function deleteSet(setId) {
   return dbDelete(STORES.sets, setId);
 }
 
+// Readiness tests (stored as sets with setRole "readiness_test")
+async function getReadinessTests() {
+  const all = await dbGetAll(STORES.sets);
+  return all
+    .filter((s) => s.setRole === "readiness_test")
+    .sort((a, b) =>
+      (a.dateISO || "").localeCompare(b.dateISO || "") ||
+      (a.timestamp || "").localeCompare(b.timestamp || "")
+    );
+}
+
+/**
+ * Tallentaa readiness-testin (kuorma, toistot, 1. repin velocity, kehonpaino, pvm)
+ * sets-storeen setRole "readiness_test" -tietueena. Olemassa oleva setId = muokkaus.
+ * @param {object} test — { setId?, sessionId, movementId, dateISO, externalLoadKg, reps, velocityRep1, bodyweightKg }
+ * @returns {Promise<object>} tallennettu set-tietue
+ */
+async function saveReadinessTest(test) {
+  const existing = test.setId ? await dbGet(STORES.sets, test.setId) : null;
+  const set = {
+    ...(existing || {}),
+    setId: test.setId || uid(),
+    sessionId: test.sessionId ?? existing?.sessionId ?? null,
+    movementId: test.movementId ?? existing?.movementId ?? null,
+    variantId: existing?.variantId ?? null,
+    setRole: "readiness_test",
+    dateISO: test.dateISO || existing?.dateISO || todayISO(),
+    externalLoadKg: test.externalLoadKg,
+    reps: test.reps,
+    targetReps: 2,
+    targetVx: null,
+    actualVx: null,
+    velocityMean: null,
+    velocityPeak: null,
+    velocityRep1: test.velocityRep1,
+    velocityLossPercent: null,
+    bodyweightKg: test.bodyweightKg ?? null,
+    tempo: null,
+    restSec: null,
+    deviceMeta: null,
+    manualOverride: null,
+    timestamp: existing?.timestamp || nowISO(),
+  };
+  await dbPut(STORES.sets, set);
+  return set;
+}
+
+async function deleteReadinessTest(setId) {
+  const existing = await dbGet(STORES.sets, setId);
+  if (!existing || existing.setRole !== "readiness_test") return false;
+  return dbDelete(STORES.sets, setId);
+}
+
+// Workout drafts (crash-safe checkpoint of the active workout)
+async function getWorkoutDraft() {
+  const all = await dbGetAll(STORES.workoutDrafts);
+  if (!all.length) return null;
+  all.sort((a, b) => (b.updatedAtISO || "").localeCompare(a.updatedAtISO || ""));
+  return all[0];
+}
+
+/**
+ * Tallentaa käynnissä olevan treenin luonnoksen (checkpoint).
+ * @param {object} draft — { sessionId, workout, recommendation, readiness, restTimer }
+ */
+async function saveWorkoutDraft(draft) {
+  draft.updatedAtISO = nowISO();
+  return dbPut(STORES.workoutDrafts, draft);
+}
+
+async function deleteWorkoutDraft(sessionId) {
+  return dbDelete(STORES.workoutDrafts, sessionId);
+}
+
 // Measurements
 async function getMeasurementsByType(type) {
   return dbGetByIndex(STORES.measurements, "type", type);
 }
 
+async function getAllMeasurements() {
+  const all = await dbGetAll(STORES.measurements);
+  return all.sort((a, b) => (a.dateISO || "").localeCompare(b.dateISO || ""));
+}
+
 async function getMeasurementsByDate(dateISO) {
   return dbGetByIndex(STORES.measurements, "dateISO", dateISO);
 }
@@ -625,6 +1004,43 @@ async function saveMesocycle(meso) {
   return dbPut(STORES.mesocycles, meso);
 }
 
+// Adaptations
+/**
+ * Palauttaa mesosyklin aikana tallennetut sessiokohtaiset adaptaatiot.
+ * @param {string} mesocycleId
+ * @returns {Promise<Array>} { adaptationId, sessionId, dateISO, mesocycleId, dayType, category, role, type, ... }
+ */
+async function getAdaptationsForMesocycle(mesocycleId) {
+  return dbGetByIndex(STORES.adaptations, "mesocycleId", mesocycleId);
+}
+
+/**
+ * Tallentaa yhden session adaptaatiot (lähdesessio, slotti ja syy).
+ * @param {Array} adaptations — analyzeSessionAdaptation()-tulokset täydennettynä sessiotiedoilla
+ */
+async function saveAdaptations(adaptations) {
+  const records = adaptations.map(a => ({
+    ...a,
+    adaptationId: a.adaptationId || uid(),
+    createdAtISO: a.createdAtISO || nowISO(),
+  }));
+  return dbPutBulk(STORES.adaptations, records);
+}
+
+/**
+ * Palauttaa mesosyklin ohjelmamuutosehdotukset kaikissa tiloissa
+ * (pending / snoozed / accepted / rejected / expired).
+ * @param {string} mesocycleId
+ */
+async function getAdaptationProposals(mesocycleId) {
+  return dbGetByIndex(STORES.adaptationProposals, "mesocycleId", mesocycleId);
+}
+
+async function saveAdaptationProposal(proposal) {
+  proposal.updatedAtISO = nowISO();
+  return dbPut(STORES.adaptationProposals, proposal);
+}
+
 // Baselines
 async function getBaseline(protocolId) {
   const all = await dbGetByIndex(STORES.baselines, "protocolId", protocolId);
@@ -642,6 +1058,15 @@ async function saveRecommendation(rec) {
   return dbPut(STORES.recommendations, rec);
 }
 
+/**
+ * Palauttaa tallennetut suositukset uusimmasta vanhimpaan.
+ * @returns {Promise<Array>}
+ */
+async function getAllRecommendations() {
+  const all = await dbGetAll(STORES.recommendations);
+  return all.sort((a, b) => (b.createdAtISO || "").localeCompare(a.createdAtISO || ""));
+}
+
 // Decision Traces
 async function saveDecisionTrace(trace) {
   if (!trace.traceId) trace.traceId = uid();
@@ -695,6 +1120,9 @@ async function updateLastOpened() {
 }
 
 // Settings (stored in appMeta store)
+// ACWR/strain-kevennysehdotuksen oletusrajat, asetus workloadDeload
+const WORKLOAD_DELOAD_DEFAULTS = { enabled: false, acwrMax: 1.5, strainMax: null };
+
 async function getSettings() {
   const s = await dbGet(STORES.appMeta, "settings");
   return s || {
@@ -709,6 +1137,10 @@ async function getSettings() {
     accessoryIncrementUpper: 2.5,
     accessoryIncrementLower: 5,
     stagnationThresholdWeeks: 3,
+    autoBackupGenerations: AUTO_BACKUP_GENERATIONS,
+    velocityE1RM: true,
+    workloadDeload: { ...WORKLOAD_DELOAD_DEFAULTS }, // ACWR/strain-kevennysehdotus
+    relativeScore: "system_per_bw", // kilpailutulosten suhteellinen pisteytys (RELATIVE_SCORE_FORMULAS)
   };
 }
 
@@ -717,10 +1149,253 @@ async function saveSettings(settings) {
   return dbPut(STORES.appMeta, settings);
 }
 
+// Training calendar (stored in appMeta store)
+/**
+ * Urheilijan harjoituskalenteri.
+ * trainingDays: viikonpäivät (1=Ma … 7=Su) joille pohjan treenipäivät sijoitetaan
+ * järjestyksessä, null = pohjan omat päivät.
+ * overrides: { [suunniteltu YYYY-MM-DD]: { action: "skip" } | { action: "move", toDateISO } },
+ * createdAtISO mukana, jotta backtest näkee muutokset vasta niiden tekopäivästä.
+ */
+async function getTrainingCalendar() {
+  const c = await dbGet(STORES.appMeta, "calendar");
+  return c || { key: "calendar", trainingDays: null, overrides: {} };
+}
+
+async function saveTrainingCalendar(calendar) {
+  calendar.key = "calendar";
+  return dbPut(STORES.appMeta, calendar);
+}
+
+// Macrocycle plan (stored in appMeta store)
+/**
+ * Kilpailuun tähtäävä makrosykli: mesosyklipohjien ketju, joka päättyy
+ * peakingiin. blocks: [{ templateId, startDateISO, endDateISO, weeks,
+ * status: "planned" | "active" | "done" | "skipped", mesocycleId }]
+ * @returns {Promise<object|null>} null jos suunnitelmaa ei ole
+ */
+async function getMacrocycle() {
+  return (await dbGet(STORES.appMeta, "macrocycle")) || null;
+}
+
+async function saveMacrocycle(macrocycle) {
+  macrocycle.key = "macrocycle";
+  return dbPut(STORES.appMeta, macrocycle);
+}
+
+async function clearMacrocycle() {
+  return dbDelete(STORES.appMeta, "macrocycle");
+}
+
+// ── Migrations ──
+// Järjestetty rekisteri tietuemuunnoksista. Askel `version` nostaa datan
+// versiosta version-1 versioon `version`. migrate(data) saa koko datasetin
+// muodossa { [storeName]: tietueet[] } ja muokkaa sitä paikallaan, joten sama
+// ketju ajetaan sekä tietokannan päivityksessä että backupin tuonnissa.
+// Uusi skeemaversio = uusi askel tänne + SCHEMA_VERSION-nosto.
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: "Liikkeiden metatiedot, pääliikkeen variaatiot ja niiden tagit",
+    migrate(data) {
+      for (const m of data.movements) {
+        m.countsAsPullVolume ??= PULL_VOLUME_CATEGORIES.has(m.category);
+        m.tags ??= [];
+        m.isPreset ??= PRESET_MOVEMENTS.some(p => p.name === m.name);
+      }
+      const primary = data.movements.find(m => m.isPrimary);
+      if (primary) {
+        const existing = new Set(data.variants.filter(v => v.movementId === primary.movementId).map(v => v.name));
+        for (const pv of PRIMARY_VARIANTS) {
+          if (existing.has(pv.name)) continue;
+          data.variants.push({ variantId: uid(), movementId: primary.movementId, name: pv.name, isDefault: pv.isDefault, tags: pv.tags || [], notes: "" });
+        }
+      }
+      for (const v of data.variants) {
+        const preset = PRIMARY_VARIANTS.find(pv => pv.name === v.name);
+        if (preset && (!v.tags || v.tags.length === 0)) v.tags = preset.tags || [];
+      }
+      const primaryIds = new Set(data.movements.filter(m => m.isPrimary).map(m => m.movementId));
+      for (const set of data.sets) {
+        set.setRole ??= primaryIds.has(set.movementId) ? "top" : "accessory";
+      }
+    },
+  },
+  {
+    version: 3,
+    description: "Mesosyklien tyyppi ja variaatiokierto",
+    migrate(data) {
+      for (const meso of data.mesocycles) {
+        meso.type ??= "default";
+        meso.postCycleAnalysis ??= null;
+        const hasVariants = meso.weekPlans?.some(wp => wp.days?.some(d => d.slots?.some(s => s.variantName)));
+        if (!hasVariants && meso.weekPlans && !["peaking", "eksentrinen", "siirtyma"].includes(meso.type)) {
+          assignVariantRotation(meso.weekPlans);
+        }
+      }
+      for (const session of data.sessions) {
+        session.mesocycleId ??= null;
+        session.readinessDetails ??= null;
+      }
+    },
+  },
+  {
+    version: 4,
+    description: "Readiness-testit päivämäärällä ja kehonpainolla (+ workoutDrafts-store)",
+    migrate(data) {
+      const sessionsById = new Map(data.sessions.map(s => [s.sessionId, s]));
+      for (const set of data.sets) {
+        if (set.setRole !== "readiness_test") continue;
+        const session = sessionsById.get(set.sessionId);
+        set.dateISO ??= session?.dateISO || (set.timestamp ? localDateISO(set.timestamp) : null);
+        set.bodyweightKg ??= session?.bodyweightKg ?? null;
+        set.targetReps ??= 2;
+      }
+    },
+  },
+  {
+    version: 5,
+    description: "Suositusten linkitys sessioihin, kalenteripäivät (+ adaptaatio-storet)",
+    migrate(data) {
+      for (const session of data.sessions) {
+        session.recId ??= null;
+        session.plannedDateISO ??= null;
+      }
+      for (const set of data.sets) {
+        set.slotIdx ??= null;
+        set.targetLoadKg ??= null;
+      }
+      for (const rec of data.recommendations) {
+        rec.sessionId ??= null;
+        rec.dateISO ??= rec.createdAtISO ? localDateISO(rec.createdAtISO) : null;
+      }
+    },
+  },
+  {
+    version: 6,
+    description: "Palautuspisteet ennen backupin palautusta (backups-store)",
+    migrate() {
+      // Store only — no record changes
+    },
+  },
+  {
+    version: 7,
+    description: "Omat mesosyklipohjat (templates-store)",
+    migrate() {
+      // Store only — no record changes
+    },
+  },
+  {
+    version: 8,
+    description: "Kilpailuhistoria (competitions-store) kilpailutilan tuloksista",
+    migrate(data) {
+      const linked = new Set(data.competitions.map(c => c.sessionId).filter(Boolean));
+      for (const session of data.sessions) {
+        if (!session.meetResult || linked.has(session.sessionId)) continue;
+        data.competitions.push(competitionFromMeetResult({ ...session.meetResult, sessionId: session.sessionId }));
+      }
+    },
+  },
+];
+
+/**
+ * Ajaa migraatiot datasetille versiosta fromVersion nykyiseen (SCHEMA_VERSION).
+ * Puuttuvat storet lisätään tyhjinä. Muokkaa dataa paikallaan.
+ * @param {object} data — { [storeName]: tietueet[] } (esim. backup-tiedosto)
+ * @param {number} fromVersion — datan skeemaversio
+ * @returns {{ data: object, applied: Array<{ version, description, changed }> }}
+ */
+function migrateDataset(data, fromVersion) {
+  for (const storeName of BACKUP_STORES) {
+    if (!Array.isArray(data[storeName])) data[storeName] = [];
+  }
+  const applied = [];
+  for (const step of MIGRATIONS) {
+    if (step.version <= fromVersion || step.version > SCHEMA_VERSION) continue;
+    const before = {};
+    for (const storeName of BACKUP_STORES) before[storeName] = JSON.stringify(data[storeName]);
+    step.migrate(data);
+    const changed = {};
+    for (const storeName of BACKUP_STORES) {
+      if (JSON.stringify(data[storeName]) !== before[storeName]) changed[storeName] = data[storeName].length;
+    }
+    applied.push({ version: step.version, description: step.description, changed });
+  }
+  if (data._meta) data._meta.schemaVersion = SCHEMA_VERSION;
+  return { data, applied };
+}
+
+/**
+ * Migraatioloki (appMeta "migrations"): dataVersion + ajetut askeleet.
+ * @returns {Promise<object>} { key, dataVersion, log: [{ version, description, source, fromVersion, changed, appliedAtISO }] }
+ */
+async function getMigrationLog() {
+  return (await dbGet(STORES.appMeta, "migrations")) || { key: "migrations", dataVersion: null, log: [] };
+}
+
+async function recordMigrations(applied, source, fromVersion) {
+  const record = await getMigrationLog();
+  const appliedAtISO = nowISO();
+  for (const a of applied) record.log.push({ ...a, source, fromVersion, appliedAtISO });
+  record.dataVersion = SCHEMA_VERSION;
+  await dbPut(STORES.appMeta, record);
+
+  const meta = await getAppMeta();
+  if (meta && meta.schemaVersion !== SCHEMA_VERSION) {
+    meta.schemaVersion = SCHEMA_VERSION;
+    await dbPut(STORES.appMeta, meta);
+  }
+}
+
+/**
+ * Ajaa tietuemigraatiot tietokannalle, jos data on vanhempaa kuin SCHEMA_VERSION.
+ * Datan versio: migraatiolokin dataVersion, muuten onupgradeneeded:n oldVersion
+ * (0 = uusi tietokanta, ei migroitavaa).
+ */
+async function runPendingMigrations() {
+  const record = await getMigrationLog();
+  let fromVersion = record.dataVersion;
+  if (fromVersion === null || fromVersion === undefined) {
+    fromVersion = _upgradedFromVersion > 0 ? _upgradedFromVersion : SCHEMA_VERSION;
+  }
+  if (fromVersion >= SCHEMA_VERSION) {
+    if (record.dataVersion !== SCHEMA_VERSION) await recordMigrations([], "upgrade", fromVersion);
+    return [];
+  }
+
+  const data = {};
+  for (const storeName of BACKUP_STORES) data[storeName] = await dbGetAll(storeName);
+  const { applied } = migrateDataset(data, fromVersion);
+  const changedStores = new Set(applied.flatMap(a => Object.keys(a.changed)));
+  for (const storeName of changedStores) {
+    await dbPutBulk(storeName, data[storeName]);
+  }
+  await recordMigrations(applied, "upgrade", fromVersion);
+  return applied;
+}
+
 // ── Backup / Restore ──
+// Backup-tiedoston skeema: pakolliset kentät per tietue; avainkenttä tulee STORE_SCHEMAsta.
+// Tarkistetaan ennen migraatiota, joten vain kentät jotka ovat olleet mukana v1:stä asti.
+const BACKUP_SCHEMA = {
+  movements: { required: ["name", "category"] },
+  variants: { required: ["movementId", "name"] },
+  sessions: { required: ["dateISO"] },
+  sets: { required: ["sessionId", "movementId"] },
+  measurements: { required: ["type"] },
+  mesocycles: { required: ["startDateISO"] },
+  decisionTraces: { required: ["recId"] },
+  templates: { required: ["label", "weekCount"] },
+  competitions: { required: ["dateISO"] },
+};
+
+const MAX_VALIDATION_ERRORS = 20;
+const AUTO_BACKUP_GENERATIONS = 7;  // oletus, asetus autoBackupGenerations
+const MAX_RESTORE_POINTS = 5;       // pre_restore + pre_rollback yhteensä
+
 async function exportFullBackup() {
   const data = {};
-  for (const storeName of Object.values(STORES)) {
+  for (const storeName of BACKUP_STORES) {
     data[storeName] = await dbGetAll(storeName);
   }
   data._meta = {
@@ -731,28 +1406,243 @@ async function exportFullBackup() {
   return data;
 }
 
-async function importFullBackup(data) {
-  if (!data || typeof data !== "object") {
-    throw new Error("Virheellinen backup-tiedosto");
+/**
+ * Tarkistaa backup-tiedoston rakenteen ennen kuin mitään kirjoitetaan:
+ * storet taulukoita, tietueet objekteja, avainkenttä ja pakolliset kentät
+ * olemassa, ei duplikaattiavaimia. Tuntemattomat avaimet ovat varoituksia.
+ * @param {any} data — JSON.parse:n tulos
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], counts: object, schemaVersion: number }}
+ */
+function validateBackup(data) {
+  const errors = [];
+  const warnings = [];
+  const counts = {};
+  const addError = (msg) => { if (errors.length < MAX_VALIDATION_ERRORS) errors.push(msg); };
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { valid: false, errors: ["Tiedosto ei ole backup-objekti"], warnings, counts, schemaVersion: null };
+  }
+
+  const schemaVersion = data._meta?.schemaVersion ?? 1;
+  if (!data._meta) warnings.push("_meta puuttuu — oletetaan schema 1");
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    addError(`Virheellinen schemaVersion: ${schemaVersion}`);
+  } else if (schemaVersion > SCHEMA_VERSION) {
+    addError(`Backup on uudemmasta versiosta (schema ${schemaVersion}) — päivitä sovellus`);
   }
 
-  // Clear all stores
-  for (const storeName of Object.values(STORES)) {
-    await dbClear(storeName);
+  for (const key of Object.keys(data)) {
+    if (key !== "_meta" && !BACKUP_STORES.includes(key)) warnings.push(`Tuntematon store "${key}" ohitetaan`);
   }
 
-  // Import each store
-  for (const storeName of Object.values(STORES)) {
-    if (Array.isArray(data[storeName]) && data[storeName].length > 0) {
-      await dbPutBulk(storeName, data[storeName]);
+  let knownStores = 0;
+  for (const storeName of BACKUP_STORES) {
+    const { keyPath } = STORE_SCHEMA[storeName];
+    const required = BACKUP_SCHEMA[storeName]?.required || [];
+    const records = data[storeName];
+    if (records === undefined) { counts[storeName] = 0; continue; }
+    if (!Array.isArray(records)) {
+      addError(`${storeName}: ei taulukko`);
+      continue;
     }
+    knownStores++;
+    counts[storeName] = records.length;
+    const seen = new Set();
+    records.forEach((rec, i) => {
+      if (!rec || typeof rec !== "object" || Array.isArray(rec)) {
+        addError(`${storeName}[${i}]: ei objekti`);
+        return;
+      }
+      const key = rec[keyPath];
+      if (key === undefined || key === null || key === "") {
+        addError(`${storeName}[${i}]: ${keyPath} puuttuu`);
+      } else if (seen.has(key)) {
+        addError(`${storeName}[${i}]: duplikaattiavain ${key}`);
+      } else {
+        seen.add(key);
+      }
+      for (const field of required) {
+        if (rec[field] === undefined || rec[field] === null) addError(`${storeName}[${i}]: ${field} puuttuu`);
+      }
+    });
+  }
+  if (knownStores === 0 && data._meta === undefined) addError("Tiedostossa ei ole tunnistettavaa dataa");
+
+  if (Array.isArray(data.sets) && Array.isArray(data.sessions)) {
+    const sessionIds = new Set(data.sessions.map(s => s?.sessionId));
+    const orphans = data.sets.filter(s => s && !sessionIds.has(s.sessionId)).length;
+    if (orphans > 0) warnings.push(`${orphans} sarjaa ilman sessiota`);
+  }
+
+  return { valid: errors.length === 0, errors, warnings, counts, schemaVersion };
+}
+
+/**
+ * Esikatselu palautuksesta: validointi + tietuemäärät per store nykyiseen
+ * verrattuna. Merge-tilassa samalla avaimella olevat tietueet päivittyvät,
+ * muut lisätään; replace-tilassa store korvataan kokonaan.
+ * @param {object} data — backup-tiedosto
+ * @returns {Promise<{ validation: object, stores: Array<{ storeName, current, incoming, added, updated }> }>}
+ */
+async function previewBackupRestore(data) {
+  const validation = validateBackup(data);
+  const stores = [];
+  if (!validation.valid) return { validation, stores };
+
+  const { data: migrated } = migrateDataset(structuredClone(data), validation.schemaVersion);
+  for (const storeName of BACKUP_STORES) {
+    const { keyPath } = STORE_SCHEMA[storeName];
+    const current = await dbGetAll(storeName);
+    const incoming = migrated[storeName];
+    if (current.length === 0 && incoming.length === 0) continue;
+    const currentKeys = new Set(current.map(r => r[keyPath]));
+    const updated = incoming.filter(r => currentKeys.has(r[keyPath])).length;
+    stores.push({ storeName, current: current.length, incoming: incoming.length, added: incoming.length - updated, updated });
+  }
+  return { validation, stores };
+}
+
+// Kirjoittaa koko datasetin yhdellä atomisella adapterikutsulla kaikkiin storeihin.
+// Virhe missä tahansa kohdassa → tietokanta ennallaan.
+function dbWriteDataset(data, mode, storeNames = BACKUP_STORES) {
+  if (!_adapter) return Promise.reject(new Error("Tietokanta ei käytettävissä"));
+  return _adapter.writeDataset(data, mode, storeNames);
+}
+
+/**
+ * Tallentaa nykyisen datan palautuspisteeksi backups-storeen.
+ * @param {string} kind — "pre_restore" | "pre_rollback"
+ * @returns {Promise<object>} { backupId, kind, createdAtISO, sizeBytes, counts, data }
+ */
+async function createSnapshot(kind, data = null) {
+  data ||= await exportFullBackup();
+  const counts = {};
+  for (const storeName of BACKUP_STORES) counts[storeName] = data[storeName].length;
+  const snapshot = {
+    backupId: uid(),
+    kind,
+    createdAtISO: data._meta.exportedAtISO,
+    sizeBytes: JSON.stringify(data).length,
+    counts,
+    fingerprint: datasetFingerprint(data),
+    data,
+  };
+  const ok = await dbPut(STORES.backups, snapshot);
+  if (!ok) throw new Error("Palautuspisteen tallennus epäonnistui");
+  if (kind !== "auto") await pruneSnapshots(b => b.kind !== "auto", MAX_RESTORE_POINTS);
+  return snapshot;
+}
+
+// Datan tiiviste (FNV-1a) muutosten tunnistukseen. _meta ja appMeta "meta"
+// (lastOpenedISO päivittyy joka avauksella) eivät ole käyttäjän dataa.
+function datasetFingerprint(data) {
+  const content = {};
+  for (const storeName of BACKUP_STORES) {
+    content[storeName] = storeName === STORES.appMeta
+      ? (data[storeName] || []).filter(r => r.key !== "meta")
+      : data[storeName] || [];
+  }
+  const json = JSON.stringify(content);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+// Poistaa ehdon täyttävistä pisteistä kaikki paitsi `keep` uusinta
+async function pruneSnapshots(predicate, keep) {
+  const matching = (await getBackupSnapshots()).filter(predicate);
+  for (const old of matching.slice(keep)) await dbDelete(STORES.backups, old.backupId);
+}
+
+/**
+ * Automaattinen varmuuskopio (kind "auto"), enintään yksi per päivä, ja vain
+ * jos data on muuttunut edellisestä automaattisesta varmuuskopiosta.
+ * Kierrätys: `generations` uusinta säilytetään, vanhimmat poistetaan.
+ * @param {number} [generations] — säilytettävät sukupolvet, 0 = pois päältä
+ * @returns {Promise<object|null>} uusi varmuuskopio ilman dataa, tai null jos ohitettiin
+ */
+async function runAutoBackup(generations = AUTO_BACKUP_GENERATIONS) {
+  if (!generations || generations < 1) return null;
+  const today = todayISO();
+  const autos = (await getBackupSnapshots()).filter(b => b.kind === "auto");
+  if (autos.some(b => localDateISO(b.createdAtISO) === today)) return null;
+  const current = await exportFullBackup();
+  if (autos[0]?.fingerprint && autos[0].fingerprint === datasetFingerprint(current)) return null;
+  const { data, ...snapshot } = await createSnapshot("auto", current);
+  await pruneSnapshots(b => b.kind === "auto", generations);
+  return snapshot;
+}
+
+/**
+ * Palautuspisteet uusimmasta vanhimpaan, ilman dataa (listausta varten).
+ * @returns {Promise<Array<{ backupId, kind, createdAtISO, sizeBytes, counts }>>}
+ */
+async function getBackupSnapshots() {
+  const all = await dbGetAll(STORES.backups);
+  return all
+    .map(({ data, ...rest }) => rest)
+    .sort((a, b) => (b.createdAtISO || "").localeCompare(a.createdAtISO || ""));
+}
+
+async function deleteBackupSnapshot(backupId) {
+  return dbDelete(STORES.backups, backupId);
+}
+
+/**
+ * Palauttaa backupin: validointi → migraatio → palautuspiste nykyisestä
+ * datasta → kaikki kirjoitukset yhdessä transaktiossa.
+ * @param {object} data — backup-tiedosto
+ * @param {object} [options]
+ * @param {"replace"|"merge"} [options.mode="replace"] — korvaa kaikki / yhdistä avaimen mukaan
+ * @param {boolean} [options.snapshot=true] — tallenna palautuspiste ennen kirjoitusta
+ * @returns {Promise<{ mode, snapshotId: string|null, applied: Array, counts: object }>}
+ */
+async function importFullBackup(data, { mode = "replace", snapshot = true } = {}) {
+  const validation = validateBackup(data);
+  if (!validation.valid) {
+    throw new Error(validation.errors[0] || "Virheellinen backup-tiedosto");
   }
+  const fromVersion = validation.schemaVersion;
+
+  // Bring the file up to the current schema before anything is written
+  const { data: migrated, applied } = migrateDataset(structuredClone(data), fromVersion);
+
+  const snap = snapshot ? await createSnapshot("pre_restore") : null;
+  await dbWriteDataset(migrated, mode);
 
   // Re-seed presets if movements were empty
   const movements = await dbGetAll(STORES.movements);
   if (movements.length === 0) {
     await seedPresets();
   }
+
+  await recordMigrations(applied, "import", fromVersion);
+  return { mode, snapshotId: snap?.backupId ?? null, applied, counts: validation.counts };
+}
+
+/**
+ * Palauttaa tietokannan palautuspisteeseen (korvaa kaikki). Nykyinen data
+ * tallennetaan ensin omaksi pisteekseen, joten peruutuksenkin voi perua.
+ * @param {string} backupId
+ */
+async function restoreSnapshot(backupId) {
+  const snap = await dbGet(STORES.backups, backupId);
+  if (!snap) throw new Error("Palautuspistettä ei löytynyt");
+  await createSnapshot("pre_rollback");
+  return importFullBackup(snap.data, { mode: "replace", snapshot: false });
+}
+
+/**
+ * Poistaa kaiken datan yhdessä transaktiossa — myös palautuspisteet.
+ * Esiasetetut liikkeet kylvetään uudelleen.
+ */
+async function wipeAllData() {
+  await dbWriteDataset({}, "replace", Object.values(STORES));
+  await seedPresets();
+  await recordMigrations([], "wipe", SCHEMA_VERSION);
 }
 
 // ── CSV Import (historical data) ──
@@ -762,7 +1652,11 @@ function parseCSVLine(line) {
   let inQuotes = false;
   for (let i = 0; i < line.length; i++) {
     const ch = line[i];
-    if (ch === '"') {
+    if (ch === '"' && inQuotes && line[i + 1] === '"') {
+      // Escaped quote inside a quoted field
+      current += '"';
+      i++;
+    } else if (ch === '"') {
       inQuotes = !inQuotes;
     } else if (ch === "," && !inQuotes) {
       result.push(current.trim());
@@ -780,7 +1674,7 @@ function parseCSVLine(line) {
 }
 
 function parseCSV(text) {
-  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim());
   if (lines.length < 2) return { headers: [], rows: [] };
   const headers = parseCSVLine(lines[0]);
   const rows = lines.slice(1).map((l) => parseCSVLine(l));
@@ -827,6 +1721,7 @@ async function importHistoricalCSV(text, columnMapping) {
         notes: "CSV import",
         readinessCapLevel: null,
         readinessDetails: null,
+        recId: null,
       };
       sessionsByDate.set(dateISO, session);
     }
@@ -865,6 +1760,78 @@ async function importHistoricalCSV(text, columnMapping) {
   return { sessionsImported: sessions.length, setsImported: newSets.length };
 }
 
+// ── CSV Export ──
+// Sarakkeet: key = rivin kenttä (buildSetExportRows / mittaustietue), label = otsikkorivi.
+const CSV_SET_COLUMNS = [
+  { key: "dateISO", label: "pvm" },
+  { key: "movement", label: "liike" },
+  { key: "category", label: "kategoria" },
+  { key: "variant", label: "variaatio" },
+  { key: "setRole", label: "rooli" },
+  { key: "externalLoadKg", label: "lisäpaino_kg" },
+  { key: "bodyweightKg", label: "kehonpaino_kg" },
+  { key: "systemLoadKg", label: "systeemikuorma_kg" },
+  { key: "reps", label: "toistot" },
+  { key: "targetReps", label: "tavoitetoistot" },
+  { key: "targetVx", label: "tavoite_vara" },
+  { key: "actualVx", label: "vara" },
+  { key: "velocityMean", label: "nopeus_ka" },
+  { key: "velocityPeak", label: "nopeus_huippu" },
+  { key: "velocityRep1", label: "nopeus_t1" },
+  { key: "velocityLossPercent", label: "nopeushavio_pct" },
+  { key: "e1rm", label: "e1rm_kg" },
+  { key: "sessionId", label: "sessio_id" },
+  { key: "setId", label: "sarja_id" },
+];
+
+const CSV_MEASUREMENT_COLUMNS = [
+  { key: "dateISO", label: "pvm" },
+  { key: "type", label: "tyyppi" },
+  { key: "value", label: "arvo" },
+  { key: "valueTransformed", label: "arvo_muunnettu" },
+  { key: "unit", label: "yksikkö" },
+  { key: "device", label: "laite" },
+  { key: "source", label: "lähde" },
+];
+
+function formatCSVValue(value, decimalComma) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "number"
+    ? (decimalComma ? String(value).replace(".", ",") : String(value))
+    : String(value).replace(/\r?\n/g, " ");
+  // parseCSVLine splits on both "," and ";" — quote anything containing either
+  if (/[",;]/.test(text) || text !== text.trim()) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Muodostaa CSV-tekstin riveistä. Tulos lukeutuu takaisin parseCSV:llä.
+ * @param {Array<object>} rows
+ * @param {Array<{ key, label }>} columns — sarakkeet järjestyksessä
+ * @param {object} [options]
+ * @param {";"|","} [options.delimiter=";"]
+ * @param {boolean} [options.decimalComma=true] — desimaalipilkku (suomalainen Excel)
+ * @returns {string}
+ */
+function toCSV(rows, columns, { delimiter = ";", decimalComma = true } = {}) {
+  const lines = [columns.map(c => formatCSVValue(c.label, decimalComma)).join(delimiter)];
+  for (const row of rows) {
+    lines.push(columns.map(c => formatCSVValue(row[c.key], decimalComma)).join(delimiter));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Valitsee sarakkeet avainlistan mukaan (null = kaikki), säilyttäen oletusjärjestyksen.
+ */
+function selectCSVColumns(allColumns, keys = null) {
+  if (!keys || keys.length === 0) return allColumns;
+  const wanted = new Set(keys);
+  return allColumns.filter(c => wanted.has(c.key));
+}
+
 // ── Create default mesocycle ──
 // ── Periodisaatiomalli ──
 // Golden standard konjugoitu/blokkihybridi lisäpainoleuanvedolle:
@@ -1039,9 +2006,12 @@ function createDefaultMesocycle(startDateISO) {
 // Vk2: 3×/vk kova intensiteetti, tukiliikkeet -30%
 // Vk3: 2×/vk taper, intensiteetti ylläpidossa, volyymi -50%, minimaaliset tukiliikkeet
 // Vk4: 2 päivää — opener-harjoitus + kilpailu
-function createPeakingMesocycle(startDateISO, e1rmExternal, bodyweightKg) {
+// options.taperWeeks = 2 → vk2 on kevennetty "Taper 1" (Realization jää pois),
+// kilpailupäivä pysyy samana. Valinta tulee Banister-mallista (chooseTaperLength).
+function createPeakingMesocycle(startDateISO, e1rmExternal, bodyweightKg, options = {}) {
   const e1rm = e1rmExternal || 93;
   const bw = bodyweightKg || 91;
+  const taperWeeks = options.taperWeeks === 2 ? 2 : 1;
 
   // Peaking config for attempt calculation
   const peakingConfig = {
@@ -1051,9 +2021,11 @@ function createPeakingMesocycle(startDateISO, e1rmExternal, bodyweightKg) {
     secondPct: 0.97,    // ~97% for 2nd attempt
     thirdPct: 1.02,     // ~102% for 3rd attempt (PR attempt)
     warmupPcts: [0.40, 0.60, 0.75, 0.85, 0.90],
+    taperWeeks,
+    taperPrediction: options.taperPrediction || null, // { predicted, candidates } mallista
   };
 
-  return {
+  const meso = {
     mesocycleId: uid(),
     type: "peaking",
     startDateISO: startDateISO || todayISO(),
@@ -1183,6 +2155,41 @@ function createPeakingMesocycle(startDateISO, e1rmExternal, bodyweightKg) {
     ],
     postCycleAnalysis: null,
   };
+
+  if (taperWeeks === 2) {
+    meso.weekDefs[1] = { week: 2, deltaPctBase: -0.05, label: "Taper 1", heavyReps: 1, heavyTargetVx: 2 };
+    meso.weekDefs[2] = { ...meso.weekDefs[2], label: "Taper 2" };
+    // ── VIIKKO 2: TAPER 1 (3×/vk) ──
+    // Intensiteetti ylläpidossa, volyymi -30%, tukiliikkeet minimiin
+    meso.weekPlans[1] = {
+      week: 2,
+      days: [
+        {
+          dayOfWeek: 1, dayType: "heavy", label: "Maksimivoima (taper 1)",
+          slots: [
+            { role: "primary", category: "vertikaaliveto", defaultMovementName: "Lisäpainoleuanveto", variantName: "Kilpaveto (leveä vastaote)", sets: 3, reps: 1, targetVx: 1 },
+            { role: "backoff", category: "vertikaaliveto", defaultMovementName: "Lisäpainoleuanveto", variantName: "Kilpaveto (leveä vastaote)", sets: 2, reps: 3, targetVx: 3 },
+            { role: "accessory", category: "horisontaaliveto", defaultMovementName: "Penkkiveto", sets: 3, reps: 6, targetVx: 3 },
+          ],
+        },
+        {
+          dayOfWeek: 3, dayType: "volume", label: "Perusvoima (kevennetty)",
+          slots: [
+            { role: "primary", category: "vertikaaliveto", defaultMovementName: "Lisäpainoleuanveto", variantName: "Kilpaveto (leveä vastaote)", sets: 3, reps: 3, targetVx: 3 },
+            { role: "accessory", category: "vertikaaliveto", defaultMovementName: "Ylätalja", sets: 2, reps: 8, targetVx: 3 },
+            { role: "accessory", category: "core", defaultMovementName: "Hanging leg raise", sets: 2, reps: 10, targetVx: null },
+          ],
+        },
+        {
+          dayOfWeek: 5, dayType: "speed", label: "Nopeusvoima (kevyt)",
+          slots: [
+            { role: "primary", category: "vertikaaliveto", defaultMovementName: "Lisäpainoleuanveto", variantName: "Kilpaveto (leveä vastaote)", sets: 3, reps: 2, targetVx: 4 },
+          ],
+        },
+      ],
+    };
+  }
+  return meso;
 }
 
 // ── Mesocycle template registry ──
@@ -1893,18 +2900,274 @@ async function ensureAllVariantsSeeded() {
     notes: "",
   }));
   await dbPutBulk(STORES.variants, newVariants);
+  // Tag backfill for older variants lives in the v2 migration
+}
+
+// ── Variant helpers ──
+/**
+ * Assign variants to mesocycle week plans via smart rotation.
+ * Heavy days rotate: Kilpaveto ↔ Korokeveto
+ * Speed days: always Nopeusveto kuminauhalla
+ * Volume days: rotate through Myötäote → Neutraaliote → 2s ylipito → 1.5-toisto hiissaus
+ */
+function assignVariantRotation(weekPlans) {
+  let heavyIdx = 0;
+  let volumeIdx = 0;
+  const heavyVariants = VARIANT_DAY_TYPE_MAP.heavy;
+  const volumeVariants = VARIANT_DAY_TYPE_MAP.volume;
+  const speedVariant = VARIANT_DAY_TYPE_MAP.speed[0];
+
+  for (const wp of weekPlans) {
+    for (const day of wp.days) {
+      for (const slot of day.slots) {
+        if (slot.role !== "primary" && slot.role !== "backoff") continue;
+        if (slot.category !== "vertikaaliveto") continue;
+
+        if (day.dayType === "heavy") {
+          slot.variantName = heavyVariants[heavyIdx % heavyVariants.length];
+          // backoff uses same variant as primary
+          if (slot.role === "primary") heavyIdx++;
+        } else if (day.dayType === "speed") {
+          slot.variantName = speedVariant;
+        } else if (day.dayType === "volume") {
+          slot.variantName = volumeVariants[volumeIdx % volumeVariants.length];
+          if (slot.role === "primary") volumeIdx++;
+        } else {
+          slot.variantName = heavyVariants[0]; // default
+        }
+      }
+    }
+  }
+  return weekPlans;
+}
+
+// ── Mesosykli pohjasta ──
+const MESOCYCLE_FACTORIES = {
+  default: createDefaultMesocycle,
+  hypertrofia: createHypertrofiaMesocycle,
+  maksimivoima: createMaksimivoimaMesocycle,
+  eksentrinen: createEksenterinenMesocycle,
+  dup: createDUPMesocycle,
+  siirtyma: createSiirtymaMesocycle,
+  palautuminen: createPalautuminenMesocycle,
+  peaking: createPeakingMesocycle,
+};
+
+/**
+ * Luo mesosyklin pohjan id:n perusteella ja jakaa variaatiorotaation
+ * (paitsi pohjissa, joissa variaatiot on kiinnitetty: eksentrinen, siirtymä).
+ * Peaking käyttää options.e1rmExternal / bodyweightKg / taperWeeks. Omat
+ * pohjat haetaan id:llä options.userTemplates-listasta.
+ * @returns {object|null} null tuntemattomalle pohjalle
+ */
+function createMesocycleFromTemplate(templateId, startDateISO, options = {}) {
+  const factory = MESOCYCLE_FACTORIES[templateId];
+  if (!factory) {
+    const template = (options.userTemplates || []).find(t => t.templateId === templateId);
+    return template ? createMesocycleFromUserTemplate(template, startDateISO) : null;
+  }
+  const meso = templateId === "peaking"
+    ? factory(startDateISO, options.e1rmExternal, options.bodyweightKg, options)
+    : factory(startDateISO);
+  if (!["eksentrinen", "siirtyma", "peaking"].includes(templateId)) {
+    assignVariantRotation(meso.weekPlans);
+  }
+  return meso;
+}
+
+// ── Käyttäjän mesosyklipohjat ──
+// Omat pohjat templates-storessa. Jaetaan versioituna JSON-tiedostona
+// (format + formatVersion), jotta valmentaja voi antaa ohjelman urheilijalle.
+const TEMPLATE_FORMAT = "leve-coach-mesocycle-templates";
+const TEMPLATE_FORMAT_VERSION = 1;
+const TEMPLATE_DAY_TYPES = ["heavy", "volume", "speed"];
+const TEMPLATE_SLOT_ROLES = ["primary", "backoff", "accessory"];
+const TEMPLATE_MAX_WEEKS = 12;
+// Tagit torjutaan jaetusta tiedostosta; & ja lainausmerkit ovat tavallisia nimissä
+// ja UI escapeaa ne renderöidessä
+const TEMPLATE_UNSAFE_CHARS = /[<>]/;
+
+function isPlainTemplateText(value, maxLength) {
+  return typeof value === "string" && value.length <= maxLength && !TEMPLATE_UNSAFE_CHARS.test(value);
+}
+
+// Virheilmoituksiin lainattu arvo ilman merkintää
+function quoteTemplateValue(value) {
+  return String(value).replace(new RegExp(TEMPLATE_UNSAFE_CHARS.source, "g"), "").slice(0, 40);
+}
+
+async function getAllUserTemplates() {
+  return dbGetAll(STORES.templates);
+}
+
+async function saveUserTemplate(template) {
+  template.updatedAtISO = nowISO();
+  return dbPut(STORES.templates, template);
+}
+
+async function deleteUserTemplate(templateId) {
+  return dbDelete(STORES.templates, templateId);
+}
+
+/**
+ * Uusi oma pohja sisäänrakennetun pohjalta: viikot, päivät ja variaatiokierto
+ * kopioidaan muokattaviksi. baseType määrää jakson tyypin (seuraavan jakson
+ * suositukset, peaking-logiikka ei koske omia pohjia).
+ */
+function createUserTemplate(baseTemplateId = "default") {
+  const base = createMesocycleFromTemplate(baseTemplateId === "peaking" ? "default" : baseTemplateId, todayISO())
+    || createMesocycleFromTemplate("default", todayISO());
+  const meta = MESOCYCLE_TEMPLATES.find(t => t.id === base.type);
+  return {
+    templateId: uid(),
+    label: `${meta?.label || base.type} (oma)`,
+    icon: "🧩",
+    desc: "",
+    baseType: base.type,
+    weekCount: base.weekCount,
+    weekDefs: structuredClone(base.weekDefs),
+    weekPlans: structuredClone(base.weekPlans),
+    createdAtISO: nowISO(),
+    updatedAtISO: nowISO(),
+  };
+}
+
+/**
+ * Muuttaa pohjan viikkomäärää paikallaan: ylimääräiset viikot poistetaan,
+ * uudet kopioidaan viimeisestä viikosta.
+ */
+function resizeUserTemplate(template, weekCount) {
+  const last = template.weekCount;
+  const lastDef = template.weekDefs.find(d => d.week === last) || { deltaPctBase: 0, label: "", heavyReps: 3, heavyTargetVx: 2 };
+  const lastPlan = template.weekPlans.find(p => p.week === last) || { days: [] };
+  template.weekDefs = template.weekDefs.filter(d => d.week <= weekCount);
+  template.weekPlans = template.weekPlans.filter(p => p.week <= weekCount);
+  for (let w = last + 1; w <= weekCount; w++) {
+    template.weekDefs.push({ ...structuredClone(lastDef), week: w });
+    template.weekPlans.push({ ...structuredClone(lastPlan), week: w });
+  }
+  template.weekCount = weekCount;
+  return template;
+}
 
-  // Also update existing variants to include tags if missing
-  for (const ev of existingVariants) {
-    const preset = PRIMARY_VARIANTS.find(pv => pv.name === ev.name);
-    if (preset && (!ev.tags || ev.tags.length === 0)) {
-      ev.tags = preset.tags || [];
-      await dbPut(STORES.variants, ev);
+/**
+ * Mesosykli omasta pohjasta. Variaatiot ovat pohjan omat — kiertoa ei jaeta
+ * uudelleen, ettei käsin valittu variaatio vaihdu.
+ */
+function createMesocycleFromUserTemplate(template, startDateISO) {
+  return {
+    mesocycleId: uid(),
+    type: template.baseType || "default",
+    userTemplateId: template.templateId,
+    templateLabel: template.label,
+    startDateISO: startDateISO || todayISO(),
+    weekCount: template.weekCount,
+    weekDefs: structuredClone(template.weekDefs),
+    weekPlans: structuredClone(template.weekPlans),
+  };
+}
+
+/**
+ * Tarkistaa oman pohjan rakenteen ennen tallennusta tai tuontia.
+ * @returns {string[]} virheet (tyhjä = kelvollinen)
+ */
+function validateMesocycleTemplate(template) {
+  if (!template || typeof template !== "object" || Array.isArray(template)) return ["Pohja ei ole objekti"];
+  const errors = [];
+  const name = template.label ? quoteTemplateValue(template.label) : "Nimetön pohja";
+  const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+  if (!template.label || typeof template.label !== "string") errors.push("Pohjan nimi puuttuu");
+  else if (!isPlainTemplateText(template.label, 60)) errors.push(`${name}: nimessä ei saa olla merkkejä < >`);
+  if (template.icon && !isPlainTemplateText(template.icon, 8)) errors.push(`${name}: ikoni enintään 8 merkkiä ilman merkintää`);
+  if (template.desc && !isPlainTemplateText(template.desc, 200)) errors.push(`${name}: kuvaus enintään 200 merkkiä ilman merkintää`);
+  if (template.baseType && (!MESOCYCLE_FACTORIES[template.baseType] || template.baseType === "peaking")) {
+    errors.push(`${name}: tuntematon jaksotyyppi "${quoteTemplateValue(template.baseType)}"`);
+  }
+  if (!isInt(template.weekCount, 1, TEMPLATE_MAX_WEEKS)) {
+    errors.push(`${name}: viikkoja 1–${TEMPLATE_MAX_WEEKS}`);
+    return errors;
+  }
+
+  for (let w = 1; w <= template.weekCount; w++) {
+    const def = (template.weekDefs || []).find(d => d.week === w);
+    if (!def) errors.push(`${name} vk ${w}: viikon määrittely puuttuu`);
+    else {
+      if (typeof def.deltaPctBase !== "number" || !(Math.abs(def.deltaPctBase) <= 0.5)) errors.push(`${name} vk ${w}: delta −50…+50 %`);
+      if (!isInt(def.heavyReps, 1, 30)) errors.push(`${name} vk ${w}: raskaat toistot 1–30`);
+      if (!isInt(def.heavyTargetVx, 0, 5)) errors.push(`${name} vk ${w}: raskas Vx 0–5`);
+      if (def.label && !isPlainTemplateText(def.label, 60)) errors.push(`${name} vk ${w}: viikon nimessä ei saa olla merkintää`);
+    }
+
+    const plan = (template.weekPlans || []).find(p => p.week === w);
+    if (!plan?.days?.length) { errors.push(`${name} vk ${w}: ei treenipäiviä`); continue; }
+    const weekdays = new Set();
+    for (const day of plan.days) {
+      const where = `${name} vk ${w} pv ${quoteTemplateValue(day.dayOfWeek)}`;
+      if (!isInt(day.dayOfWeek, 1, 7) || weekdays.has(day.dayOfWeek)) errors.push(`${where}: viikonpäivä 1–7, kerran viikossa`);
+      weekdays.add(day.dayOfWeek);
+      if (day.label && !isPlainTemplateText(day.label, 60)) errors.push(`${where}: päivän nimessä ei saa olla merkintää`);
+      if (!TEMPLATE_DAY_TYPES.includes(day.dayType)) errors.push(`${where}: tuntematon päivätyyppi "${quoteTemplateValue(day.dayType)}"`);
+      if (!day.slots?.length) errors.push(`${where}: ei liikkeitä`);
+      (day.slots || []).forEach((s, i) => {
+        const slot = `${where} liike ${i + 1}`;
+        if (!TEMPLATE_SLOT_ROLES.includes(s.role)) errors.push(`${slot}: tuntematon rooli "${quoteTemplateValue(s.role)}"`);
+        if (!CATEGORIES.includes(s.category)) errors.push(`${slot}: tuntematon kategoria "${quoteTemplateValue(s.category)}"`);
+        if (!s.defaultMovementName) errors.push(`${slot}: liikkeen nimi puuttuu`);
+        else if (!isPlainTemplateText(s.defaultMovementName, 60)) errors.push(`${slot}: liikkeen nimessä ei saa olla merkintää`);
+        if (!isInt(s.sets, 1, 20) || !isInt(s.reps, 1, 30)) errors.push(`${slot}: sarjat 1–20, toistot 1–30`);
+        if (s.targetVx !== null && s.targetVx !== undefined && !isInt(s.targetVx, 0, 5)) errors.push(`${slot}: Vx 0–5 tai tyhjä`);
+        if (s.variantName && !PRIMARY_VARIANTS.some(v => v.name === s.variantName)) errors.push(`${slot}: tuntematon variaatio "${quoteTemplateValue(s.variantName)}"`);
+      });
     }
   }
+  return errors.slice(0, MAX_VALIDATION_ERRORS);
+}
+
+/**
+ * Omat pohjat jaettavaan tiedostomuotoon.
+ */
+function exportUserTemplates(templates) {
+  return {
+    format: TEMPLATE_FORMAT,
+    formatVersion: TEMPLATE_FORMAT_VERSION,
+    exportedAtISO: nowISO(),
+    appVersion: APP_VERSION,
+    templates: templates.map(({ templateId, label, icon, desc, baseType, weekCount, weekDefs, weekPlans }) =>
+      ({ templateId, label, icon, desc, baseType, weekCount, weekDefs, weekPlans })),
+  };
+}
+
+/**
+ * Lukee jaetun pohjatiedoston. Koko tiedosto hylätään, jos yksikin pohja on
+ * virheellinen. Tuodut pohjat saavat uudet id:t, joten tuonti ei koskaan
+ * ylikirjoita omia pohjia.
+ * @param {any} data — JSON.parse:n tulos
+ * @returns {{ templates: object[], errors: string[] }}
+ */
+function parseUserTemplates(data) {
+  if (!data || data.format !== TEMPLATE_FORMAT) return { templates: [], errors: ["Tiedosto ei ole mesosyklipohjatiedosto"] };
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion < 1 || data.formatVersion > TEMPLATE_FORMAT_VERSION) {
+    return { templates: [], errors: [`Pohjatiedoston versiota ${data.formatVersion} ei tueta — päivitä sovellus`] };
+  }
+  if (!Array.isArray(data.templates) || data.templates.length === 0) return { templates: [], errors: ["Tiedostossa ei ole pohjia"] };
+
+  const errors = data.templates.flatMap(validateMesocycleTemplate).slice(0, MAX_VALIDATION_ERRORS);
+  if (errors.length > 0) return { templates: [], errors };
+  const now = nowISO();
+  const templates = data.templates.map(t => ({
+    ...structuredClone(t),
+    templateId: uid(),
+    icon: t.icon || "🧩",
+    desc: t.desc || "",
+    baseType: t.baseType || "default",
+    importedFromId: t.templateId || null,
+    createdAtISO: now,
+    updatedAtISO: now,
+  }));
+  return { templates, errors: [] };
 }
 
-// ── Variant helpers ──
 async function getVariantByName(name) {
   const allVariants = await dbGetAll(STORES.variants);
   return allVariants.find(v => v.name === name) || null;
@@ -1914,15 +3177,125 @@ async function getAllVariants() {
   return dbGetAll(STORES.variants);
 }
 
+// ── Kilpailut ──
+// Kilpailuhistoria competitions-storessa. Painoluokka tallennetaan ylärajana
+// (kg); null = luokan yläpää (+luokka) tai avoin sarja ilman painoluokkia.
+const COMPETITION_RULESETS = {
+  streetlifting: { label: "Streetlifting", weightClassesKg: [59, 66, 73, 80, 87, 94, 100, 110, null] },
+  open: { label: "Avoin sarja", weightClassesKg: [null] },
+};
+const COMPETITION_ATTEMPTS = 3;
+
+/**
+ * Painoluokan nimi, esim. "-80 kg" tai "+110 kg".
+ */
+function weightClassLabel(rulesetId, weightClassKg) {
+  if (weightClassKg !== null && weightClassKg !== undefined) return `-${weightClassKg} kg`;
+  const limits = (COMPETITION_RULESETS[rulesetId]?.weightClassesKg || []).filter(kg => kg !== null);
+  return limits.length > 0 ? `+${Math.max(...limits)} kg` : "Avoin";
+}
+
+/**
+ * Normalisoi kilpailutietueen: kolme yritystä (tyhjät täydennetään) ja
+ * paras hyväksytty tulos johdetaan yrityksistä.
+ * @param {object} fields — { dateISO, name, rulesetId, weightClassKg, weighInKg, attempts, placement, winnerLiftKg, mesocycleId, sessionId, notes }
+ */
+function createCompetition(fields = {}) {
+  const attempts = Array.from({ length: COMPETITION_ATTEMPTS }, (_, i) => {
+    const a = (fields.attempts || []).find(x => x.attemptNo === i + 1) || {};
+    return {
+      attemptNo: i + 1,
+      loadKg: a.loadKg ?? null,
+      good: a.good === true || a.good === false ? a.good : null,
+    };
+  });
+  const good = attempts.filter(a => a.good && a.loadKg !== null);
+  return {
+    competitionId: fields.competitionId || uid(),
+    dateISO: fields.dateISO || todayISO(),
+    name: fields.name || "",
+    rulesetId: COMPETITION_RULESETS[fields.rulesetId] ? fields.rulesetId : "streetlifting",
+    weightClassKg: fields.weightClassKg ?? null,
+    weighInKg: fields.weighInKg ?? null,
+    attempts,
+    bestLiftKg: good.length > 0 ? Math.max(...good.map(a => a.loadKg)) : null,
+    placement: fields.placement ?? null,
+    winnerLiftKg: fields.winnerLiftKg ?? null, // luokan voittotulos (lisäpaino) — voittoprojektiota varten
+    mesocycleId: fields.mesocycleId ?? null,
+    sessionId: fields.sessionId ?? null,
+    notes: fields.notes || "",
+    createdAtISO: fields.createdAtISO || nowISO(),
+    updatedAtISO: nowISO(),
+  };
+}
+
+/**
+ * Kilpailutietue kilpailutilan tuloksesta (session.meetResult).
+ * Painoluokka arvataan punnituspainosta, jos sitä ei anneta.
+ */
+function competitionFromMeetResult(meetResult, fields = {}) {
+  const rulesetId = fields.rulesetId || "streetlifting";
+  const bw = meetResult.bodyweightKg ?? null;
+  const limits = COMPETITION_RULESETS[rulesetId]?.weightClassesKg || [null];
+  const weightClassKg = fields.weightClassKg !== undefined
+    ? fields.weightClassKg
+    : (bw !== null ? limits.find(kg => kg === null || bw <= kg) ?? null : null);
+  return createCompetition({
+    ...fields,
+    dateISO: meetResult.dateISO,
+    rulesetId,
+    weightClassKg,
+    weighInKg: bw,
+    attempts: meetResult.attempts,
+    mesocycleId: meetResult.mesocycleId,
+    sessionId: meetResult.sessionId,
+  });
+}
+
+async function getAllCompetitions() {
+  const all = await dbGetAll(STORES.competitions);
+  return all.sort((a, b) => (a.dateISO || "").localeCompare(b.dateISO || ""));
+}
+
+async function saveCompetition(competition) {
+  const normalized = createCompetition(competition);
+  await dbPut(STORES.competitions, normalized);
+  return normalized;
+}
+
+async function deleteCompetition(competitionId) {
+  return dbDelete(STORES.competitions, competitionId);
+}
+
 // ── Initialize database ──
-async function initDB() {
-  await openDB();
-  if (_db) {
-    await seedPresets();
-    await ensureAllVariantsSeeded();
-    await updateLastOpened();
+/**
+ * Avaa tallennuksen ja ajaa migraatiot + esiasetukset.
+ * Oletuksena IndexedDB; jos se ei ole käytettävissä, data pidetään muistissa
+ * (getStorageInfo().persistent === false → UI näyttää bannerin).
+ * @param {{ adapter?: object }} options — valmis adapteri (createMemoryAdapter / createFileAdapter)
+ * @returns {Promise<object>} aktiivinen adapteri
+ */
+async function initDB(options = {}) {
+  if (options.adapter) {
+    _adapter = options.adapter;
+    _storageFallbackReason = null;
+    _upgradedFromVersion = null;
+  } else if (!_adapter || _adapter.kind === "indexeddb") {
+    await openDB();
+    if (_db) {
+      _adapter = createIndexedDBAdapter(_db);
+      _storageFallbackReason = null;
+    } else {
+      _adapter = createMemoryAdapter();
+      _storageFallbackReason = "indexedDB" in globalThis ? "IndexedDB:n avaus epäonnistui" : "IndexedDB ei käytettävissä";
+      _upgradedFromVersion = 0;
+    }
   }
-  return _db;
+  await runPendingMigrations();
+  await seedPresets();
+  await ensureAllVariantsSeeded();
+  await updateLastOpened();
+  return _adapter;
 }
 
 // ── Export module ──
@@ -1941,6 +3314,10 @@ export {
   uid,
   nowISO,
   todayISO,
+  localDateISO,
+  addDaysISO,
+  daysBetweenISO,
+  isoWeekday,
   parseNumericInput,
   // Guards
   GUARDS,
@@ -1953,6 +3330,11 @@ export {
   // DB operations
   openDB,
   getDB,
+  getStorageAdapter,
+  getStorageInfo,
+  createIndexedDBAdapter,
+  createMemoryAdapter,
+  createFileAdapter,
   initDB,
   dbPut,
   dbGet,
@@ -1962,6 +3344,11 @@ export {
   dbClear,
   dbPutBulk,
   seedPresets,
+  // Migrations
+  MIGRATIONS,
+  migrateDataset,
+  getMigrationLog,
+  runPendingMigrations,
   // Movements
   getAllMovements,
   getMovementsByCategory,
@@ -1975,11 +3362,14 @@ export {
   getVariantByName,
   getAllVariants,
   ensureAllVariantsSeeded,
+  assignVariantRotation,
   // Sessions
   getAllSessions,
   getSession,
   saveSession,
   deleteSession,
+  getOrCreateSessionForDate,
+  isWorkoutSession,
   // Sets
   getSetsForSession,
   getSetsForMovement,
@@ -1987,8 +3377,17 @@ export {
   saveSet,
   saveSets,
   deleteSet,
+  // Workout drafts
+  getWorkoutDraft,
+  saveWorkoutDraft,
+  deleteWorkoutDraft,
+  // Readiness tests
+  getReadinessTests,
+  saveReadinessTest,
+  deleteReadinessTest,
   // Measurements
   getMeasurementsByType,
+  getAllMeasurements,
   getMeasurementsByDate,
   saveMeasurement,
   getLatestBodyweight,
@@ -2006,11 +3405,39 @@ export {
   createDUPMesocycle,
   createSiirtymaMesocycle,
   createPalautuminenMesocycle,
+  createMesocycleFromTemplate,
+  // User templates
+  TEMPLATE_FORMAT,
+  TEMPLATE_FORMAT_VERSION,
+  getAllUserTemplates,
+  saveUserTemplate,
+  deleteUserTemplate,
+  createUserTemplate,
+  resizeUserTemplate,
+  createMesocycleFromUserTemplate,
+  TEMPLATE_DAY_TYPES,
+  validateMesocycleTemplate,
+  exportUserTemplates,
+  parseUserTemplates,
+  // Competitions
+  COMPETITION_RULESETS,
+  weightClassLabel,
+  createCompetition,
+  competitionFromMeetResult,
+  getAllCompetitions,
+  saveCompetition,
+  deleteCompetition,
+  // Adaptations
+  getAdaptationsForMesocycle,
+  saveAdaptations,
+  getAdaptationProposals,
+  saveAdaptationProposal,
   // Baselines
   getBaseline,
   saveBaseline,
   // Recommendations
   saveRecommendation,
+  getAllRecommendations,
   // Decision Traces
   saveDecisionTrace,
   getTracesForRec,
@@ -2024,12 +3451,29 @@ export {
   // App Meta & Settings
   getAppMeta,
   updateLastOpened,
+  WORKLOAD_DELOAD_DEFAULTS,
   getSettings,
   saveSettings,
+  getTrainingCalendar,
+  saveTrainingCalendar,
+  getMacrocycle,
+  saveMacrocycle,
+  clearMacrocycle,
   // Backup / Restore
   exportFullBackup,
   importFullBackup,
+  validateBackup,
+  previewBackupRestore,
+  getBackupSnapshots,
+  deleteBackupSnapshot,
+  restoreSnapshot,
+  runAutoBackup,
+  wipeAllData,
   // CSV
   parseCSV,
   importHistoricalCSV,
+  CSV_SET_COLUMNS,
+  CSV_MEASUREMENT_COLUMNS,
+  toCSV,
+  selectCSVColumns,
 };
@@ -1,17 +1,22 @@
-// engine.js — Computation engine: e1RM, baselines, readiness, recommend(), mesocycle, decisionTrace
+// engine.js — Computation engine: e1RM, baselines, readiness, planDay()/recommend(), mesocycle, decisionTrace
 // LeVe Coach v1.0.0
 
 import {
   uid, todayISO, parseNumericInput,
-  getAllSessions, getSetsForSession, getAllSets, getSetsForMovement,
-  getActiveMesocycle, saveMesocycle, createDefaultMesocycle, createPeakingMesocycle,
-  getSettings, saveBaseline, getBaseline,
-  saveRecommendation, saveDecisionTrace,
+  localDateISO, addDaysISO, daysBetweenISO, isoWeekday,
+  getTrainingCalendar, getMacrocycle, saveMacrocycle,
+  getAllSessions, isWorkoutSession, getSetsForSession, getAllSets, getSetsForMovement,
+  getActiveMesocycle, saveMesocycle, createDefaultMesocycle, createPeakingMesocycle, createMesocycleFromTemplate,
+  getSettings, saveBaseline, getBaseline, WORKLOAD_DELOAD_DEFAULTS,
+  saveRecommendation, saveDecisionTrace, getTracesForRec,
   getAllMovements, getMovementProgress, saveMovementProgress,
   getMeasurementsByType,
-  getAllMesocycles,
+  getAllMesocycles, getAllRecommendations, getAllUserTemplates,
   PULL_VOLUME_CATEGORIES,
   VARIANT_DAY_TYPE_MAP,
+  assignVariantRotation,
+  MESOCYCLE_TEMPLATES,
+  PRESET_MOVEMENTS,
 } from "./data.js";
 
 // ═══════════════════════════════════════════════════════════════
@@ -86,44 +91,144 @@ function roundToHalf(value) {
 // e1RM CALCULATIONS
 // ═══════════════════════════════════════════════════════════════
 
+// RTS-style %1RM by effective reps (reps + Vara; 1 @ V0 = 100 %, 2 @ V0 = 1 @ V1 …)
+const RPE_PERCENT_TABLE = [1.0, 0.955, 0.922, 0.892, 0.863, 0.837, 0.811, 0.786, 0.762, 0.739, 0.707, 0.68];
+
+function rpeTablePercent(effectiveReps) {
+  if (effectiveReps < 1) return null;
+  if (effectiveReps >= RPE_PERCENT_TABLE.length) {
+    // Past the table: continue the last step (~2.7 %/rep), floor at 50 %
+    const extra = effectiveReps - RPE_PERCENT_TABLE.length;
+    return Math.max(0.5, RPE_PERCENT_TABLE[RPE_PERCENT_TABLE.length - 1] - 0.027 * extra);
+  }
+  const lo = Math.floor(effectiveReps);
+  const frac = effectiveReps - lo;
+  const a = RPE_PERCENT_TABLE[lo - 1];
+  const b = RPE_PERCENT_TABLE[lo] ?? a;
+  return a + (b - a) * frac; // half-Vara steps interpolate
+}
+
+/**
+ * e1RM estimator strategies. Every model maps a set to e1RM and back:
+ *   estimate({ load, reps, vara, velocity }, ctx) → e1RM (same units as load) | null
+ *   loadFor(e1rm, { reps, vara }, ctx) → load for that prescription | null
+ * Rep-based models work on Vara-adjusted reps (reps + Vara). The velocity model
+ * needs ctx.profile (fitLoadVelocityProfile). Callers pass system load for the
+ * primary lift and plain external load for accessories.
+ */
+const E1RM_MODELS = {
+  epley: {
+    id: "epley",
+    label: "Epley",
+    estimate: ({ load, reps, vara }) => (load > 0 && reps >= 1 ? load * (1 + (reps + (vara ?? 0)) / 30) : null),
+    loadFor: (e1rm, { reps, vara }) => e1rm / (1 + (reps + (vara ?? 0)) / 30),
+  },
+  brzycki: {
+    id: "brzycki",
+    label: "Brzycki",
+    estimate: ({ load, reps, vara }) => {
+      const r = reps + (vara ?? 0);
+      return load > 0 && reps >= 1 && r < 37 ? load * 36 / (37 - r) : null;
+    },
+    loadFor: (e1rm, { reps, vara }) => {
+      const r = reps + (vara ?? 0);
+      return r < 37 ? e1rm * (37 - r) / 36 : null;
+    },
+  },
+  lombardi: {
+    id: "lombardi",
+    label: "Lombardi",
+    estimate: ({ load, reps, vara }) => (load > 0 && reps >= 1 ? load * Math.pow(reps + (vara ?? 0), 0.1) : null),
+    loadFor: (e1rm, { reps, vara }) => e1rm / Math.pow(Math.max(1, reps + (vara ?? 0)), 0.1),
+  },
+  rpe_table: {
+    id: "rpe_table",
+    label: "RPE/Vara-taulukko",
+    estimate: ({ load, reps, vara }) => {
+      const pct = load > 0 && reps >= 1 ? rpeTablePercent(reps + (vara ?? 0)) : null;
+      return pct ? load / pct : null;
+    },
+    loadFor: (e1rm, { reps, vara }) => {
+      const pct = rpeTablePercent(reps + (vara ?? 0));
+      return pct ? e1rm * pct : null;
+    },
+  },
+  velocity: {
+    id: "velocity",
+    label: "Nopeus (L–V)",
+    // Slide the set along the athlete's L–V slope down to MVT
+    estimate: ({ load, velocity }, ctx = {}) => {
+      const p = ctx.profile;
+      if (!p || !(velocity > 0) || !(load > 0)) return null;
+      const e1rm = load + (p.mvt - velocity) / p.slope;
+      return e1rm >= load ? e1rm : load;
+    },
+    // Reps/Vara → load has no velocity term; use the RPE table for the inverse
+    loadFor: (e1rm, prescription) => E1RM_MODELS.rpe_table.loadFor(e1rm, prescription),
+  },
+};
+
+const DEFAULT_E1RM_MODEL = "epley";
+
+function getE1RMModel(modelId) {
+  return E1RM_MODELS[modelId] || E1RM_MODELS[DEFAULT_E1RM_MODEL];
+}
+
+/**
+ * Estimate with the chosen model; sets the model can't handle (no velocity,
+ * no profile, reps out of range) fall back to Epley so history stays continuous.
+ */
+function estimateE1RM(modelId, input, ctx = {}) {
+  const est = getE1RMModel(modelId).estimate(input, ctx);
+  if (est !== null && Number.isFinite(est)) return est;
+  return modelId === DEFAULT_E1RM_MODEL ? null : E1RM_MODELS[DEFAULT_E1RM_MODEL].estimate(input, ctx);
+}
+
 /**
- * System e1RM: uses bodyweight + external load + Epley with Vara
- * e1RM_system = systemLoadKg × (1 + (reps + Vx) / 30)
+ * System e1RM: uses bodyweight + external load, Vara-adjusted reps
+ * (Epley: e1RM_system = systemLoadKg × (1 + (reps + Vx) / 30))
+ * ctx: { velocity, profile } for the velocity model
  */
-function e1rmSystem(bodyweightKg, externalLoadKg, reps, vara) {
+function e1rmSystem(bodyweightKg, externalLoadKg, reps, vara, modelId = DEFAULT_E1RM_MODEL, ctx = {}) {
   const systemLoad = bodyweightKg + externalLoadKg;
   if (systemLoad <= 0 || reps < 1) return null;
-  const effectiveReps = reps + (vara ?? 2);
-  return systemLoad * (1 + effectiveReps / 30);
+  return estimateE1RM(modelId, { load: systemLoad, reps, vara: vara ?? 2, velocity: ctx.velocity }, ctx);
 }
 
 /**
  * External e1RM: e1RM_system - bodyweight
  */
-function e1rmExternal(bodyweightKg, externalLoadKg, reps, vara) {
-  const sys = e1rmSystem(bodyweightKg, externalLoadKg, reps, vara);
+function e1rmExternal(bodyweightKg, externalLoadKg, reps, vara, modelId = DEFAULT_E1RM_MODEL) {
+  const sys = e1rmSystem(bodyweightKg, externalLoadKg, reps, vara, modelId);
   if (sys === null) return null;
   return Math.max(0, sys - bodyweightKg);
 }
 
 /**
- * Accessory e1RM: simple Epley without system load logic
- * e1RM = weight × (1 + reps / 30)
+ * Accessory e1RM: no system load, reps only
+ * (Epley: e1RM = weight × (1 + reps / 30))
  */
-function e1rmAccessory(weightKg, reps) {
+function e1rmAccessory(weightKg, reps, modelId = DEFAULT_E1RM_MODEL) {
   if (weightKg <= 0 || reps < 1) return null;
-  return weightKg * (1 + reps / 30);
+  return estimateE1RM(modelId, { load: weightKg, reps, vara: 0 });
+}
+
+/**
+ * System load for a reps @ Vara prescription under the chosen model.
+ */
+function systemLoadForPrescription(e1rmSys, targetReps, targetVx, modelId = DEFAULT_E1RM_MODEL) {
+  const load = getE1RMModel(modelId).loadFor(e1rmSys, { reps: targetReps, vara: targetVx });
+  return load !== null && Number.isFinite(load) ? load : E1RM_MODELS[DEFAULT_E1RM_MODEL].loadFor(e1rmSys, { reps: targetReps, vara: targetVx });
 }
 
 /**
  * Calculate target load from e1RM backward:
- * targetSystemLoad = e1RM_system / (1 + effectiveReps / 30)
+ * targetSystemLoad = model.loadFor(e1RM_system, reps + Vx)  (Epley: e1RM / (1 + effectiveReps / 30))
  * targetExternalLoad = targetSystemLoad - bodyweightKg
  */
-function targetLoadFromE1RM(e1rmSys, bodyweightKg, targetReps, targetVx) {
+function targetLoadFromE1RM(e1rmSys, bodyweightKg, targetReps, targetVx, modelId = DEFAULT_E1RM_MODEL) {
   if (e1rmSys === null || e1rmSys <= 0) return null;
-  const effectiveReps = targetReps + targetVx;
-  const targetSystemLoad = e1rmSys / (1 + effectiveReps / 30);
+  const targetSystemLoad = systemLoadForPrescription(e1rmSys, targetReps, targetVx, modelId);
   const external = targetSystemLoad - bodyweightKg;
   return roundToHalf(Math.max(0, external));
 }
@@ -163,6 +268,28 @@ function velocityReadiness(todayVelocity, baselineValues, windowN = 10) {
   return { z, class: classifyReadinessZ(z), channel: "velocity", baseline: bl };
 }
 
+/**
+ * Split stored readiness_test sets into today's test and the velocity baseline history.
+ * Baseline contains only tests dated before dateISO (oldest → newest), so today's
+ * value is never compared against itself.
+ * @param {Array} sets — sets (any roles), readiness tests are picked by setRole
+ * @param {string} dateISO — the day being evaluated
+ * @returns {{ todayTest: object|null, baselineValues: number[] }}
+ */
+function readinessVelocitySeries(sets, dateISO) {
+  const dateOf = (s) => s.dateISO || (s.timestamp || "").slice(0, 10);
+  const tests = sets
+    .filter((s) => s.setRole === "readiness_test" &&
+      s.velocityRep1 !== null && s.velocityRep1 !== undefined)
+    .sort((a, b) =>
+      dateOf(a).localeCompare(dateOf(b)) || (a.timestamp || "").localeCompare(b.timestamp || ""));
+  const todayTests = tests.filter((s) => dateOf(s) === dateISO);
+  return {
+    todayTest: todayTests.length ? todayTests[todayTests.length - 1] : null,
+    baselineValues: tests.filter((s) => dateOf(s) < dateISO).map((s) => s.velocityRep1),
+  };
+}
+
 /**
  * Compute HRV readiness from Oura night HRV (already as lnRMSSD)
  */
@@ -242,13 +369,12 @@ function combineReadiness(velocityR, hrvR, varaR) {
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Determine which week of the mesocycle we're in based on date
+ * Determine which week of the mesocycle we're in based on date.
+ * Dates are calendar days in TIMEZONE (timestamps are converted first).
  */
 function getMesocycleWeek(mesocycle, dateISO) {
   if (!mesocycle || !mesocycle.startDateISO) return null;
-  const start = new Date(mesocycle.startDateISO);
-  const current = new Date(dateISO);
-  const diffDays = Math.floor((current - start) / (1000 * 60 * 60 * 24));
+  const diffDays = daysBetweenISO(mesocycle.startDateISO, dateISO);
   if (diffDays < 0) return null;
   const weekNum = Math.floor(diffDays / 7) + 1;
   if (weekNum > mesocycle.weekCount) return null; // Past end of mesocycle
@@ -263,30 +389,112 @@ function getWeekDef(mesocycle, weekNum) {
   return mesocycle.weekDefs.find((w) => w.week === weekNum) || null;
 }
 
+// ═══════════════════════════════════════════════════════════════
+// TRAINING CALENDAR
+// ═══════════════════════════════════════════════════════════════
+
 /**
- * Get the planned day for today from the week plan.
- * If no exact match for dayOfWeek, finds the nearest training day in the week.
- * This ensures the user always gets a full program when they open the app.
+ * Concrete planned sessions of a mesocycle. Template days are placed on the
+ * athlete's training days (calendar.trainingDays, in order; null = template
+ * weekdays). Template days beyond the calendar's count keep their own weekday
+ * if it is free, else take the next unused one. Then per-date overrides are
+ * applied: "skip" drops the session, "move" re-dates it. plannedDateISO is the
+ * original date and identifies the session for overrides and consumption.
+ * @param {object} mesocycle
+ * @param {object|null} calendar — { trainingDays, overrides }
+ * @returns {Array} { dateISO, plannedDateISO, weekNum, dayOfWeek, dayPlan, moved } sorted by date
  */
-function getTodayPlan(mesocycle, weekNum, dayOfWeek) {
-  if (!mesocycle || !mesocycle.weekPlans) return null;
-  const weekPlan = mesocycle.weekPlans.find((w) => w.week === weekNum);
-  if (!weekPlan || !weekPlan.days || !weekPlan.days.length) return null;
-  // Exact match
-  const exact = weekPlan.days.find((d) => d.dayOfWeek === dayOfWeek);
-  if (exact) return exact;
-  // Find nearest training day (prefer same day or next, fallback to previous)
-  let best = null;
-  let bestDist = Infinity;
-  for (const d of weekPlan.days) {
-    const dist = Math.abs(d.dayOfWeek - dayOfWeek);
-    const wrapDist = Math.min(dist, 7 - dist);
-    if (wrapDist < bestDist) {
-      bestDist = wrapDist;
-      best = d;
-    }
+function plannedSessions(mesocycle, calendar = null) {
+  if (!mesocycle?.weekPlans || !mesocycle.startDateISO) return [];
+  const trainingDays = calendar?.trainingDays?.length ? [...calendar.trainingDays].sort((a, b) => a - b) : null;
+  const overrides = calendar?.overrides || {};
+  const out = [];
+
+  for (const wp of mesocycle.weekPlans) {
+    if (wp.week > mesocycle.weekCount) continue;
+    const weekStart = addDaysISO(mesocycle.startDateISO, (wp.week - 1) * 7);
+    const days = [...(wp.days || [])].sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+    const used = new Set(trainingDays ? trainingDays.slice(0, days.length) : []);
+    days.forEach((day, i) => {
+      let weekday = trainingDays?.[i] || day.dayOfWeek;
+      if (trainingDays && i >= trainingDays.length) {
+        // Short calendar: never stack a leftover day onto a used weekday
+        for (let k = 0; used.has(weekday) && k < 7; k++) weekday = weekday % 7 + 1;
+        if (used.has(weekday)) return;
+        used.add(weekday);
+      }
+      for (let offset = 0; offset < 7; offset++) {
+        const plannedDateISO = addDaysISO(weekStart, offset);
+        if (isoWeekday(plannedDateISO) !== weekday) continue;
+        const override = overrides[plannedDateISO];
+        if (override?.action === "skip") break;
+        const dateISO = override?.action === "move" && override.toDateISO ? override.toDateISO : plannedDateISO;
+        out.push({ dateISO, plannedDateISO, weekNum: wp.week, dayOfWeek: isoWeekday(dateISO), dayPlan: day, moved: dateISO !== plannedDateISO });
+        break;
+      }
+    });
+  }
+  return out.sort((a, b) => a.dateISO.localeCompare(b.dateISO));
+}
+
+/**
+ * Planned dates already trained. Sessions record the plannedDateISO they were
+ * executed from; older sessions consume their own date. Readiness-test-only
+ * sessions don't consume anything.
+ */
+function consumedPlannedDates(sessions) {
+  return new Set((sessions || [])
+    .filter(isWorkoutSession)
+    .map((s) => s.plannedDateISO || localDateISO(s.dateISO)));
+}
+
+/**
+ * Resolve the session to train on a date.
+ * status: "planned" | "moved" — today's (unconsumed) session
+ *         "catch_up"           — earlier session of this week that was missed
+ *         "consumed" | "rest"  — nothing due today; dayPlan previews the next session
+ *         "none"               — nothing left in the mesocycle
+ * @param {object} mesocycle
+ * @param {string} dateISO
+ * @param {{ calendar?: object, sessions?: Array }} options
+ * @returns {{ dayPlan, weekNum, plannedDateISO, status }}
+ */
+function getTodayPlan(mesocycle, dateISO, options = {}) {
+  const today = localDateISO(dateISO);
+  const weekNum = getMesocycleWeek(mesocycle, today);
+  const planned = plannedSessions(mesocycle, options.calendar);
+  const consumed = consumedPlannedDates(options.sessions);
+  const open = planned.filter((p) => !consumed.has(p.plannedDateISO));
+  const result = (p, status) => ({ dayPlan: p?.dayPlan || null, weekNum, plannedDateISO: p?.plannedDateISO || null, status });
+
+  const due = open.find((p) => p.dateISO === today);
+  if (due) return result(due, due.moved ? "moved" : "planned");
+
+  const trainedToday = planned.some((p) => p.dateISO === today) ||
+    (options.sessions || []).some((s) => isWorkoutSession(s) && localDateISO(s.dateISO) === today);
+  if (!trainedToday) {
+    const missed = open.find((p) => p.weekNum === weekNum && p.dateISO < today);
+    if (missed) return result(missed, "catch_up");
   }
-  return best;
+
+  const next = open.find((p) => p.dateISO > today);
+  if (next) return result(next, trainedToday ? "consumed" : "rest");
+  return result(null, "none");
+}
+
+const CALENDAR_STATUS_WHY = {
+  moved: "Siirretty treeni",
+  catch_up: "Väliin jäänyt treeni tältä viikolta",
+  consumed: "Päivän treeni tehty — esikatselu seuraavasta",
+  rest: "Lepopäivä — esikatselu seuraavasta treenistä",
+  none: "Mesosyklissä ei ole enää suunniteltuja treenejä",
+};
+
+function traceCalendar(trace, todayPlan, dateISO) {
+  if (todayPlan.status === "planned") return;
+  trace("CALENDAR_" + todayPlan.status.toUpperCase(), { dateISO: localDateISO(dateISO) },
+    { plannedDateISO: todayPlan.plannedDateISO, dayType: todayPlan.dayPlan?.dayType || null },
+    `${CALENDAR_STATUS_WHY[todayPlan.status]}${todayPlan.plannedDateISO ? ` (${todayPlan.plannedDateISO})` : ""}`);
 }
 
 /**
@@ -307,7 +515,7 @@ function calibrateMesocycle(varaFeedbackSets) {
   if (!varaFeedbackSets.length) return { adjustment: 0, reason: "Ei dataa" };
   const overshoots = varaFeedbackSets
     .filter((s) => s.targetVx !== null && s.actualVx !== null)
-    .map((s) => s.targetVx - s.actualVx);
+    .map((s) => s.actualVx - s.targetVx); // more Vara left than targeted = too light
   if (!overshoots.length) return { adjustment: 0, reason: "Ei Vara-dataa" };
 
   const avgOvershoot = avg(overshoots);
@@ -610,57 +818,324 @@ function velocityLossPercent(rep1Velocity, lastRepVelocity) {
   return ((rep1Velocity - lastRepVelocity) / rep1Velocity) * 100;
 }
 
+// ═══════════════════════════════════════════════════════════════
+// LOAD–VELOCITY PROFILE (primary lift)
+// ═══════════════════════════════════════════════════════════════
+
+// Weighted pull-up minimum velocity threshold when the athlete has no Vara 0 sets
+// (Sánchez-Moreno et al. 2017: ~0.23 m/s mean velocity at 1RM)
+const DEFAULT_PULLUP_MVT = 0.23;
+
+const LV_PROFILE_DEFAULTS = {
+  windowDays: 42,   // only sets from the last 6 weeks
+  maxSets: 30,
+  minSets: 6,
+  minLoadSpreadKg: 5, // need a spread of loads, otherwise the slope is noise
+  maxVelocityWeight: 0.5,
+};
+
+/**
+ * Fit a linear load–velocity profile v = intercept + slope × systemLoad on the
+ * primary lift's recent work sets (velocityMean logged). System load uses the
+ * session's bodyweight when known. The minimum velocity threshold (MVT) is the
+ * median velocity of Vara 0 sets, falling back to DEFAULT_PULLUP_MVT.
+ * @param {Array} sets — all sets (filtered here)
+ * @param {Array} sessions
+ * @param {object} options — { dateISO, bodyweightKg, primaryMovementId, bodyweightForSet, ...LV_PROFILE_DEFAULTS }
+ * @returns {object|null} { slope, intercept, r2, n, loadRange, mvt, mvtSource, mvtSets } or null if not enough data
+ */
+function fitLoadVelocityProfile(sets, sessions, options = {}) {
+  const cfg = { ...LV_PROFILE_DEFAULTS, ...options };
+  const dateISO = cfg.dateISO || todayISO();
+  const sessionMap = new Map(sessions.map((s) => [s.sessionId, s]));
+
+  const movementIds = cfg.primaryMovementId
+    ? new Set([cfg.primaryMovementId])
+    : new Set(sets.filter((s) => s.setRole === "top").map((s) => s.movementId));
+
+  const points = [];
+  for (const s of sets) {
+    if (!movementIds.has(s.movementId)) continue;
+    if (!["top", "backoff", "readiness_test"].includes(s.setRole)) continue;
+    if (!(s.velocityMean > 0) || s.externalLoadKg === null || s.externalLoadKg === undefined) continue;
+    const session = sessionMap.get(s.sessionId);
+    const setDate = session?.dateISO || s.dateISO;
+    if (!setDate) continue;
+    const age = daysBetweenISO(setDate, dateISO);
+    if (age < 0 || age > cfg.windowDays) continue;
+    const bw = cfg.bodyweightForSet ? cfg.bodyweightForSet(s) : (s.bodyweightKg ?? session?.bodyweightKg ?? cfg.bodyweightKg ?? 91);
+    points.push({ dateISO: setDate, load: bw + s.externalLoadKg, velocity: s.velocityMean, vara: s.actualVx ?? null });
+  }
+
+  points.sort((a, b) => a.dateISO.localeCompare(b.dateISO));
+  const recent = points.slice(-cfg.maxSets);
+  if (recent.length < cfg.minSets) return null;
+
+  const loads = recent.map((p) => p.load);
+  const minLoad = Math.min(...loads);
+  const maxLoad = Math.max(...loads);
+  if (maxLoad - minLoad < cfg.minLoadSpreadKg) return null;
+
+  const meanX = avg(loads);
+  const meanY = avg(recent.map((p) => p.velocity));
+  let sxy = 0, sxx = 0, syy = 0;
+  for (const p of recent) {
+    sxy += (p.load - meanX) * (p.velocity - meanY);
+    sxx += (p.load - meanX) ** 2;
+    syy += (p.velocity - meanY) ** 2;
+  }
+  const slope = sxy / sxx;
+  if (!(slope < 0)) return null; // heavier must be slower
+  const intercept = meanY - slope * meanX;
+  const r2 = syy > 0 ? (sxy * sxy) / (sxx * syy) : 0;
+
+  const failureVelocities = recent.filter((p) => p.vara === 0).map((p) => p.velocity);
+  const mvt = failureVelocities.length > 0 ? median(failureVelocities) : DEFAULT_PULLUP_MVT;
+
+  return {
+    slope,
+    intercept,
+    r2,
+    n: recent.length,
+    loadRange: [minLoad, maxLoad],
+    mvt,
+    mvtSource: failureVelocities.length > 0 ? "vara0" : "default",
+    mvtSets: failureVelocities.length,
+  };
+}
+
+/**
+ * Velocity-based system e1RM: the load at which the profile reaches MVT.
+ * @returns {number|null}
+ */
+function velocityE1RM(profile) {
+  if (!profile || !(profile.slope < 0)) return null;
+  const load = (profile.mvt - profile.intercept) / profile.slope;
+  return Number.isFinite(load) && load > 0 ? load : null;
+}
+
+/**
+ * Weight of the velocity estimate in the blend (0 … maxVelocityWeight).
+ * Scales with fit quality (r²) and sample size; halved when MVT is the
+ * population default or when 1RM is extrapolated far past the heaviest set.
+ */
+function velocityE1RMWeight(profile, e1rmVel, maxWeight = LV_PROFILE_DEFAULTS.maxVelocityWeight) {
+  if (!profile || e1rmVel === null) return 0;
+  let w = maxWeight * clamp(profile.r2, 0, 1) * Math.min(1, profile.n / 15);
+  if (profile.mvtSource === "default") w *= 0.5;
+  if (e1rmVel > profile.loadRange[1] * 1.3) w *= 0.5;
+  return Math.round(w * 100) / 100;
+}
+
+/**
+ * Blend the rep-based system e1RM (Epley or the movement's chosen model) with
+ * the velocity e1RM and trace both sources with their weights. Returns the
+ * rep-based value unchanged when there is no usable profile.
+ * @returns {{ e1rmSystem: number|null, sources: Array<{ source, e1rmSystem, weight }>, profile: object|null }}
+ */
+function blendE1RMSources(trace, epleyE1RM, profile, modelId = DEFAULT_E1RM_MODEL) {
+  // The velocity model already reads the profile per set — blending it in again would double-count
+  if (modelId === "velocity") {
+    return { e1rmSystem: epleyE1RM, sources: [{ source: "velocity_sets", e1rmSystem: epleyE1RM, weight: 1 }], profile };
+  }
+  const e1rmVel = velocityE1RM(profile);
+  const wVel = epleyE1RM !== null ? velocityE1RMWeight(profile, e1rmVel) : (e1rmVel !== null ? 1 : 0);
+  const repSource = modelId === DEFAULT_E1RM_MODEL ? "epley_vara" : `${modelId}_vara`;
+  const sources = [{ source: repSource, e1rmSystem: epleyE1RM, weight: 1 - wVel }];
+  if (e1rmVel !== null) sources.push({ source: "velocity", e1rmSystem: e1rmVel, weight: wVel });
+
+  if (wVel === 0) {
+    if (profile) {
+      trace("E1RM_VELOCITY_SKIPPED", {}, { r2: profile.r2, n: profile.n, velocityE1RM: e1rmVel },
+        "L–V-profiili liian epävarma → vain Epley/Vara-e1RM");
+    }
+    return { e1rmSystem: epleyE1RM, sources, profile };
+  }
+
+  const blended = epleyE1RM !== null ? epleyE1RM * (1 - wVel) + e1rmVel * wVel : e1rmVel;
+  trace("E1RM_VELOCITY_BLEND", { e1rmSystem: epleyE1RM }, {
+    e1rmSystem: blended,
+    epleyE1RM,
+    epleyWeight: 1 - wVel,
+    velocityE1RM: e1rmVel,
+    velocityWeight: wVel,
+    mvt: profile.mvt,
+    mvtSource: profile.mvtSource,
+    r2: profile.r2,
+    n: profile.n,
+  }, `e1RM: Epley/Vara ${epleyE1RM?.toFixed(1) ?? "–"} kg × ${(1 - wVel).toFixed(2)} + nopeus ${e1rmVel.toFixed(1)} kg × ${wVel.toFixed(2)} (MVT ${profile.mvt.toFixed(2)} m/s)`);
+  return { e1rmSystem: blended, sources, profile };
+}
+
+/**
+ * Rep-model system e1RM of the primary movement as recommend() computes it:
+ * median over the last 6 top sets, each at the bodyweight of its own date.
+ * The velocity model reads each set's velocityMean against the profile.
+ * @param {Array} topSets — primary top sets, oldest first
+ * @param {{ bodyweightForSet: Function, modelId?: string, profile?: object|null }} options
+ * @returns {{ e1rmSystem: number|null, recentSets: Array, setBodyweights: number[] }}
+ */
+function primaryModelE1RM(topSets, { bodyweightForSet, modelId = DEFAULT_E1RM_MODEL, profile = null }) {
+  const recentSets = topSets.slice(-6);
+  const setBodyweights = recentSets.map(bodyweightForSet);
+  const values = recentSets
+    .map((s, i) => {
+      const vara = s.actualVx ?? s.targetVx ?? 2;
+      return e1rmSystem(setBodyweights[i], s.externalLoadKg || 0, s.reps || s.targetReps || 3, vara,
+        modelId, { velocity: s.velocityMean, profile });
+    })
+    .filter((v) => v !== null);
+  return { e1rmSystem: values.length > 0 ? median(values) : null, recentSets, setBodyweights };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VELOCITY-ZONE AUTOREGULATION (active workout)
+// ═══════════════════════════════════════════════════════════════
+
+// Half-width (m/s) of the target mean-velocity zone around the profile's
+// predicted velocity at the prescribed load. Speed days have no upper bound:
+// faster than predicted is the point, not a reason to add load.
+const VELOCITY_ZONE_HALF_WIDTH = { heavy: 0.04, volume: 0.05, speed: 0.06, competition: 0.04 };
+const VELOCITY_ADJUST_MAX_PCT = 0.05; // max next-set change as a share of system load
+
+/**
+ * Target mean-velocity zone for a set prescribed at systemLoadKg.
+ * @returns {{ target: number, min: number, max: number|null }|null} null without a profile
+ *   or when the prescription is predicted to be at/below MVT
+ */
+function velocityZone(profile, systemLoadKg, dayType) {
+  if (!profile || systemLoadKg === null || systemLoadKg === undefined) return null;
+  const target = profile.intercept + profile.slope * systemLoadKg;
+  if (!(target > profile.mvt)) return null;
+  const half = VELOCITY_ZONE_HALF_WIDTH[dayType] ?? VELOCITY_ZONE_HALF_WIDTH.heavy;
+  const round = (v) => Math.round(v * 100) / 100;
+  return {
+    target: round(target),
+    min: round(Math.max(profile.mvt, target - half)),
+    max: dayType === "speed" ? null : round(target + half),
+  };
+}
+
+/**
+ * Next-set load from the last set's mean velocity. Outside the zone, today's
+ * profile is shifted by the observed velocity and the load that would hit the
+ * zone target is taken, capped at ±VELOCITY_ADJUST_MAX_PCT of system load.
+ * @returns {{ action: "hold"|"increase"|"decrease", nextLoadKg: number, deltaKg: number }}
+ */
+function autoregulateNextLoad({ velocity, zone, profile, externalLoadKg, bodyweightKg }) {
+  const hold = { action: "hold", nextLoadKg: externalLoadKg, deltaKg: 0 };
+  if (!zone || !profile || !(velocity > 0) || externalLoadKg === null || externalLoadKg === undefined) return hold;
+  const tooSlow = velocity < zone.min;
+  const tooFast = zone.max !== null && velocity > zone.max;
+  if (!tooSlow && !tooFast) return hold;
+
+  const systemLoad = bodyweightKg + externalLoadKg;
+  const maxShift = systemLoad * VELOCITY_ADJUST_MAX_PCT;
+  const shift = clamp((zone.target - velocity) / profile.slope, -maxShift, maxShift);
+  const nextLoadKg = roundToHalf(Math.max(0, externalLoadKg + shift));
+  const deltaKg = nextLoadKg - externalLoadKg;
+  if (deltaKg === 0) return hold;
+  return { action: deltaKg > 0 ? "increase" : "decrease", nextLoadKg, deltaKg };
+}
+
+/**
+ * Velocity loss of a set against the exercise's first completed work set
+ * (warm-ups never count as the reference).
+ * @param {Array} sets — exercise sets in order ({ velocity, completed, isWarmup })
+ * @param {number} currentIdx — index of the set just completed
+ * @returns {{ vl: number|null, referenceVelocity: number|null, exceeded: boolean }}
+ */
+function velocityLossCheck(sets, currentIdx, thresholdPct) {
+  const reference = sets.find((s, i) => i < currentIdx && s.completed && !s.isWarmup && s.velocity > 0);
+  const current = sets[currentIdx];
+  if (!reference || !(current?.velocity > 0)) return { vl: null, referenceVelocity: reference?.velocity ?? null, exceeded: false };
+  const vl = velocityLossPercent(reference.velocity, current.velocity);
+  return { vl, referenceVelocity: reference.velocity, exceeded: vl !== null && vl > thresholdPct };
+}
+
 // ═══════════════════════════════════════════════════════════════
 // RECOMMEND() — DETERMINISTIC RECOMMENDATION ENGINE
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Main recommendation function.
- * Input: mesocycle state, e1RM, readiness, settings
- * Output: recommended load, set prescription, decisionTrace
+ * Pure engine core: plan one training day from explicit inputs. Reads nothing
+ * from the database and writes nothing — mesocycles it would create and the
+ * recommendation itself come back as proposed effects for the caller to apply.
+ * @param {object} inputs — { settings, bodyweightKg, dateISO, mesocycle, sessions, calendar,
+ *   allSets, movements, recommendations, macrocycle, userTemplates, bodyweightMeasurements, readiness, primaryMovementId, e1rmModel, dayType }
+ * @returns {{ rec: object, traces: Array, effects: Array<{ type: "saveMesocycle", mesocycle } | { type: "saveMacrocycle", macrocycle } | { type: "saveRecommendation", rec }> }}
  */
-async function recommend(options = {}) {
-  const settings = options.settings || (await getSettings());
-  const bodyweightKg = options.bodyweightKg || settings.bodyweightKg || 91;
-  const dateISO = options.dateISO || todayISO();
+function planDay(inputs = {}) {
+  const settings = inputs.settings || {};
+  const bodyweightKg = inputs.bodyweightKg || settings.bodyweightKg || 91;
+  const dateISO = inputs.dateISO || todayISO();
 
+  const effects = [];
   const traces = [];
   function trace(ruleId, before, after, why) {
-    traces.push({ traceId: uid(), recId: null, ruleId, before: { ...before }, after: { ...after }, why });
+    traces.push({ traceId: uid(), recId: null, seq: traces.length, ruleId, before: { ...before }, after: { ...after }, why });
   }
 
   // 1. Get mesocycle
-  let mesocycle = options.mesocycle || (await getActiveMesocycle());
+  let mesocycle = inputs.mesocycle || null;
   if (!mesocycle) {
     mesocycle = createDefaultMesocycle(dateISO);
-    if (!options.dryRun) await saveMesocycle(mesocycle);
+    effects.push({ type: "saveMesocycle", mesocycle });
     trace("MESOCYCLE_CREATED", {}, { mesocycleId: mesocycle.mesocycleId }, "Uusi mesosykli luotu automaattisesti");
   }
 
   // 1b. Delegate peaking mesocycles to dedicated engine
   if (mesocycle.type === "peaking") {
-    return recommendPeaking({ ...options, mesocycle });
+    return planPeakingDay({ ...inputs, mesocycle });
   }
 
   // 2. Determine week and day
   let weekNum = getMesocycleWeek(mesocycle, dateISO);
-  if (weekNum === null) {
-    // Past end of mesocycle - start new one
-    mesocycle = createDefaultMesocycle(dateISO);
-    if (!options.dryRun) await saveMesocycle(mesocycle);
+  if (weekNum === null && dateISO < mesocycle.startDateISO) {
+    // Not started yet (macrocycle lead-in) - rest days previewing week 1
     weekNum = 1;
-    trace("MESOCYCLE_NEW_CYCLE", {}, { weekNum: 1 }, "Edellinen mesosykli päättyi → uusi aloitettu");
+    trace("MESOCYCLE_UPCOMING", {}, { startDateISO: mesocycle.startDateISO, type: mesocycle.type },
+      `Seuraava ${mesocycle.type}-jakso alkaa ${mesocycle.startDateISO}`);
+  } else if (weekNum === null) {
+    // Past end of mesocycle - analyze it, then start the macrocycle's next block
+    // or repeat its template, with the calibration applied
+    const finished = mesocycle;
+    const analysis = finishMesocycle(finished, { ...inputs, bodyweightKg }, effects, trace);
+    const activated = activateMacrocycleBlock(inputs.macrocycle, finished, dateISO, {
+      e1rmExternal: analysis.e1rm.end !== null ? Math.max(0, analysis.e1rm.end - bodyweightKg) : undefined,
+      bodyweightKg,
+    });
+    const repeated = activated?.mesocycle ||
+      createMesocycleFromTemplate(finished.userTemplateId, dateISO, { userTemplates: inputs.userTemplates }) ||
+      createMesocycleFromTemplate(finished.type || "default", dateISO) || createDefaultMesocycle(dateISO);
+    mesocycle = applyMesocycleCalibration(repeated, analysis, finished.mesocycleId);
+    effects.push({ type: "saveMesocycle", mesocycle });
+    if (activated) {
+      effects.push({ type: "saveMacrocycle", macrocycle: activated.macrocycle });
+      trace("MACROCYCLE_BLOCK_ACTIVATED", {}, { templateId: activated.block.templateId, startDateISO: activated.block.startDateISO },
+        `Makrosyklin seuraava jakso: ${activated.block.templateId} (${activated.block.startDateISO}–${activated.block.endDateISO})`);
+      if (mesocycle.type === "peaking") {
+        // Plan the day on the peaking block; the analysis and activation saves come first
+        const next = planPeakingDay({ ...inputs, mesocycle });
+        return { ...next, effects: [...effects, ...next.effects] };
+      }
+    }
+    weekNum = getMesocycleWeek(mesocycle, dateISO) || 1;
+    trace("MESOCYCLE_NEW_CYCLE", {}, { weekNum, type: mesocycle.type, deltaOffset: analysis.deltaOffset },
+      `Edellinen mesosykli päättyi → uusi ${mesocycle.type}-jakso aloitettu (kalibrointi ${analysis.deltaOffset >= 0 ? "+" : ""}${(analysis.deltaOffset * 100).toFixed(0)}%)`);
   }
 
   const weekDef = getWeekDef(mesocycle, weekNum);
-  const dayOfWeek = new Date(dateISO).getDay() || 7; // 1=Mon, 7=Sun
-  let dayPlan = getTodayPlan(mesocycle, weekNum, dayOfWeek);
-  let dayType = dayPlan?.dayType || options.dayType || "heavy";
+  const sessions = inputs.sessions || [];
+  const calendar = inputs.calendar || null;
+  const todayPlan = getTodayPlan(mesocycle, dateISO, { calendar, sessions });
+  let dayPlan = todayPlan.dayPlan;
+  let dayType = dayPlan?.dayType || inputs.dayType || "heavy";
 
   trace("MESOCYCLE_PHASE", {}, { weekNum, dayType, label: weekDef?.label }, `Viikko ${weekNum}: ${weekDef?.label || "?"}`);
+  traceCalendar(trace, todayPlan, dateISO);
 
   // 3. Break analysis
-  const sessions = options.sessions || (await getAllSessions());
   const lastSession = sessions[sessions.length - 1];
   const breakInfo = breakAnalysis(lastSession?.dateISO, dateISO);
 
@@ -678,7 +1153,7 @@ async function recommend(options = {}) {
       const resetInfo = mesocycleBreakReset(mesocycle, skippedWeeks);
       if (resetInfo.reset) {
         mesocycle = createDefaultMesocycle(dateISO);
-        if (!options.dryRun) await saveMesocycle(mesocycle);
+        effects.push({ type: "saveMesocycle", mesocycle });
         weekNum = 1;
         trace("MESOCYCLE_BREAK_RESET", {}, { weekNum: 1 }, resetInfo.reason);
       }
@@ -686,40 +1161,50 @@ async function recommend(options = {}) {
   }
 
   // 4. Compute e1RM from recent top sets
-  const allSets = options.allSets || (await getAllSets());
-  const primaryMovementId = options.primaryMovementId || null;
+  const allSets = inputs.allSets || [];
+  const primaryMovementId = inputs.primaryMovementId || null;
 
-  // Filter to primary movement top sets, sorted by date
+  // Filter to primary movement top sets, sorted by date.
+  // readiness_test sets are submaximal (~60% e1RM, no Vara) and are left out of e1RM.
   const topSets = allSets
     .filter((s) => {
       if (primaryMovementId && s.movementId !== primaryMovementId) return false;
-      return s.setRole === "top" || s.setRole === "readiness_test";
+      return s.setRole === "top";
     })
     .sort((a, b) => {
       // Sort by session date via sessionId lookup or timestamp
       return (a.timestamp || "").localeCompare(b.timestamp || "");
     });
 
-  // e1RM from last 4-6 top sets
-  const recentTopSets = topSets.slice(-6);
-  const e1rmValues = recentTopSets
-    .map((s) => {
-      const vara = s.actualVx ?? s.targetVx ?? 2;
-      return e1rmSystem(bodyweightKg, s.externalLoadKg || 0, s.reps || s.targetReps || 3, vara);
-    })
-    .filter((v) => v !== null);
-
-  const currentE1RMSystem = e1rmValues.length > 0 ? median(e1rmValues) : null;
-  const currentE1RMExternal = currentE1RMSystem !== null ? Math.max(0, currentE1RMSystem - bodyweightKg) : null;
+  // e1RM from last 4-6 top sets — each at the bodyweight of its own date
+  const bodyweightForSet = bodyweightLookup({
+    sessions,
+    measurements: inputs.bodyweightMeasurements || [],
+    fallbackKg: bodyweightKg,
+  });
+  const e1rmModelId = E1RM_MODELS[inputs.e1rmModel] ? inputs.e1rmModel : DEFAULT_E1RM_MODEL;
+  const lvProfile = settings.velocityE1RM === false && e1rmModelId !== "velocity" ? null
+    : fitLoadVelocityProfile(allSets, sessions, { dateISO, bodyweightKg, primaryMovementId, bodyweightForSet });
+  const { e1rmSystem: modelE1RMSystem, recentSets: recentTopSets, setBodyweights } =
+    primaryModelE1RM(topSets, { bodyweightForSet, modelId: e1rmModelId, profile: lvProfile });
 
   trace("E1RM_COMPUTED", {}, {
-    e1rmSystem: currentE1RMSystem?.toFixed(1),
-    e1rmExternal: currentE1RMExternal?.toFixed(1),
+    e1rmSystem: modelE1RMSystem?.toFixed(1),
+    e1rmExternal: modelE1RMSystem !== null ? Math.max(0, modelE1RMSystem - bodyweightKg).toFixed(1) : undefined,
+    model: e1rmModelId,
     fromSets: recentTopSets.length,
-  }, `e1RM laskettu ${recentTopSets.length} viimeisimmästä top-setistä`);
+    setBodyweightMin: setBodyweights.length ? Math.min(...setBodyweights) : undefined,
+    setBodyweightMax: setBodyweights.length ? Math.max(...setBodyweights) : undefined,
+    bodyweightKg,
+  }, `e1RM (${getE1RMModel(e1rmModelId).label}) laskettu ${recentTopSets.length} viimeisimmästä top-setistä (kunkin päivän kehonpainolla), lisäpaino tämän päivän ${bodyweightKg} kg:lla`);
+
+  // 4b. Blend velocity e1RM from the load–velocity profile
+  const e1rmBlend = blendE1RMSources(trace, modelE1RMSystem, lvProfile, e1rmModelId);
+  const currentE1RMSystem = e1rmBlend.e1rmSystem;
+  const currentE1RMExternal = currentE1RMSystem !== null ? Math.max(0, currentE1RMSystem - bodyweightKg) : null;
 
   // 5. Readiness
-  const readiness = options.readiness || { combined: "GREEN", capLevel: 0, channels: {} };
+  const readiness = inputs.readiness || { combined: "GREEN", capLevel: 0, channels: {} };
   const capLevel = readiness.capLevel;
 
   // 6. deltaPct calculation
@@ -742,6 +1227,22 @@ async function recommend(options = {}) {
     trace("BREAK_MODIFIER", { deltaPct: oldDelta }, { deltaPct: deltaPctRawValue }, `Tauko-modifikaattori: ${breakInfo.modifier * 100}%`);
   }
 
+  // 8b. Workload (ACWR / strain) — optional deload proposal, no progression today
+  const workload = workloadMetrics(
+    dailyWorkloads(allSets, { sessions, movements: inputs.movements || [], primaryMovementId, bodyweightForSet }),
+    dateISO);
+  let workloadDeload = null;
+  if (settings.workloadDeload?.enabled) {
+    workloadDeload = workloadDeloadProposal(workload, mesocycle, weekNum, settings.workloadDeload);
+    if (workloadDeload) {
+      const oldDelta = deltaPctRawValue;
+      deltaPctRawValue = Math.min(deltaPctRawValue, 0);
+      trace("WORKLOAD_DELOAD", { deltaPct: oldDelta, acwr: workload.acwr, strain: workload.strain },
+        { deltaPct: deltaPctRawValue, action: workloadDeload.action, deloadWeek: workloadDeload.deloadWeek },
+        `${workloadDeload.reasons.join(", ")} → ${workloadDeload.action === "shorten_block" ? `ehdotus: kevennys viikolta ${workloadDeload.deloadWeek} heti seuraavaksi` : "ehdotus: ylimääräinen kevennysviikko"}, ei nousua tänään`);
+    }
+  }
+
   // 9. Clamp
   const maxDelta = settings.maxDelta || 0.25;
   let deltaPct = clamp(deltaPctRawValue, -maxDelta, maxDelta);
@@ -781,8 +1282,7 @@ async function recommend(options = {}) {
 
   let targetExternalLoad;
   if (currentE1RMSystem !== null) {
-    const effectiveReps = targetReps + targetVx;
-    const targetSystemLoad = currentE1RMSystem / (1 + effectiveReps / 30);
+    const targetSystemLoad = systemLoadForPrescription(currentE1RMSystem, targetReps, targetVx, e1rmModelId);
     const rawExternal = targetSystemLoad * (1 + deltaPct) - bodyweightKg;
     targetExternalLoad = roundToHalf(Math.max(0, rawExternal));
   } else {
@@ -876,141 +1376,783 @@ async function recommend(options = {}) {
     readiness,
     e1rmSystem: currentE1RMSystem,
     e1rmExternal: currentE1RMExternal,
+    e1rmSources: e1rmBlend.sources,
+    e1rmModel: e1rmModelId,
+    loadVelocityProfile: lvProfile,
     bodyweightKg,
     varaFeedback: varaFB,
     breakInfo: breakInfo.breakDays >= 7 ? breakInfo : null,
     accessoryCapActive,
+    workload: { acute: workload.acute, chronic: workload.chronic, acwr: workload.acwr, monotony: workload.monotony, strain: workload.strain },
+    workloadDeload,
     dayPlan,
+    plannedDateISO: todayPlan.plannedDateISO,
+    calendarStatus: todayPlan.status,
     traces,
   };
 
   // Assign recId to all traces
   for (const t of traces) t.recId = rec.recId;
 
-  // Save if not dry run
-  if (!options.dryRun) {
-    await saveRecommendation({
-      recId: rec.recId,
-      sessionId: null,
-      variantId: null,
-      targetSetRole: "top",
-      targetLoadKg: targetExternalLoad,
-      deltaPct,
-      capLevel,
-      mesocycleWeek: weekNum,
-      dayType,
-      targetReps,
-      targetVx,
-      createdAtISO: new Date().toISOString(),
-    });
-    for (const t of traces) {
-      await saveDecisionTrace(t);
-    }
-  }
-
-  return rec;
+  effects.push({ type: "saveRecommendation", rec });
+  return { rec, traces, effects };
 }
 
-// ═══════════════════════════════════════════════════════════════
-// WEEKLY STIMULUS TRACKER
-// ═══════════════════════════════════════════════════════════════
-
-function weeklyStimulus(sets, movements) {
-  const movementMap = new Map(movements.map((m) => [m.movementId, m]));
-
-  let pullVolumeSets = 0;
-  let pullVolumeTonnage = 0;
-  let heavyExposures = 0;
-  let totalTonnageExternal = 0;
-  let totalTonnageSystem = 0;
-  const byCategory = {};
+/**
+ * Post-cycle analysis of a mesocycle that has ended. The first time, the
+ * analyzed mesocycle is queued as a saveMesocycle effect and traced.
+ * @returns {object} postCycleAnalysis
+ */
+function finishMesocycle(mesocycle, inputs, effects, trace) {
+  if (mesocycle.postCycleAnalysis) return mesocycle.postCycleAnalysis;
+  const analysis = analyzeMesocycle(mesocycle, {
+    ...inputs,
+    bodyweightForSet: bodyweightLookup({ sessions: inputs.sessions || [], measurements: inputs.bodyweightMeasurements || [], fallbackKg: inputs.bodyweightKg }),
+    recommendations: inputs.recommendations || [],
+  });
+  effects.push({ type: "saveMesocycle", mesocycle: { ...mesocycle, postCycleAnalysis: analysis } });
+  trace("MESOCYCLE_ANALYZED", {}, {
+    e1rmChange: analysis.e1rm.change?.toFixed(1), avgOvershoot: analysis.vara.avgOvershoot?.toFixed(2), deltaOffset: analysis.deltaOffset,
+  }, `Mesosyklin analyysi: ${analysis.calibration.reason}`);
+  return analysis;
+}
 
-  for (const s of sets) {
-    const mov = movementMap.get(s.movementId);
-    const category = mov?.category || "muu";
-    const loadKg = s.externalLoadKg || 0;
-    const reps = s.reps || 0;
-    const tonnage = loadKg * reps;
+/**
+ * Fill in every planDay() input the caller didn't pass from the database.
+ */
+async function loadPlanInputs(options = {}) {
+  const settings = options.settings || (await getSettings());
+  return {
+    ...options,
+    settings,
+    bodyweightKg: options.bodyweightKg || settings.bodyweightKg || 91,
+    dateISO: options.dateISO || todayISO(),
+    mesocycle: options.mesocycle || (await getActiveMesocycle()),
+    sessions: options.sessions || (await getAllSessions()),
+    calendar: options.calendar || (await getTrainingCalendar()),
+    allSets: options.allSets || (await getAllSets()),
+    movements: options.movements || (await getAllMovements()),
+    recommendations: options.recommendations || (await getAllRecommendations()),
+    macrocycle: options.macrocycle !== undefined ? options.macrocycle : await getMacrocycle(),
+    userTemplates: options.userTemplates || (await getAllUserTemplates()),
+    bodyweightMeasurements: options.bodyweightMeasurements || (await getMeasurementsByType("bodyweight")),
+  };
+}
 
-    totalTonnageExternal += tonnage;
+/**
+ * Apply the effects proposed by planDay()/planPeakingDay(), in order.
+ */
+async function applyPlanEffects(effects) {
+  for (const effect of effects) {
+    if (effect.type === "saveMesocycle") await saveMesocycle(effect.mesocycle);
+    else if (effect.type === "saveRecommendation") await persistRecommendation(effect.rec);
+    else if (effect.type === "saveMacrocycle") await saveMacrocycle(effect.macrocycle);
+  }
+}
 
-    if (PULL_VOLUME_CATEGORIES.has(category)) {
-      pullVolumeSets++;
-      pullVolumeTonnage += tonnage;
-    }
+/**
+ * Main recommendation function: loads missing inputs, runs planDay() and,
+ * unless dryRun, applies its effects.
+ * Input: mesocycle state, e1RM, readiness, settings
+ * Output: recommended load, set prescription, decisionTrace
+ */
+async function recommend(options = {}) {
+  const plan = planDay(await loadPlanInputs(options));
+  if (!options.dryRun) await applyPlanEffects(plan.effects);
+  return plan.rec;
+}
 
-    const effectiveReps = reps + (s.actualVx ?? s.targetVx ?? 2);
-    if (effectiveReps <= 4) heavyExposures++;
+/**
+ * Persist a recommendation and its trace chain to the recommendations and
+ * decisionTraces stores. recommend()/recommendPeaking() call this unless
+ * dryRun; the app calls it for the dry-run recommendation a workout is
+ * started from, so the History explorer sees what was actually prescribed.
+ */
+async function persistRecommendation(rec, sessionId = null) {
+  await saveRecommendation({
+    recId: rec.recId,
+    sessionId,
+    dateISO: rec.dateISO,
+    mesocycleId: rec.mesocycleId,
+    mesocycleType: rec.mesocycleType,
+    variantId: null,
+    targetSetRole: "top",
+    targetLoadKg: rec.targetExternalLoad,
+    deltaPct: rec.deltaPct,
+    capLevel: rec.capLevel ?? 0,
+    mesocycleWeek: rec.weekNum,
+    weekLabel: rec.weekLabel,
+    dayType: rec.dayType,
+    targetReps: rec.targetReps,
+    targetVx: rec.targetVx,
+    setCount: rec.setCount,
+    e1rmSystem: rec.e1rmSystem,
+    e1rmExternal: rec.e1rmExternal,
+    e1rmSources: rec.e1rmSources || null,
+    e1rmModel: rec.e1rmModel || null,
+    bodyweightKg: rec.bodyweightKg,
+    readinessCombined: rec.readiness?.combined || null,
+    dayPlan: rec.dayPlan || null,
+    createdAtISO: new Date().toISOString(),
+  });
+  for (const t of rec.traces || []) {
+    await saveDecisionTrace(t);
+  }
+}
 
-    if (!byCategory[category]) byCategory[category] = { sets: 0, tonnage: 0 };
-    byCategory[category].sets++;
-    byCategory[category].tonnage += tonnage;
+/**
+ * Persist in-workout velocity autoregulation decisions as a continuation of
+ * the recommendation's trace chain. Traces are keyed by recId (the explorer
+ * and backups require it), so a workout started without a recommendation
+ * saves none.
+ * @returns {Promise<number>} number of traces saved
+ */
+async function persistAutoregulationTraces(traces, recId, sessionId) {
+  if (!recId || !traces?.length) return 0;
+  const seqBase = (await getTracesForRec(recId)).length;
+  for (const [i, t] of traces.entries()) {
+    await saveDecisionTrace({ traceId: uid(), recId, sessionId, seq: seqBase + i, ...t });
   }
+  return traces.length;
+}
 
-  return {
-    pullVolumeSets,
-    pullVolumeTonnage,
-    heavyExposures,
-    totalTonnageExternal,
-    byCategory,
+/** Headline fields compared by diffRecommendations(). */
+const REC_DIFF_FIELDS = [
+  "dayType", "mesocycleWeek", "targetLoadKg", "deltaPct", "capLevel",
+  "targetReps", "targetVx", "setCount", "e1rmSystem", "bodyweightKg", "readinessCombined",
+];
+
+/**
+ * Diff two stored recommendations rule by rule.
+ * Traces are paired by ruleId and occurrence (a rule can fire more than once),
+ * so "why was Monday +70 kg but Wednesday +66 kg" reads as a list of rules that
+ * fired on one day only or produced different after-values.
+ * @returns {{ fields: Array<{key, a, b}>, rules: Array<{ruleId, a, b, status}> }}
+ *   status: "same" | "changed" | "only_a" | "only_b"
+ */
+function diffRecommendations(recA, tracesA, recB, tracesB) {
+  const fields = REC_DIFF_FIELDS
+    .filter((key) => JSON.stringify(recA?.[key] ?? null) !== JSON.stringify(recB?.[key] ?? null))
+    .map((key) => ({ key, a: recA?.[key] ?? null, b: recB?.[key] ?? null }));
+
+  const keyed = (traces) => {
+    const seen = {};
+    const out = new Map();
+    for (const t of [...(traces || [])].sort((x, y) => (x.seq ?? 0) - (y.seq ?? 0))) {
+      const n = seen[t.ruleId] = (seen[t.ruleId] || 0) + 1;
+      out.set(`${t.ruleId}#${n}`, t);
+    }
+    return out;
   };
+  const mapA = keyed(tracesA);
+  const mapB = keyed(tracesB);
+
+  const rules = [];
+  for (const [key, a] of mapA) {
+    const b = mapB.get(key) || null;
+    const status = !b ? "only_a"
+      : JSON.stringify(a.after) === JSON.stringify(b.after) && JSON.stringify(a.before) === JSON.stringify(b.before) ? "same"
+      : "changed";
+    rules.push({ ruleId: a.ruleId, a, b, status });
+  }
+  for (const [key, b] of mapB) {
+    if (!mapA.has(key)) rules.push({ ruleId: b.ruleId, a: null, b, status: "only_b" });
+  }
+  return { fields, rules };
 }
 
 // ═══════════════════════════════════════════════════════════════
-// STAGNATION DETECTION
+// PRESCRIPTION ADHERENCE
 // ═══════════════════════════════════════════════════════════════
 
-function checkStagnation(progress) {
-  if (!progress || progress.stagnationWeeks < 3) {
-    return { stagnated: false, severity: null, message: null };
-  }
-  if (progress.stagnationWeeks >= 6) {
+/**
+ * Compare a stored recommendation (session.recId) with the sets executed from it.
+ * Sets carry slotIdx (index in rec.dayPlan.slots) and targetLoadKg (load prescribed
+ * when the workout started); sets without slotIdx were added by the athlete.
+ * @param {object} rec — recommendations-store record (with dayPlan)
+ * @param {Array} sets — the session's sets
+ * @returns {{ slots: Array, added: Array, summary: object }}
+ */
+function sessionAdherence(rec, sets) {
+  const workSets = (sets || []).filter((s) => s.setRole !== "readiness_test");
+  const meanOf = (vals) => {
+    const v = vals.filter((x) => x !== null && x !== undefined);
+    return v.length ? avg(v) : null;
+  };
+
+  const slots = (rec?.dayPlan?.slots || []).map((slot, slotIdx) => {
+    const done = workSets.filter((s) => s.slotIdx === slotIdx);
+    const prescribedLoad = meanOf(done.map((s) => s.targetLoadKg))
+      ?? (slot.role === "primary" ? rec.targetLoadKg ?? null : null);
     return {
-      stagnated: true,
-      severity: "orange",
-      message: `${progress.stagnationWeeks} viikkoa ilman edistystä — suosittelemme liikkeen vaihtoa`,
+      slotIdx,
+      role: slot.role,
+      category: slot.category,
+      movementName: slot.defaultMovementName || slot.category,
+      status: done.length === 0 ? "skipped" : "done",
+      prescribed: { sets: slot.sets, reps: slot.reps, targetVx: slot.targetVx ?? null, loadKg: prescribedLoad },
+      actual: {
+        sets: done.length,
+        reps: meanOf(done.map((s) => s.reps)),
+        vara: meanOf(done.map((s) => s.actualVx)),
+        loadKg: meanOf(done.map((s) => s.externalLoadKg)),
+      },
     };
+  });
+
+  // Extra exercises the athlete added, grouped by movement
+  const addedByMovement = {};
+  for (const s of workSets.filter((x) => x.slotIdx === null || x.slotIdx === undefined)) {
+    const key = s.movementId || "?";
+    if (!addedByMovement[key]) addedByMovement[key] = { movementId: s.movementId || null, sets: 0, reps: [], loads: [] };
+    addedByMovement[key].sets++;
+    addedByMovement[key].reps.push(s.reps);
+    addedByMovement[key].loads.push(s.externalLoadKg);
   }
-  return {
-    stagnated: true,
-    severity: "yellow",
-    message: `${progress.stagnationWeeks} viikkoa ilman edistystä — harkitse liikkeen vaihtoa`,
+  const added = Object.values(addedByMovement).map((a) => ({
+    movementId: a.movementId, sets: a.sets, reps: meanOf(a.reps), loadKg: meanOf(a.loads),
+  }));
+
+  const done = slots.filter((s) => s.status === "done");
+  const prescribedSets = slots.reduce((n, s) => n + (s.prescribed.sets || 0), 0);
+  const summary = {
+    prescribedSets,
+    actualSets: done.reduce((n, s) => n + s.actual.sets, 0),
+    setCompliance: prescribedSets > 0 ? done.reduce((n, s) => n + Math.min(s.actual.sets, s.prescribed.sets || 0), 0) / prescribedSets : null,
+    loadDeltaPct: meanOf(done.filter((s) => s.prescribed.loadKg > 0 && s.actual.loadKg !== null)
+      .map((s) => (s.actual.loadKg - s.prescribed.loadKg) / s.prescribed.loadKg)),
+    repsDelta: meanOf(done.filter((s) => s.prescribed.reps && s.actual.reps !== null).map((s) => s.actual.reps - s.prescribed.reps)),
+    varaDelta: meanOf(done.filter((s) => s.prescribed.targetVx !== null && s.actual.vara !== null).map((s) => s.actual.vara - s.prescribed.targetVx)),
+    skipped: slots.length - done.length,
+    added: added.length,
   };
+  return { slots, added, summary };
 }
 
-// ═══════════════════════════════════════════════════════════════
-// READINESS TEST LOAD (skaalautuva)
-// ═══════════════════════════════════════════════════════════════
-
 /**
- * Laskee readiness-velocity-testin kuorman e1RM:n perusteella.
- * ~60% e1RM:stä, pyöristettynä lähimpään 2.5 kg. Min 20, max 80.
- * @param {number|null} e1rmExternal — urheilijan e1RM lisäpaino (kg)
- * @returns {number} readiness-testikuorma (kg)
+ * Roll per-session adherence summaries up to a week or a mesocycle.
+ * @param {Array} summaries — sessionAdherence(...).summary objects
  */
-function readinessTestLoad(e1rmExternal) {
-  if (e1rmExternal === null || e1rmExternal === undefined || e1rmExternal <= 0) return 40;
-  const raw = e1rmExternal * 0.6;
-  const rounded = Math.round(raw / 2.5) * 2.5;
-  return clamp(rounded, 20, 80);
+function aggregateAdherence(summaries) {
+  const meanOf = (key) => {
+    const v = summaries.map((s) => s[key]).filter((x) => x !== null && x !== undefined);
+    return v.length ? avg(v) : null;
+  };
+  return {
+    sessionCount: summaries.length,
+    prescribedSets: summaries.reduce((n, s) => n + s.prescribedSets, 0),
+    actualSets: summaries.reduce((n, s) => n + s.actualSets, 0),
+    setCompliance: meanOf("setCompliance"),
+    loadDeltaPct: meanOf("loadDeltaPct"),
+    repsDelta: meanOf("repsDelta"),
+    varaDelta: meanOf("varaDelta"),
+    skipped: summaries.reduce((n, s) => n + s.skipped, 0),
+    added: summaries.reduce((n, s) => n + s.added, 0),
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════
-// SPEED DAY LOAD
+// BACKTEST — REPLAY HISTORY THROUGH planDay()
 // ═══════════════════════════════════════════════════════════════
 
-function speedDayLoad(e1rmExternal, bodyweightKg) {
-  // Speed day: ~55-60% of 1RM, max intent
-  if (e1rmExternal === null) return null;
-  const pct = 0.575; // midpoint of 55-60%
-  const systemE1RM = e1rmExternal + bodyweightKg;
-  const targetSystem = systemE1RM * pct;
-  return roundToHalf(Math.max(0, targetSystem - bodyweightKg));
+/** A set that fell short: fewer reps than attempted or prescribed. */
+function isFailedSet(s) {
+  return (s.attemptedReps > 0 && s.attemptedReps > s.reps) || (s.targetReps > 0 && s.reps < s.targetReps);
+}
+
+/**
+ * The mesocycle as it stood on dateISO: a copy with every adaptationLog change
+ * applied after that day reverted, newest first. Changes reverted after dateISO
+ * are not re-applied (the log keeps no forward diff for week restructures).
+ * @returns {{ mesocycle: object, revertedChangeIds: string[] }}
+ */
+function mesocycleAsOf(mesocycle, dateISO) {
+  const copy = JSON.parse(JSON.stringify(mesocycle));
+  const later = (copy.adaptationLog || [])
+    .filter((e) => !e.revertedAtISO && e.appliedAtISO && localDateISO(e.appliedAtISO) > dateISO)
+    .sort((a, b) => b.appliedAtISO.localeCompare(a.appliedAtISO));
+  for (const e of later) revertAdaptationChange(copy, e.changeId, e.appliedAtISO);
+  return { mesocycle: copy, revertedChangeIds: later.map((e) => e.changeId) };
+}
+
+/**
+ * The training calendar as it stood on dateISO: overrides created after that
+ * day are dropped. Overrides without createdAtISO (made before it was
+ * recorded) and the weekday pattern cannot be dated and are kept as they are now.
+ * @returns {{ calendar: object, undatedOverrides: number }}
+ */
+function calendarAsOf(calendar, dateISO) {
+  const overrides = {};
+  let undatedOverrides = 0;
+  for (const [plannedDateISO, o] of Object.entries(calendar?.overrides || {})) {
+    if (!o.createdAtISO) undatedOverrides++;
+    else if (localDateISO(o.createdAtISO) > dateISO) continue;
+    overrides[plannedDateISO] = o;
+  }
+  return { calendar: { ...calendar, overrides }, undatedOverrides };
+}
+
+/**
+ * Readiness as it would have been computed on dateISO, from data up to that day:
+ * that day's readiness test / HRV against earlier ones, Vara from earlier top sets.
+ * @param {string} dateISO
+ * @param {{ sets: Array, hrvMeasurements?: Array, settings?: object, setDateISO?: Function }} data
+ */
+function readinessAsOf(dateISO, data) {
+  const { sets, hrvMeasurements = [], settings = {} } = data;
+  const dateOf = data.setDateISO || ((s) => s.dateISO || (s.timestamp || "").slice(0, 10));
+
+  const { todayTest, baselineValues } = readinessVelocitySeries(sets.filter((s) => dateOf(s) <= dateISO), dateISO);
+  const velR = velocityReadiness(todayTest ? todayTest.velocityRep1 : null, baselineValues, settings.readinessVelocityWindowN || 10);
+
+  const hrv = hrvMeasurements
+    .filter((m) => m.dateISO && m.dateISO <= dateISO && m.valueTransformed !== null && m.valueTransformed !== undefined)
+    .sort((a, b) => a.dateISO.localeCompare(b.dateISO));
+  const todayHrv = hrv.filter((m) => m.dateISO === dateISO).pop();
+  const hrvR = hrvReadiness(todayHrv ? todayHrv.valueTransformed : null,
+    hrv.filter((m) => m.dateISO < dateISO).map((m) => m.valueTransformed), settings.readinessHrvWindowN || 14);
+
+  const topSets = sets
+    .filter((s) => s.setRole === "top" && s.actualVx !== null && s.actualVx !== undefined && dateOf(s) < dateISO)
+    .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""));
+  const varaR = varaReadiness(topSets, settings.readinessVaraWindowN || 5);
+
+  return combineReadiness(velR, hrvR, varaR);
+}
+
+/**
+ * Walk the stored sessions chronologically and run planDay() for every day the
+ * primary lift was trained, giving it only the sessions, sets and measurements
+ * logged before that day (readiness also uses that morning's test and HRV). The prescription is compared with the primary top sets
+ * actually performed. The mesocycle and calendar are rolled back to that day
+ * (mesocycleAsOf(), calendarAsOf()); what cannot be rolled back is listed in
+ * params.limitations. Nothing is written to the database.
+ * @param {object} options — { settings, sessions, allSets, mesocycles, calendar,
+ *   bodyweightMeasurements, hrvMeasurements, primaryMovementId, e1rmModel, bodyweightKg, onProgress }
+ * @returns {Promise<{ generatedAtISO, params, days: Array, summary: object }>}
+ */
+async function backtestRecommendations(options = {}) {
+  const settings = options.settings || (await getSettings());
+  const sessions = [...(options.sessions || (await getAllSessions()))].sort((a, b) => (a.dateISO || "").localeCompare(b.dateISO || ""));
+  const allSets = options.allSets || (await getAllSets());
+  const mesocycles = options.mesocycles || (await getAllMesocycles());
+  const calendar = options.calendar || (await getTrainingCalendar());
+  const bodyweightMeasurements = options.bodyweightMeasurements || (await getMeasurementsByType("bodyweight"));
+  const hrvMeasurements = options.hrvMeasurements || (await getMeasurementsByType("HRV"));
+  const primaryMovementId = options.primaryMovementId || null;
+  const fallbackBodyweightKg = options.bodyweightKg || settings.bodyweightKg || 91;
+
+  const sessionMap = new Map(sessions.map((s) => [s.sessionId, s]));
+  const mesoMap = new Map(mesocycles.map((m) => [m.mesocycleId, m]));
+  const dateOf = (s) => sessionMap.get(s.sessionId)?.dateISO || s.dateISO || (s.timestamp || "").slice(0, 10);
+  const isPrimaryTop = (s) => s.setRole === "top" && (!primaryMovementId || s.movementId === primaryMovementId);
+
+  // Training days = dates with at least one primary top set
+  const primaryByDate = new Map();
+  for (const s of allSets.filter(isPrimaryTop)) {
+    const d = dateOf(s);
+    if (!d) continue;
+    if (!primaryByDate.has(d)) primaryByDate.set(d, []);
+    primaryByDate.get(d).push(s);
+  }
+  const dates = [...primaryByDate.keys()].sort();
+
+  // Mesocycle in force on a date: the session's own, else the latest that had started
+  const mesocycleFor = (dateISO, daySessions) => {
+    const own = daySessions.map((s) => mesoMap.get(s.mesocycleId)).find(Boolean);
+    if (own) return own;
+    const started = mesocycles
+      .filter((m) => m.startDateISO && m.startDateISO <= dateISO)
+      .sort((a, b) => a.startDateISO.localeCompare(b.startDateISO));
+    return started.pop() || createDefaultMesocycle(dates[0]);
+  };
+
+  const days = [];
+  const revertedChangeIds = new Set();
+  let undatedOverrides = 0;
+  for (const [i, dateISO] of dates.entries()) {
+    const pastSessions = sessions.filter((s) => s.dateISO < dateISO);
+    const pastSets = allSets.filter((s) => dateOf(s) < dateISO);
+    const daySessions = sessions.filter((s) => s.dateISO === dateISO);
+    // Program and calendar as they stood that day
+    const asOf = mesocycleAsOf(mesocycleFor(dateISO, daySessions), dateISO);
+    for (const id of asOf.revertedChangeIds) revertedChangeIds.add(id);
+    const dayCalendar = calendarAsOf(calendar, dateISO);
+    undatedOverrides = dayCalendar.undatedOverrides;
+    const bodyweightKg = bodyweightLookup({
+      sessions: [...pastSessions, ...daySessions],
+      measurements: bodyweightMeasurements.filter((m) => m.dateISO <= dateISO),
+      fallbackKg: fallbackBodyweightKg,
+    })({ sessionId: daySessions[0]?.sessionId, dateISO });
+    const readiness = readinessAsOf(dateISO, { sets: allSets, hrvMeasurements, settings, setDateISO: dateOf });
+
+    const { rec } = planDay({
+      settings,
+      bodyweightKg,
+      dateISO,
+      mesocycle: asOf.mesocycle,
+      calendar: dayCalendar.calendar,
+      sessions: pastSessions,
+      allSets: pastSets,
+      bodyweightMeasurements: bodyweightMeasurements.filter((m) => m.dateISO < dateISO),
+      readiness,
+      primaryMovementId,
+      e1rmModel: options.e1rmModel,
+    });
+
+    const done = primaryByDate.get(dateISO);
+    const loads = done.map((s) => s.externalLoadKg).filter((v) => v !== null && v !== undefined);
+    const varas = done.map((s) => s.actualVx).filter((v) => v !== null && v !== undefined);
+    const actualLoad = loads.length ? avg(loads) : null;
+    days.push({
+      dateISO,
+      dayType: rec.dayType,
+      capLevel: rec.capLevel,
+      readiness: readiness.combined,
+      prescribed: { loadKg: rec.targetExternalLoad, reps: rec.targetReps, targetVx: rec.targetVx },
+      actual: { loadKg: actualLoad, reps: avg(done.map((s) => s.reps || 0)), vara: varas.length ? avg(varas) : null, sets: done.length },
+      loadErrorKg: actualLoad !== null && rec.targetExternalLoad !== null ? actualLoad - rec.targetExternalLoad : null,
+      varaSets: varas.length,
+      varaMisses: varas.filter((v) => v !== rec.targetVx).length,
+      failedSets: done.filter(isFailedSet).length,
+      ruleIds: [...new Set(rec.traces.map((t) => t.ruleId))],
+    });
+    if (options.onProgress) options.onProgress(i + 1, dates.length);
+  }
+
+  // What could not be rebuilt as of each day
+  const limitations = ["Viikonpäivärytmi on nykyinen — sen aiempia muutoksia ei tallenneta"];
+  if (undatedOverrides > 0) limitations.push(`${undatedOverrides} kalenterimuutosta ilman luontiaikaa on mukana kaikkina päivinä`);
+  if (mesocycles.some((m) => (m.adaptationLog || []).some((e) => e.revertedAtISO))) {
+    limitations.push("Myöhemmin perutut ohjelmamuutokset puuttuvat myös päiviltä, joina ne olivat voimassa");
+  }
+
+  return {
+    generatedAtISO: new Date().toISOString(),
+    params: {
+      primaryMovementId, e1rmModel: options.e1rmModel || DEFAULT_E1RM_MODEL, days: days.length,
+      revertedAdaptations: revertedChangeIds.size, limitations,
+    },
+    days,
+    summary: summarizeBacktest(days),
+  };
+}
+
+/**
+ * Error metrics for a list of backtest days: overall, per day type and per
+ * rule (days where the rule fired), plus how often a RED cap preceded a failed set.
+ */
+function summarizeBacktest(days) {
+  const metrics = (list) => {
+    const errors = list.map((d) => d.loadErrorKg).filter((v) => v !== null);
+    const varaSets = list.reduce((n, d) => n + d.varaSets, 0);
+    return {
+      days: list.length,
+      maeLoadKg: errors.length ? avg(errors.map(Math.abs)) : null,
+      biasLoadKg: errors.length ? avg(errors) : null,
+      varaMissRate: varaSets > 0 ? list.reduce((n, d) => n + d.varaMisses, 0) / varaSets : null,
+      failureDayRate: list.length ? list.filter((d) => d.failedSets > 0).length / list.length : null,
+    };
+  };
+  const groupBy = (keysOf) => {
+    const groups = {};
+    for (const d of days) {
+      for (const key of keysOf(d)) (groups[key] = groups[key] || []).push(d);
+    }
+    return Object.fromEntries(Object.entries(groups).map(([k, list]) => [k, metrics(list)]));
+  };
+
+  const red = days.filter((d) => d.capLevel === 2);
+  const other = days.filter((d) => d.capLevel !== 2);
+  return {
+    overall: metrics(days),
+    byDayType: groupBy((d) => [d.dayType]),
+    byRule: groupBy((d) => d.ruleIds),
+    redCap: {
+      days: red.length,
+      followedByFailure: red.filter((d) => d.failedSets > 0).length,
+      failureRate: red.length ? red.filter((d) => d.failedSets > 0).length / red.length : null,
+      failureRateOtherDays: other.length ? other.filter((d) => d.failedSets > 0).length / other.length : null,
+    },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════
-// OURA HRV CONVERSION
-// ═══════════════════════════════════════════════════════════════
+// WEEKLY STIMULUS TRACKER
+// ═══════════════════════════════════════════════════════════════
+
+function weeklyStimulus(sets, movements) {
+  const movementMap = new Map(movements.map((m) => [m.movementId, m]));
+
+  let pullVolumeSets = 0;
+  let pullVolumeTonnage = 0;
+  let heavyExposures = 0;
+  let totalTonnageExternal = 0;
+  let totalTonnageSystem = 0;
+  const byCategory = {};
+
+  for (const s of sets) {
+    const mov = movementMap.get(s.movementId);
+    const category = mov?.category || "muu";
+    const loadKg = s.externalLoadKg || 0;
+    const reps = s.reps || 0;
+    const tonnage = loadKg * reps;
+
+    totalTonnageExternal += tonnage;
+
+    if (PULL_VOLUME_CATEGORIES.has(category)) {
+      pullVolumeSets++;
+      pullVolumeTonnage += tonnage;
+    }
+
+    const effectiveReps = reps + (s.actualVx ?? s.targetVx ?? 2);
+    if (effectiveReps <= 4) heavyExposures++;
+
+    if (!byCategory[category]) byCategory[category] = { sets: 0, tonnage: 0 };
+    byCategory[category].sets++;
+    byCategory[category].tonnage += tonnage;
+  }
+
+  return {
+    pullVolumeSets,
+    pullVolumeTonnage,
+    heavyExposures,
+    totalTonnageExternal,
+    byCategory,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WORKLOAD MONITORING (ACWR, MONOTONY, STRAIN)
+// ═══════════════════════════════════════════════════════════════
+
+// Weeks with deltaPctBase at or below this are deload weeks
+const DELOAD_DELTA_MAX = -0.20;
+
+/**
+ * Daily training load from the sets store. Set load = tonnage: system load ×
+ * reps for the primary movement, external load × reps for the rest.
+ * Readiness tests are left out.
+ * @param {Array} sets
+ * @param {{ sessions: Array, movements?: Array, primaryMovementId?: string, bodyweightForSet?: Function, bodyweightKg?: number }} context
+ * @returns {Map<string, { load: number, byCategory: Object<string, number> }>} by dateISO
+ */
+function dailyWorkloads(sets, context = {}) {
+  const { sessions = [], movements = [], primaryMovementId = null, bodyweightKg = 91 } = context;
+  const bwForSet = context.bodyweightForSet || bodyweightLookup({ sessions, fallbackKg: bodyweightKg });
+  const sessionMap = new Map(sessions.map((s) => [s.sessionId, s]));
+  const movementMap = new Map(movements.map((m) => [m.movementId, m]));
+  const days = new Map();
+
+  for (const s of sets) {
+    if (s.setRole === "readiness_test" || !(s.reps >= 1)) continue;
+    const dateRaw = sessionMap.get(s.sessionId)?.dateISO || s.dateISO || s.timestamp;
+    if (!dateRaw) continue;
+    const mov = movementMap.get(s.movementId);
+    const isPrimary = primaryMovementId ? s.movementId === primaryMovementId : !!mov?.isPrimary;
+    const load = ((isPrimary ? bwForSet(s) : 0) + (s.externalLoadKg || 0)) * s.reps;
+    const category = mov?.category || (isPrimary ? "vertikaaliveto" : "muu");
+
+    const dateISO = localDateISO(dateRaw);
+    const day = days.get(dateISO) || { load: 0, byCategory: {} };
+    day.load += load;
+    day.byCategory[category] = (day.byCategory[category] || 0) + load;
+    days.set(dateISO, day);
+  }
+  return days;
+}
+
+/**
+ * Rolling workload metrics on a date (days up to and including dateISO).
+ * acute = 7-day load, chronic = 28-day load / 4 (weekly average),
+ * ACWR = acute / chronic (null until 21 days of history), Foster monotony =
+ * mean / SD of the 7 daily loads (rest days = 0), strain = acute × monotony.
+ * @param {Map} daily — from dailyWorkloads()
+ * @returns {{ dateISO, acute, chronic, acwr, monotony, strain, historyDays, byCategory: Object<string, { acute, chronic, acwr }> }}
+ */
+function workloadMetrics(daily, dateISO) {
+  const dates = [...daily.keys()].filter((d) => d <= dateISO).sort();
+  const historyDays = dates.length ? daysBetweenISO(dates[0], dateISO) + 1 : 0;
+  const window = (n) => Array.from({ length: n }, (_, i) => daily.get(addDaysISO(dateISO, -i)) || { load: 0, byCategory: {} });
+  const week = window(7);
+  const month = window(28);
+  const ratio = (acute, chronic) => (historyDays >= 21 && chronic > 0 ? acute / chronic : null);
+
+  const loads7 = week.map((d) => d.load);
+  const acute = loads7.reduce((a, b) => a + b, 0);
+  const chronic = month.reduce((a, d) => a + d.load, 0) / 4;
+  const mean7 = acute / 7;
+  const sd7 = Math.sqrt(loads7.reduce((a, v) => a + (v - mean7) ** 2, 0) / 7);
+  const monotony = sd7 > 0 ? mean7 / sd7 : null;
+
+  const byCategory = {};
+  month.forEach((d, i) => {
+    for (const [category, load] of Object.entries(d.byCategory)) {
+      const c = byCategory[category] || (byCategory[category] = { acute: 0, chronic: 0, acwr: null });
+      if (i < 7) c.acute += load;
+      c.chronic += load / 4;
+    }
+  });
+  for (const c of Object.values(byCategory)) c.acwr = ratio(c.acute, c.chronic);
+
+  return {
+    dateISO, acute, chronic,
+    acwr: ratio(acute, chronic),
+    monotony,
+    strain: monotony !== null ? acute * monotony : null,
+    historyDays,
+    byCategory,
+  };
+}
+
+/**
+ * Deload proposal when ACWR or strain exceeds the configured limits.
+ * A later deload week in the mesocycle is pulled forward ("shorten_block");
+ * without one, a deload week is inserted after the current week
+ * ("insert_deload"). Nothing is proposed in or right before a deload week.
+ * @param {object} metrics — workloadMetrics()
+ * @param {{ acwrMax?: number, strainMax?: number|null }} limits
+ * @returns {{ action, weekNum, deloadWeek, reasons: string[], acwr, strain }|null}
+ */
+function workloadDeloadProposal(metrics, mesocycle, weekNum, limits = {}) {
+  const { acwrMax, strainMax } = { ...WORKLOAD_DELOAD_DEFAULTS, ...limits };
+  const reasons = [];
+  if (acwrMax && metrics.acwr !== null && metrics.acwr > acwrMax) reasons.push(`ACWR ${metrics.acwr.toFixed(2)} > ${acwrMax}`);
+  if (strainMax && metrics.strain !== null && metrics.strain > strainMax) reasons.push(`strain ${Math.round(metrics.strain)} > ${strainMax}`);
+  if (!reasons.length || !mesocycle?.weekDefs) return null;
+
+  const isDeload = (w) => (getWeekDef(mesocycle, w)?.deltaPctBase ?? 0) <= DELOAD_DELTA_MAX;
+  if (isDeload(weekNum) || isDeload(weekNum + 1)) return null;
+
+  const laterDeload = mesocycle.weekDefs.find((w) => w.week > weekNum + 1 && w.deltaPctBase <= DELOAD_DELTA_MAX);
+  return {
+    action: laterDeload ? "shorten_block" : "insert_deload",
+    weekNum,
+    deloadWeek: laterDeload ? laterDeload.week : weekNum + 1,
+    reasons,
+    acwr: metrics.acwr,
+    strain: metrics.strain,
+  };
+}
+
+/**
+ * Apply a workloadDeloadProposal() to the mesocycle: renumber weeks so the
+ * deload follows the current week. The previous week structure is kept in the
+ * adaptationLog entry, so revertAdaptationChange() can restore it.
+ * @returns {object|null} the adaptationLog entry
+ */
+function applyWorkloadDeload(mesocycle, proposal, nowISOStr = new Date().toISOString()) {
+  if (!mesocycle?.weekDefs || !proposal) return null;
+  const previousWeeks = JSON.parse(JSON.stringify({
+    weekCount: mesocycle.weekCount, weekDefs: mesocycle.weekDefs, weekPlans: mesocycle.weekPlans,
+  }));
+  const next = proposal.weekNum + 1;
+
+  if (proposal.action === "shorten_block") {
+    // Drop the loading weeks between now and the deload, pull the rest forward
+    const removed = proposal.deloadWeek - next;
+    const shift = (items) => items
+      .filter((x) => x.week < next || x.week >= proposal.deloadWeek)
+      .map((x) => ({ ...x, week: x.week >= proposal.deloadWeek ? x.week - removed : x.week }));
+    mesocycle.weekDefs = shift(mesocycle.weekDefs);
+    mesocycle.weekPlans = shift(mesocycle.weekPlans || []);
+    mesocycle.weekCount -= removed;
+  } else {
+    // Insert a deload week built from the current week: -40 % sets, +1 Vara
+    const current = getWeekDef(mesocycle, proposal.weekNum);
+    const currentPlan = (mesocycle.weekPlans || []).find((wp) => wp.week === proposal.weekNum);
+    const bump = (items) => items.map((x) => ({ ...x, week: x.week >= next ? x.week + 1 : x.week }));
+    mesocycle.weekDefs = [...bump(mesocycle.weekDefs), {
+      week: next, deltaPctBase: DELOAD_DELTA_MAX, label: "Kevennys (kuormitus)",
+      heavyReps: current?.heavyReps ?? 3, heavyTargetVx: Math.min(5, (current?.heavyTargetVx ?? 2) + 1),
+    }].sort((a, b) => a.week - b.week);
+    mesocycle.weekPlans = [...bump(mesocycle.weekPlans || []), {
+      week: next,
+      days: (currentPlan?.days || []).map((day) => ({
+        ...day,
+        label: `${day.label} (kevennys)`,
+        slots: day.slots.map((slot) => ({
+          ...slot,
+          sets: Math.max(1, Math.round(slot.sets * 0.6)),
+          targetVx: slot.targetVx !== null && slot.targetVx !== undefined ? Math.min(5, slot.targetVx + 1) : slot.targetVx,
+        })),
+      })),
+    }].sort((a, b) => a.week - b.week);
+    mesocycle.weekCount += 1;
+  }
+
+  const entry = {
+    changeId: uid(),
+    proposalId: null,
+    appliedAtISO: nowISOStr,
+    summary: proposal.action === "shorten_block"
+      ? `Kuormitus (${proposal.reasons.join(", ")}): kevennys siirretty viikolta ${proposal.deloadWeek} viikolle ${next}`
+      : `Kuormitus (${proposal.reasons.join(", ")}): ylimääräinen kevennysviikko viikoksi ${next}`,
+    sourceSessionIds: [],
+    slotChanges: [],
+    previousWeeks,
+    revertedAtISO: null,
+  };
+  if (!mesocycle.adaptationLog) mesocycle.adaptationLog = [];
+  mesocycle.adaptationLog.push(entry);
+  return entry;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STAGNATION DETECTION
+// ═══════════════════════════════════════════════════════════════
+
+function checkStagnation(progress) {
+  if (!progress || progress.stagnationWeeks < 3) {
+    return { stagnated: false, severity: null, message: null };
+  }
+  if (progress.stagnationWeeks >= 6) {
+    return {
+      stagnated: true,
+      severity: "orange",
+      message: `${progress.stagnationWeeks} viikkoa ilman edistystä — suosittelemme liikkeen vaihtoa`,
+    };
+  }
+  return {
+    stagnated: true,
+    severity: "yellow",
+    message: `${progress.stagnationWeeks} viikkoa ilman edistystä — harkitse liikkeen vaihtoa`,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// READINESS TEST LOAD (skaalautuva)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Laskee readiness-velocity-testin kuorman e1RM:n perusteella.
+ * ~60% e1RM:stä, pyöristettynä lähimpään 2.5 kg. Min 20, max 80.
+ * @param {number|null} e1rmExternal — urheilijan e1RM lisäpaino (kg)
+ * @returns {number} readiness-testikuorma (kg)
+ */
+function readinessTestLoad(e1rmExternal) {
+  if (e1rmExternal === null || e1rmExternal === undefined || e1rmExternal <= 0) return 40;
+  const raw = e1rmExternal * 0.6;
+  const rounded = Math.round(raw / 2.5) * 2.5;
+  return clamp(rounded, 20, 80);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SPEED DAY LOAD
+// ═══════════════════════════════════════════════════════════════
+
+function speedDayLoad(e1rmExternal, bodyweightKg) {
+  // Speed day: ~55-60% of 1RM, max intent
+  if (e1rmExternal === null) return null;
+  const pct = 0.575; // midpoint of 55-60%
+  const systemE1RM = e1rmExternal + bodyweightKg;
+  const targetSystem = systemE1RM * pct;
+  return roundToHalf(Math.max(0, targetSystem - bodyweightKg));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OURA HRV CONVERSION
+// ═══════════════════════════════════════════════════════════════
 
 function ouraHRVtoLnRMSSD(hrvMs) {
   if (hrvMs === null || hrvMs === undefined || hrvMs <= 0) return null;
@@ -1082,6 +2224,7 @@ function analyzeSessionAdaptation(sessionExercises, dayPlanSlots) {
       movementName: ex.name,
       type: "new_exercise",
       suggestedSets: ex.sets.filter((s) => s.completed).length,
+      reps: ex.sets.find((s) => s.completed)?.reps || null,
       reason: `${ex.name}: lisätty käsin → harkitaan lisäämistä ohjelmaan`,
     });
   }
@@ -1090,49 +2233,208 @@ function analyzeSessionAdaptation(sessionExercises, dayPlanSlots) {
 }
 
 /**
- * Apply accumulated session adaptations to mesocycle weekPlan.
- * Only applies after 2+ consistent sessions with same pattern.
+ * Preview which weekPlan slots a proposal would touch. Volume proposals
+ * change the sets of every matching category+role slot; new_exercise adds
+ * an accessory slot to days of the same dayType that lack the category.
+ * Pure — the mesocycle is not modified.
  */
-function applyAdaptations(mesocycle, adaptationHistory) {
-  if (!adaptationHistory || adaptationHistory.length < 2) return { applied: false, changes: [] };
+function planAdaptationSlotChanges(mesocycle, entry) {
+  const changes = [];
+  for (const wp of mesocycle.weekPlans || []) {
+    (wp.days || []).forEach((day, dayIdx) => {
+      if (entry.type === "new_exercise") {
+        if (!entry.dayType || day.dayType !== entry.dayType) return;
+        if (day.slots.some((s) => s.category === entry.category)) return;
+        changes.push({
+          action: "add", week: wp.week, dayIdx,
+          slot: {
+            role: "accessory", category: entry.category, defaultMovementName: entry.movementName,
+            sets: entry.suggestedSets, reps: entry.reps || 10, targetVx: null,
+          },
+        });
+        return;
+      }
+      day.slots.forEach((slot, slotIdx) => {
+        if (slot.category !== entry.category || slot.role !== entry.role) return;
+        const grow = entry.type === "volume_up" && entry.suggestedSets > slot.sets;
+        const shrink = entry.type === "volume_down" && entry.suggestedSets < slot.sets;
+        if (grow || shrink) {
+          changes.push({
+            action: "sets", week: wp.week, dayIdx, slotIdx,
+            category: slot.category, role: slot.role,
+            fromSets: slot.sets, toSets: entry.suggestedSets,
+          });
+        }
+      });
+    });
+  }
+  return changes;
+}
 
-  // Group by category+type and count occurrences
-  const counts = {};
-  for (const adj of adaptationHistory) {
-    const key = `${adj.category}:${adj.type}`;
-    if (!counts[key]) counts[key] = { ...adj, count: 0 };
-    counts[key].count++;
+/**
+ * Group persisted session adaptations into program-change proposals.
+ * A pattern (category + role + type) becomes a proposal once 2+ sessions
+ * show it and it would actually change the current weekPlan.
+ * @param {object} mesocycle
+ * @param {Array} adaptationHistory — stored adaptations for this mesocycle
+ * @returns {Array} { proposalId, mesocycleId, type, category, role, dayType, movementName,
+ *   suggestedSets, sources: [{ sessionId, dateISO, reason }], slotChanges, summary }
+ */
+function buildAdaptationProposals(mesocycle, adaptationHistory) {
+  if (!mesocycle?.weekPlans || !adaptationHistory?.length) return [];
+
+  // Group by category+role+type; later sessions override suggestedSets
+  const groups = {};
+  const sorted = [...adaptationHistory].sort((a, b) => (a.dateISO || "").localeCompare(b.dateISO || ""));
+  for (const adj of sorted) {
+    const key = `${adj.category}:${adj.role}:${adj.type}`;
+    if (!groups[key]) groups[key] = { key, sources: [] };
+    const g = groups[key];
+    Object.assign(g, {
+      type: adj.type, category: adj.category, role: adj.role, dayType: adj.dayType || g.dayType || null,
+      movementName: adj.movementName, suggestedSets: adj.suggestedSets, reps: adj.reps,
+    });
+    if (!g.sources.some((src) => src.sessionId === adj.sessionId)) {
+      g.sources.push({ sessionId: adj.sessionId, dateISO: adj.dateISO, reason: adj.reason });
+    }
   }
 
-  const changes = [];
-  for (const [key, entry] of Object.entries(counts)) {
-    if (entry.count < 2) continue; // Need 2+ sessions with same pattern
-
-    // Apply to all matching weekPlan slots
-    for (const wp of mesocycle.weekPlans) {
-      for (const day of wp.days) {
-        for (const slot of day.slots) {
-          if (slot.category === entry.category && slot.role === entry.role) {
-            if (entry.type === "volume_up" && entry.suggestedSets > slot.sets) {
-              const oldSets = slot.sets;
-              slot.sets = entry.suggestedSets;
-              changes.push(`${entry.movementName}: ${oldSets} → ${slot.sets} sarjaa`);
-            } else if (entry.type === "volume_down" && entry.suggestedSets < slot.sets) {
-              const oldSets = slot.sets;
-              slot.sets = entry.suggestedSets;
-              changes.push(`${entry.movementName}: ${oldSets} → ${slot.sets} sarjaa`);
-            }
-          }
-        }
+  const proposals = [];
+  for (const g of Object.values(groups)) {
+    if (g.sources.length < 2) continue; // Need 2+ sessions with same pattern
+    const slotChanges = planAdaptationSlotChanges(mesocycle, g);
+    if (slotChanges.length === 0) continue;
+
+    const first = slotChanges[0];
+    const summary = g.type === "new_exercise"
+      ? `${g.movementName}: lisää ohjelmaan ${g.suggestedSets}×${g.reps || 10} (${g.dayType}-päivät)`
+      : `${g.movementName}: ${first.fromSets} → ${first.toSets} sarjaa`;
+
+    proposals.push({
+      proposalId: `${mesocycle.mesocycleId}:${g.key}`,
+      mesocycleId: mesocycle.mesocycleId,
+      type: g.type, category: g.category, role: g.role, dayType: g.dayType,
+      movementName: g.movementName, suggestedSets: g.suggestedSets, reps: g.reps,
+      sources: g.sources,
+      slotChanges,
+      summary,
+    });
+  }
+  return proposals;
+}
+
+/**
+ * Merge freshly built proposals with stored ones, keeping the athlete's
+ * decisions. Accepted/rejected patterns are only re-proposed after two new
+ * sessions since the decision; pending proposals that no longer apply expire.
+ * @returns {Array} proposals to persist
+ */
+function mergeAdaptationProposals(stored, candidates, nowISOStr) {
+  const byId = new Map((stored || []).map((p) => [p.proposalId, p]));
+  const out = [];
+
+  for (const c of candidates) {
+    const prev = byId.get(c.proposalId);
+    byId.delete(c.proposalId);
+    if (!prev || prev.status === "expired") {
+      out.push({ ...c, status: "pending", createdAtISO: nowISOStr });
+    } else if (prev.status === "pending" || prev.status === "snoozed") {
+      out.push({ ...prev, ...c, status: prev.status });
+    } else {
+      const decidedDate = (prev.decidedAtISO || "").slice(0, 10);
+      const newSources = c.sources.filter((src) => (src.dateISO || "") > decidedDate);
+      if (newSources.length >= 2) {
+        out.push({ ...c, status: "pending", createdAtISO: nowISOStr, decidedAtISO: null, snoozedUntilISO: null });
       }
     }
+  }
+
+  for (const prev of byId.values()) {
+    if (prev.status === "pending" || prev.status === "snoozed") out.push({ ...prev, status: "expired" });
+  }
+  return out;
+}
+
+/**
+ * Proposals the athlete should see today: pending ones and snoozed ones
+ * whose snooze has run out.
+ */
+function activeAdaptationProposals(proposals, dateISO) {
+  return (proposals || []).filter((p) =>
+    p.status === "pending" || (p.status === "snoozed" && (p.snoozedUntilISO || "") <= dateISO)
+  );
+}
 
-    if (entry.type === "new_exercise") {
-      changes.push(`${entry.movementName}: harkitse ohjelmaan lisäämistä`);
+/**
+ * Apply an accepted proposal to the mesocycle weekPlans and record the
+ * change in mesocycle.adaptationLog so it can be reverted later.
+ * Slot changes are recomputed against the current plan (it may have been
+ * edited since the proposal was built).
+ * @returns {object|null} log entry { changeId, proposalId, appliedAtISO, summary, slotChanges }
+ */
+function applyAdaptationProposal(mesocycle, proposal, nowISOStr = new Date().toISOString()) {
+  const slotChanges = planAdaptationSlotChanges(mesocycle, proposal);
+  if (slotChanges.length === 0) return null;
+
+  const changeId = uid();
+  for (const ch of slotChanges) {
+    const day = mesocycle.weekPlans.find((wp) => wp.week === ch.week)?.days[ch.dayIdx];
+    if (!day) continue;
+    if (ch.action === "add") {
+      day.slots.push({ ...ch.slot, addedByChangeId: changeId });
+    } else {
+      day.slots[ch.slotIdx].sets = ch.toSets;
     }
   }
 
-  return { applied: changes.length > 0, changes };
+  const entry = {
+    changeId,
+    proposalId: proposal.proposalId,
+    appliedAtISO: nowISOStr,
+    summary: proposal.summary,
+    sourceSessionIds: (proposal.sources || []).map((src) => src.sessionId),
+    slotChanges,
+    revertedAtISO: null,
+  };
+  if (!mesocycle.adaptationLog) mesocycle.adaptationLog = [];
+  mesocycle.adaptationLog.push(entry);
+  return entry;
+}
+
+/**
+ * Revert a previously applied adaptation. Slots the athlete has edited
+ * since (sets no longer match) are left alone and counted as skipped.
+ * @returns {{ reverted: boolean, skipped: number }}
+ */
+function revertAdaptationChange(mesocycle, changeId, nowISOStr = new Date().toISOString()) {
+  const entry = (mesocycle.adaptationLog || []).find((e) => e.changeId === changeId);
+  if (!entry || entry.revertedAtISO) return { reverted: false, skipped: 0 };
+
+  if (entry.previousWeeks) {
+    // Week restructure (applyWorkloadDeload) — restore the earlier weeks
+    Object.assign(mesocycle, JSON.parse(JSON.stringify(entry.previousWeeks)));
+    entry.revertedAtISO = nowISOStr;
+    return { reverted: true, skipped: 0 };
+  }
+
+  let skipped = 0;
+  for (const ch of entry.slotChanges) {
+    const day = mesocycle.weekPlans.find((wp) => wp.week === ch.week)?.days[ch.dayIdx];
+    if (!day) { skipped++; continue; }
+    if (ch.action === "add") {
+      const idx = day.slots.findIndex((s) => s.addedByChangeId === changeId);
+      if (idx >= 0) day.slots.splice(idx, 1); else skipped++;
+    } else {
+      // Added slots may have shifted indices — fall back to category+role lookup
+      let slot = day.slots[ch.slotIdx];
+      if (!slot || slot.category !== ch.category || slot.role !== ch.role) {
+        slot = day.slots.find((s) => s.category === ch.category && s.role === ch.role && s.sets === ch.toSets);
+      }
+      if (slot && slot.sets === ch.toSets) slot.sets = ch.fromSets; else skipped++;
+    }
+  }
+  entry.revertedAtISO = nowISOStr;
+  return { reverted: true, skipped };
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -1140,43 +2442,33 @@ function applyAdaptations(mesocycle, adaptationHistory) {
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Generate preview of upcoming workouts for N days ahead.
- * Returns array of { dateISO, dayOfWeek, dayType, weekNum, weekLabel, slots }
+ * Generate preview of upcoming workouts for N days ahead (after currentDateISO),
+ * from the training calendar. Already-trained sessions are left out.
+ * Returns array of { dateISO, plannedDateISO, moved, dayOfWeek, dayType, weekNum, weekLabel, slots }
  */
-function getFutureWorkouts(mesocycle, currentDateISO, daysAhead = 14) {
+function getFutureWorkouts(mesocycle, currentDateISO, daysAhead = 14, options = {}) {
   if (!mesocycle || !mesocycle.weekPlans) return [];
 
-  const results = [];
-  const startDate = new Date(currentDateISO);
-
-  for (let d = 1; d <= daysAhead; d++) {
-    const date = new Date(startDate);
-    date.setDate(date.getDate() + d);
-    const dateISO = date.toISOString().slice(0, 10);
-    const dayOfWeek = date.getDay() || 7; // 1=Mon, 7=Sun
-
-    const weekNum = getMesocycleWeek(mesocycle, dateISO);
-    if (weekNum === null) continue; // Past end of mesocycle
-
-    const weekDef = getWeekDef(mesocycle, weekNum);
-    const weekPlan = mesocycle.weekPlans.find((w) => w.week === weekNum);
-    if (!weekPlan) continue;
-
-    const dayPlan = weekPlan.days.find((dp) => dp.dayOfWeek === dayOfWeek);
-    if (!dayPlan) continue;
-
-    results.push({
-      dateISO,
-      dayOfWeek,
-      dayType: dayPlan.dayType,
-      weekNum,
-      weekLabel: weekDef?.label || "",
-      deltaPctBase: weekDef?.deltaPctBase || 0,
-      slots: dayPlan.slots,
+  const today = localDateISO(currentDateISO);
+  const lastDate = addDaysISO(today, daysAhead);
+  const consumed = consumedPlannedDates(options.sessions);
+
+  return plannedSessions(mesocycle, options.calendar)
+    .filter((p) => p.dateISO > today && p.dateISO <= lastDate && !consumed.has(p.plannedDateISO))
+    .map((p) => {
+      const weekDef = getWeekDef(mesocycle, p.weekNum);
+      return {
+        dateISO: p.dateISO,
+        plannedDateISO: p.plannedDateISO,
+        moved: p.moved,
+        dayOfWeek: p.dayOfWeek,
+        dayType: p.dayPlan.dayType,
+        weekNum: p.weekNum,
+        weekLabel: weekDef?.label || "",
+        deltaPctBase: weekDef?.deltaPctBase || 0,
+        slots: p.dayPlan.slots,
+      };
     });
-  }
-
-  return results;
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -1222,67 +2514,437 @@ function eliteVolumeCheck(weekSets, movements) {
       pullSets,
       message: `Työntö/veto-suhde ${pushSets}:${pullSets} — lisää työntöliikkeitä (tavoite ≥1:2)`,
     });
-  }
+  }
+
+  return { stimulus, warnings, isEliteReady: warnings.length === 0 };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ALL-MOVEMENT e1RM COMPUTATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Bodyweight valid on a set's date, for system-load math on historical sets.
+ * Order: the set's own bodyweightKg (readiness tests), its session's, the
+ * nearest bodyweight measurement by date, then fallbackKg (today's weight).
+ * @param {{ sessions?: Array, measurements?: Array, fallbackKg?: number }} sources
+ * @returns {(set: object) => number}
+ */
+function bodyweightLookup({ sessions = [], measurements = [], fallbackKg = 91 } = {}) {
+  const sessionMap = new Map(sessions.map((s) => [s.sessionId, s]));
+  const weighIns = measurements
+    .filter((m) => m.type === "bodyweight" && m.dateISO && m.value > 0)
+    .map((m) => ({ dateISO: m.dateISO, kg: m.value }))
+    .sort((a, b) => a.dateISO.localeCompare(b.dateISO));
+  const cache = new Map();
+
+  function nearestWeighIn(dateISO) {
+    if (cache.has(dateISO)) return cache.get(dateISO);
+    let best = null;
+    let bestDist = Infinity;
+    for (const w of weighIns) {
+      const dist = Math.abs(daysBetweenISO(w.dateISO, dateISO));
+      if (dist < bestDist) { best = w.kg; bestDist = dist; } // ties → earlier weigh-in
+    }
+    cache.set(dateISO, best);
+    return best;
+  }
+
+  return (set) => {
+    if (set.bodyweightKg > 0) return set.bodyweightKg;
+    const session = sessionMap.get(set.sessionId);
+    if (session?.bodyweightKg > 0) return session.bodyweightKg;
+    const dateISO = session?.dateISO || set.dateISO || (set.timestamp ? localDateISO(set.timestamp) : null);
+    return (dateISO && nearestWeighIn(dateISO)) || fallbackKg;
+  };
+}
+
+/**
+ * Compute e1RM for any movement from its set history.
+ * Uses accessory e1RM for non-primary, system e1RM for primary. The primary
+ * follows recommend(): primaryModelE1RM() over its top sets, blended with the
+ * L–V profile's velocity e1RM when a profile is given.
+ * @param {Function|null} bodyweightForSet — from bodyweightLookup(); primary sets
+ *   then use the bodyweight of their own date instead of bodyweightKg
+ * @param {string} modelId — E1RM_MODELS key (movement.e1rmModel)
+ * @param {object|null} profile — fitLoadVelocityProfile() for the primary; without
+ *   it the velocity model falls back to Epley
+ */
+function computeMovementE1RM(movementSets, isPrimary, bodyweightKg, bodyweightForSet = null, modelId = DEFAULT_E1RM_MODEL, profile = null) {
+  if (!movementSets.length) return null;
+
+  if (isPrimary) {
+    const topSets = movementSets
+      .filter((s) => s.setRole === "top")
+      .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""));
+    const model = primaryModelE1RM(topSets, { bodyweightForSet: bodyweightForSet || (() => bodyweightKg), modelId, profile });
+    return blendE1RMSources(() => {}, model.e1rmSystem, profile, modelId).e1rmSystem;
+  }
+
+  // Take last 6 sets with valid data
+  const values = movementSets
+    .filter((s) => s.externalLoadKg > 0 && s.reps >= 1 && s.setRole !== "readiness_test")
+    .slice(-6)
+    .map((s) => e1rmAccessory(s.externalLoadKg, s.reps, modelId))
+    .filter((v) => v !== null);
+
+  return values.length > 0 ? median(values) : null;
+}
+
+/**
+ * Compute e1RM history (time series) for any movement.
+ * Primary points carry the bodyweight of their date and relative strength
+ * (system e1RM / bodyweight). Without bodyweightForSet, session bodyweights
+ * are used with bodyweightKg as the fallback.
+ */
+function computeMovementE1RMHistory(movementSets, sessions, isPrimary, bodyweightKg, bodyweightForSet = null, modelId = DEFAULT_E1RM_MODEL) {
+  const sessionMap = new Map(sessions.map((s) => [s.sessionId, s]));
+  const bwForSet = bodyweightForSet || bodyweightLookup({ sessions, fallbackKg: bodyweightKg });
+  const points = [];
+
+  for (const s of movementSets) {
+    if (s.externalLoadKg <= 0 || s.reps < 1) continue;
+    if (s.setRole === "readiness_test") continue;
+    const session = sessionMap.get(s.sessionId);
+    if (!session) continue;
+
+    let e1rm;
+    let bw = null;
+    if (isPrimary) {
+      const vara = s.actualVx ?? s.targetVx ?? 2;
+      bw = bwForSet(s);
+      e1rm = e1rmSystem(bw, s.externalLoadKg, s.reps, vara, modelId);
+    } else {
+      e1rm = e1rmAccessory(s.externalLoadKg, s.reps, modelId);
+    }
+
+    if (e1rm !== null) {
+      points.push({
+        dateISO: session.dateISO, e1rm, load: s.externalLoadKg, reps: s.reps,
+        bodyweightKg: bw,
+        relative: bw ? e1rm / bw : null,
+      });
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Back-test every e1RM model against logged sets: for each set, estimate e1RM
+ * from the previous `window` sets with that model, invert it to a load for the
+ * set's reps @ Vara and compare with the load actually lifted. Each model is
+ * scored on its own estimates only (no Epley fallback), so the velocity model
+ * only counts sets with velocityMean and needs options.profileAsOf. Its profile
+ * is fitted as of the day before each predicted set, so the set being
+ * predicted (and anything after it) never shapes the profile.
+ * @param {Array} movementSets — sets of one movement, oldest first
+ * @param {{ isPrimary?: boolean, bodyweightForSet?: Function, bodyweightKg?: number, sessions?: Array,
+ *   profileAsOf?: (dateISO: string) => object|null, window?: number, minHistory?: number }} options
+ *   sessions date the sets; profileAsOf fits the L–V profile from sets on or before dateISO
+ * @returns {Array<{ modelId, label, n, maeKg, mapePct, biasKg }>} sorted by MAE, models without predictions last
+ */
+function backtestE1RMModels(movementSets, options = {}) {
+  const { isPrimary = false, bodyweightForSet = null, bodyweightKg = 91, sessions = [], profileAsOf = null, window = 6, minHistory = 2 } = options;
+  const sessionDate = new Map(sessions.map((s) => [s.sessionId, s.dateISO]));
+  const points = movementSets
+    .filter((s) => s.externalLoadKg > 0 && s.reps >= 1 && s.setRole !== "readiness_test")
+    .map((s) => {
+      const date = sessionDate.get(s.sessionId) || s.dateISO || s.timestamp;
+      return {
+        dateISO: date ? localDateISO(date) : null,
+        load: isPrimary ? (bodyweightForSet ? bodyweightForSet(s) : bodyweightKg) + s.externalLoadKg : s.externalLoadKg,
+        reps: s.reps,
+        vara: isPrimary ? (s.actualVx ?? s.targetVx ?? 2) : 0,
+        velocity: s.velocityMean,
+      };
+    });
 
-  return { stimulus, warnings, isEliteReady: warnings.length === 0 };
-}
+  const profiles = new Map(); // predicted date → profile from earlier days
+  const profileBefore = (dateISO) => {
+    if (!profileAsOf || !dateISO) return null;
+    if (!profiles.has(dateISO)) profiles.set(dateISO, profileAsOf(addDaysISO(dateISO, -1)));
+    return profiles.get(dateISO);
+  };
 
-// ═══════════════════════════════════════════════════════════════
-// ALL-MOVEMENT e1RM COMPUTATION
-// ═══════════════════════════════════════════════════════════════
+  const results = Object.values(E1RM_MODELS).map((model) => {
+    const errors = [];
+    for (let i = minHistory; i < points.length; i++) {
+      const ctx = { profile: model.id === "velocity" ? profileBefore(points[i].dateISO) : null };
+      const prior = points.slice(Math.max(0, i - window), i)
+        .map((p) => model.estimate(p, ctx))
+        .filter((v) => v !== null && Number.isFinite(v));
+      if (prior.length < minHistory) continue;
+      const predicted = model.loadFor(median(prior), points[i], ctx);
+      if (predicted === null || !Number.isFinite(predicted)) continue;
+      errors.push({ diff: predicted - points[i].load, actual: points[i].load });
+    }
+    const n = errors.length;
+    return {
+      modelId: model.id,
+      label: model.label,
+      n,
+      maeKg: n ? avg(errors.map((e) => Math.abs(e.diff))) : null,
+      mapePct: n ? avg(errors.map((e) => Math.abs(e.diff) / e.actual)) * 100 : null,
+      biasKg: n ? avg(errors.map((e) => e.diff)) : null,
+    };
+  });
+
+  return results.sort((a, b) => (a.maeKg ?? Infinity) - (b.maeKg ?? Infinity));
+}
 
 /**
- * Compute e1RM for any movement from its set history.
- * Uses accessory Epley for non-primary, system Epley for primary.
+ * Flatten sets into export rows (one row per set) with session date, movement,
+ * variant, system load and e1RM resolved. Primary sets use the bodyweight of
+ * their own date (bodyweightLookup); e1RM follows computeMovementE1RMHistory.
+ * @param {Array} sets
+ * @param {{ sessions: Array, movements: Array, variants?: Array, fallbackBodyweightKg?: number, bodyweightForSet?: Function }} context
+ * @returns {Array<object>} rows sorted by date
  */
-function computeMovementE1RM(movementSets, isPrimary, bodyweightKg) {
-  if (!movementSets.length) return null;
-
-  // Take last 6 sets with valid data
-  const recent = movementSets
-    .filter((s) => s.externalLoadKg > 0 && s.reps >= 1)
-    .slice(-6);
-
-  if (!recent.length) return null;
+function buildSetExportRows(sets, context) {
+  const { sessions, movements, variants = [], fallbackBodyweightKg = 91 } = context;
+  const bodyweightForSet = context.bodyweightForSet || bodyweightLookup({ sessions, fallbackKg: fallbackBodyweightKg });
+  const sessionMap = new Map(sessions.map((s) => [s.sessionId, s]));
+  const movementMap = new Map(movements.map((m) => [m.movementId, m]));
+  const variantMap = new Map(variants.map((v) => [v.variantId, v]));
+  const round = (v, digits) => (v === null || v === undefined ? null : Math.round(v * 10 ** digits) / 10 ** digits);
 
-  const values = recent.map((s) => {
-    if (isPrimary) {
-      const vara = s.actualVx ?? s.targetVx ?? 2;
-      return e1rmSystem(bodyweightKg, s.externalLoadKg, s.reps, vara);
-    } else {
-      return e1rmAccessory(s.externalLoadKg, s.reps);
+  const rows = [];
+  for (const s of sets) {
+    const session = sessionMap.get(s.sessionId);
+    const mov = movementMap.get(s.movementId);
+    const isPrimary = !!mov?.isPrimary;
+    const bw = bodyweightForSet(s);
+    const load = s.externalLoadKg ?? null;
+
+    let e1rm = null;
+    if (load !== null && s.reps >= 1 && s.setRole !== "readiness_test") {
+      e1rm = isPrimary
+        ? e1rmSystem(bw, load, s.reps, s.actualVx ?? s.targetVx ?? 2, mov?.e1rmModel || DEFAULT_E1RM_MODEL)
+        : e1rmAccessory(load, s.reps, mov?.e1rmModel || DEFAULT_E1RM_MODEL);
     }
-  }).filter((v) => v !== null);
 
-  return values.length > 0 ? median(values) : null;
+    rows.push({
+      dateISO: session?.dateISO ?? s.dateISO ?? null,
+      movement: mov?.name ?? null,
+      category: mov?.category ?? null,
+      variant: variantMap.get(s.variantId)?.name ?? null,
+      setRole: s.setRole ?? null,
+      externalLoadKg: load,
+      bodyweightKg: isPrimary ? bw : null,
+      systemLoadKg: isPrimary && load !== null ? round(bw + load, 2) : null,
+      reps: s.reps ?? null,
+      targetReps: s.targetReps ?? null,
+      targetVx: s.targetVx ?? null,
+      actualVx: s.actualVx ?? null,
+      velocityMean: s.velocityMean ?? null,
+      velocityPeak: s.velocityPeak ?? null,
+      velocityRep1: s.velocityRep1 ?? null,
+      velocityLossPercent: round(s.velocityLossPercent, 1),
+      e1rm: round(e1rm, 1),
+      sessionId: s.sessionId,
+      setId: s.setId,
+    });
+  }
+  return rows.sort((a, b) => (a.dateISO || "").localeCompare(b.dateISO || ""));
 }
 
+// ═══════════════════════════════════════════════════════════════
+// FITNESS–FATIGUE MODEL (BANISTER IMPULSE-RESPONSE)
+// ═══════════════════════════════════════════════════════════════
+
+// Grid of decay constants (days) searched by fitBanisterModel()
+const BANISTER_TAU_FITNESS = [15, 20, 25, 30, 35, 40, 45, 50, 60];
+const BANISTER_TAU_FATIGUE = [2, 3, 4, 5, 7, 9, 11, 13, 15];
+const BANISTER_MIN_DAYS = 8;
+
 /**
- * Compute e1RM history (time series) for any movement
+ * Daily training impulse and performance of the primary lift.
+ * Set impulse = system load × reps × relative intensity, where relative
+ * intensity is the system load over the median e1RM of the preceding 6 sets.
+ * Daily impulse is the sum / 100; performance is the day's best system e1RM.
+ * Readiness tests count as performance only.
+ * @param {Array} primarySets — sets of the primary movement
+ * @param {{ sessions: Array, bodyweightForSet?: Function, bodyweightKg?: number, modelId?: string }} context
+ * @returns {Array<{ dateISO, impulse, performance }>} one row per training day, oldest first
  */
-function computeMovementE1RMHistory(movementSets, sessions, isPrimary, bodyweightKg) {
+function dailyTrainingImpulses(primarySets, context = {}) {
+  const { sessions = [], bodyweightKg = 91, modelId = DEFAULT_E1RM_MODEL } = context;
+  const bwForSet = context.bodyweightForSet || bodyweightLookup({ sessions, fallbackKg: bodyweightKg });
   const sessionMap = new Map(sessions.map((s) => [s.sessionId, s]));
+
   const points = [];
+  for (const s of primarySets) {
+    if (!(s.externalLoadKg >= 0) || !(s.reps >= 1)) continue;
+    const dateRaw = sessionMap.get(s.sessionId)?.dateISO || s.dateISO || s.timestamp;
+    if (!dateRaw) continue;
+    const bw = bwForSet(s);
+    const e1rm = e1rmSystem(bw, s.externalLoadKg, s.reps, s.actualVx ?? s.targetVx ?? 2, modelId);
+    if (e1rm === null) continue;
+    points.push({
+      dateISO: localDateISO(dateRaw), timestamp: s.timestamp || "",
+      system: bw + s.externalLoadKg, reps: s.reps, e1rm,
+      isTest: s.setRole === "readiness_test",
+    });
+  }
+  points.sort((a, b) => a.dateISO.localeCompare(b.dateISO) || String(a.timestamp).localeCompare(String(b.timestamp)));
+
+  const days = new Map();
+  const recent = [];
+  for (const p of points) {
+    const reference = recent.length ? median(recent.slice(-6)) : p.e1rm;
+    const day = days.get(p.dateISO) || { dateISO: p.dateISO, impulse: 0, performance: null };
+    if (!p.isTest) day.impulse += (p.system * p.reps * (p.system / reference)) / 100;
+    day.performance = Math.max(day.performance ?? 0, p.e1rm);
+    days.set(p.dateISO, day);
+    recent.push(p.e1rm);
+  }
+  return [...days.values()];
+}
 
-  for (const s of movementSets) {
-    if (s.externalLoadKg <= 0 || s.reps < 1) continue;
-    const session = sessionMap.get(s.sessionId);
-    if (!session) continue;
+/**
+ * Planned impulses for upcoming workouts (getFutureWorkouts() rows), in the
+ * same units as dailyTrainingImpulses(). Primary and backoff slots are priced
+ * at the load the week delta and day type would prescribe from e1rmSys.
+ * @param {Array} futureWorkouts
+ * @param {{ e1rmSystem: number, modelId?: string }} options
+ * @returns {Array<{ dateISO, impulse }>}
+ */
+function plannedTrainingImpulses(futureWorkouts, options = {}) {
+  const { e1rmSystem: e1rm, modelId = DEFAULT_E1RM_MODEL } = options;
+  if (!(e1rm > 0)) return [];
+  return futureWorkouts.map((fw) => {
+    const dayE1rm = e1rm * (1 + deltaPctRaw({ deltaPctBase: fw.deltaPctBase }, fw.dayType));
+    let impulse = 0;
+    for (const slot of fw.slots || []) {
+      if (slot.role !== "primary" && slot.role !== "backoff") continue;
+      const system = systemLoadForPrescription(dayE1rm, slot.reps, slot.targetVx ?? 2, modelId);
+      impulse += (slot.sets * system * slot.reps * (system / e1rm)) / 100;
+    }
+    return { dateISO: fw.dateISO, impulse };
+  });
+}
 
-    let e1rm;
-    if (isPrimary) {
-      const vara = s.actualVx ?? s.targetVx ?? 2;
-      e1rm = e1rmSystem(bodyweightKg, s.externalLoadKg, s.reps, vara);
-    } else {
-      e1rm = e1rmAccessory(s.externalLoadKg, s.reps);
+/** Σ impulse · e^(−days/τ) over impulses strictly before dateISO. */
+function impulseResponse(impulses, dateISO, tau) {
+  let sum = 0;
+  for (const i of impulses) {
+    const days = daysBetweenISO(i.dateISO, dateISO);
+    if (days > 0 && i.impulse > 0) sum += i.impulse * Math.exp(-days / tau);
+  }
+  return sum;
+}
+
+/** Solve A·x = b by Gaussian elimination with partial pivoting; null if singular. */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
     }
+    if (Math.abs(m[pivot][col]) < 1e-10) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
+  }
+  return x;
+}
 
-    if (e1rm !== null) {
-      points.push({ dateISO: session.dateISO, e1rm, load: s.externalLoadKg, reps: s.reps });
+/**
+ * Fit the Banister model p(t) = p0 + k1·Σw·e^(−Δ/τ1) − k2·Σw·e^(−Δ/τ2) to
+ * daily performance. τ1 (fitness) and τ2 (fatigue, τ2 < τ1) are searched on
+ * a grid; p0, k1, k2 come from least squares. Fits with k1 ≤ 0 or k2 ≤ 0 have
+ * no fitness–fatigue reading and are rejected.
+ * @param {Array<{ dateISO, impulse, performance }>} days — from dailyTrainingImpulses()
+ * @param {{ minDays?: number }} options
+ * @returns {{ p0, k1, k2, tau1, tau2, n, r2, rmse, lastDateISO }|null} null with
+ *   fewer than minDays performance days or no valid fit
+ */
+function fitBanisterModel(days, options = {}) {
+  const { minDays = BANISTER_MIN_DAYS } = options;
+  const impulses = days.filter((d) => d.impulse > 0);
+  const observed = days.filter((d) => d.performance > 0 && impulses.some((i) => i.dateISO < d.dateISO));
+  if (observed.length < minDays) return null;
+
+  const y = observed.map((d) => d.performance);
+  const meanY = avg(y);
+  const sst = y.reduce((acc, v) => acc + (v - meanY) ** 2, 0);
+  let best = null;
+
+  for (const tau1 of BANISTER_TAU_FITNESS) {
+    for (const tau2 of BANISTER_TAU_FATIGUE) {
+      if (tau2 >= tau1) continue;
+      const X = observed.map((d) => [1, impulseResponse(impulses, d.dateISO, tau1), -impulseResponse(impulses, d.dateISO, tau2)]);
+      const XtX = [0, 1, 2].map((i) => [0, 1, 2].map((j) => X.reduce((acc, row) => acc + row[i] * row[j], 0)));
+      const Xty = [0, 1, 2].map((i) => X.reduce((acc, row, r) => acc + row[i] * y[r], 0));
+      const coef = solveLinearSystem(XtX, Xty);
+      if (!coef || !(coef[1] > 0) || !(coef[2] > 0)) continue;
+      const sse = X.reduce((acc, row, r) => acc + (y[r] - (coef[0] + coef[1] * row[1] + coef[2] * row[2])) ** 2, 0);
+      if (!best || sse < best.sse) best = { p0: coef[0], k1: coef[1], k2: coef[2], tau1, tau2, sse };
     }
   }
+  if (!best) return null;
 
-  return points;
+  const n = observed.length;
+  return {
+    p0: best.p0, k1: best.k1, k2: best.k2, tau1: best.tau1, tau2: best.tau2,
+    n,
+    r2: sst > 0 ? 1 - best.sse / sst : null,
+    rmse: Math.sqrt(best.sse / n),
+    lastDateISO: observed[n - 1].dateISO,
+  };
+}
+
+/**
+ * Predicted performance on each date from a fitted model and an impulse
+ * series (history + planned). Only impulses before a date count toward it.
+ * @returns {Array<{ dateISO, fitness, fatigue, performance }>}
+ */
+function predictPerformance(model, impulses, datesISO) {
+  if (!model) return [];
+  return datesISO.map((dateISO) => {
+    const fitness = model.k1 * impulseResponse(impulses, dateISO, model.tau1);
+    const fatigue = model.k2 * impulseResponse(impulses, dateISO, model.tau2);
+    return { dateISO, fitness, fatigue, performance: model.p0 + fitness - fatigue };
+  });
+}
+
+/**
+ * Choose a peaking taper length: simulate each candidate mesocycle's planned
+ * impulses on top of the history and keep the one with the highest predicted
+ * performance on its competition day (ties → first candidate).
+ * @param {object|null} model — fitBanisterModel()
+ * @param {Array} history — dailyTrainingImpulses()
+ * @param {Array<{ taperWeeks: number, mesocycle: object }>} candidates
+ * @param {{ e1rmSystem: number, modelId?: string, calendar?: object, dateISO?: string }} options
+ * @returns {{ taperWeeks, competitionDateISO, predicted, candidates: Array }|null}
+ */
+function chooseTaperLength(model, history, candidates, options = {}) {
+  if (!model || !candidates.length) return null;
+  const dateISO = options.dateISO || todayISO();
+
+  const scored = candidates.map(({ taperWeeks, mesocycle }) => {
+    const future = getFutureWorkouts(mesocycle, addDaysISO(dateISO, -1), mesocycle.weekCount * 7 + 7, { calendar: options.calendar });
+    const competition = future.filter((fw) => fw.dayType === "competition").pop() || future[future.length - 1];
+    if (!competition) return { taperWeeks, competitionDateISO: null, predicted: null };
+    const planned = plannedTrainingImpulses(future, options);
+    const [point] = predictPerformance(model, [...history, ...planned], [competition.dateISO]);
+    return { taperWeeks, competitionDateISO: competition.dateISO, predicted: point.performance };
+  });
+
+  const best = scored.reduce((a, b) => ((b.predicted ?? -Infinity) > (a.predicted ?? -Infinity) ? b : a));
+  if (best.predicted === null) return null;
+  return { ...best, candidates: scored };
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -1347,43 +3009,6 @@ function variantRepOverride(variantName) {
   }
 }
 
-/**
- * Assign variants to mesocycle week plans via smart rotation.
- * Heavy days rotate: Kilpaveto ↔ Korokeveto
- * Speed days: always Nopeusveto kuminauhalla
- * Volume days: rotate through Myötäote → Neutraaliote → 2s ylipito → 1.5-toisto hiissaus
- */
-function assignVariantRotation(weekPlans) {
-  let heavyIdx = 0;
-  let volumeIdx = 0;
-  const heavyVariants = VARIANT_DAY_TYPE_MAP.heavy;
-  const volumeVariants = VARIANT_DAY_TYPE_MAP.volume;
-  const speedVariant = VARIANT_DAY_TYPE_MAP.speed[0];
-
-  for (const wp of weekPlans) {
-    for (const day of wp.days) {
-      for (const slot of day.slots) {
-        if (slot.role !== "primary" && slot.role !== "backoff") continue;
-        if (slot.category !== "vertikaaliveto") continue;
-
-        if (day.dayType === "heavy") {
-          slot.variantName = heavyVariants[heavyIdx % heavyVariants.length];
-          // backoff uses same variant as primary
-          if (slot.role === "primary") heavyIdx++;
-        } else if (day.dayType === "speed") {
-          slot.variantName = speedVariant;
-        } else if (day.dayType === "volume") {
-          slot.variantName = volumeVariants[volumeIdx % volumeVariants.length];
-          if (slot.role === "primary") volumeIdx++;
-        } else {
-          slot.variantName = heavyVariants[0]; // default
-        }
-      }
-    }
-  }
-  return weekPlans;
-}
-
 // ═══════════════════════════════════════════════════════════════
 // PEAKING ENGINE
 // ═══════════════════════════════════════════════════════════════
@@ -1409,66 +3034,79 @@ function computeAttemptLoads(e1rmExternal, bw, peakingConfig) {
 }
 
 /**
- * Recommend function specifically for peaking mesocycles.
+ * planDay() counterpart for peaking mesocycles (pure, returns { rec, traces, effects }).
  * Key differences from normal recommend():
  * - No readiness caps (athlete decides)
  * - Competition day: enriches slots with computed loads
  * - Normal peaking days: load from weekDef deltaPctBase
  */
-async function recommendPeaking(options = {}) {
-  const settings = options.settings || (await getSettings());
-  const bodyweightKg = options.bodyweightKg || settings.bodyweightKg || 91;
-  const dateISO = options.dateISO || todayISO();
-  const mesocycle = options.mesocycle;
+function planPeakingDay(inputs = {}) {
+  const settings = inputs.settings || {};
+  const bodyweightKg = inputs.bodyweightKg || settings.bodyweightKg || 91;
+  const dateISO = inputs.dateISO || todayISO();
+  const mesocycle = inputs.mesocycle;
 
   if (!mesocycle || mesocycle.type !== "peaking") {
-    return recommend(options); // fallback to normal
+    return planDay(inputs); // fallback to normal
   }
 
   const traces = [];
   function trace(ruleId, before, after, why) {
-    traces.push({ traceId: uid(), recId: null, ruleId, before: { ...before }, after: { ...after }, why });
+    traces.push({ traceId: uid(), recId: null, seq: traces.length, ruleId, before: { ...before }, after: { ...after }, why });
   }
 
   // Determine week
   let weekNum = getMesocycleWeek(mesocycle, dateISO);
-  if (weekNum === null) {
-    // Past end → create new default mesocycle with -5% deload start
+  if (weekNum === null && dateISO < mesocycle.startDateISO) {
+    // Not started yet (macrocycle lead-in) - preview week 1
+    weekNum = 1;
+    trace("MESOCYCLE_UPCOMING", {}, { startDateISO: mesocycle.startDateISO, type: "peaking" },
+      `Peaking alkaa ${mesocycle.startDateISO}`);
+  } else if (weekNum === null) {
+    // Past end → analyze the block, create new default mesocycle with -5% deload start
+    const finishEffects = [];
+    finishMesocycle(mesocycle, { ...inputs, bodyweightKg }, finishEffects, trace);
     const newMeso = createDefaultMesocycle(dateISO);
     newMeso.weekDefs[0].deltaPctBase = -0.05;
-    if (!options.dryRun) await saveMesocycle(newMeso);
     trace("PEAKING_TRANSITION", {}, { type: "default" }, "Peaking päättynyt → normaali mesosykli (-5% start)");
-    // Return a rec for the new mesocycle
-    return recommend({ ...options, mesocycle: newMeso });
+    // Plan the day on the new mesocycle; the analysis and its save come first
+    const next = planDay({ ...inputs, mesocycle: newMeso });
+    return { ...next, effects: [...finishEffects, { type: "saveMesocycle", mesocycle: newMeso }, ...next.effects] };
   }
 
   const weekDef = getWeekDef(mesocycle, weekNum);
-  const dayOfWeek = new Date(dateISO).getDay() || 7;
-  const dayPlan = getTodayPlan(mesocycle, weekNum, dayOfWeek);
+  const sessions = inputs.sessions || [];
+  const calendar = inputs.calendar || null;
+  const todayPlan = getTodayPlan(mesocycle, dateISO, { calendar, sessions });
+  const dayPlan = todayPlan.dayPlan;
   const dayType = dayPlan?.dayType || "heavy";
 
   trace("PEAKING_PHASE", {}, { weekNum, dayType, label: weekDef?.label },
     `PEAKING Vk ${weekNum}: ${weekDef?.label || "?"}`);
+  traceCalendar(trace, todayPlan, dateISO);
 
   // e1RM from sets
-  const allSets = options.allSets || (await getAllSets());
-  const primaryMovementId = options.primaryMovementId || null;
+  const allSets = inputs.allSets || [];
+  const primaryMovementId = inputs.primaryMovementId || null;
   const topSets = allSets
     .filter(s => {
       if (primaryMovementId && s.movementId !== primaryMovementId) return false;
-      return s.setRole === "top" || s.setRole === "readiness_test";
+      return s.setRole === "top";
     })
     .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""));
 
-  const recentTopSets = topSets.slice(-6);
-  const e1rmValues = recentTopSets
-    .map(s => {
-      const vara = s.actualVx ?? s.targetVx ?? 2;
-      return e1rmSystem(bodyweightKg, s.externalLoadKg || 0, s.reps || s.targetReps || 3, vara);
-    })
-    .filter(v => v !== null);
+  const bodyweightForSet = bodyweightLookup({
+    sessions,
+    measurements: inputs.bodyweightMeasurements || [],
+    fallbackKg: bodyweightKg,
+  });
+  const e1rmModelId = E1RM_MODELS[inputs.e1rmModel] ? inputs.e1rmModel : DEFAULT_E1RM_MODEL;
+  const lvProfile = settings.velocityE1RM === false && e1rmModelId !== "velocity" ? null
+    : fitLoadVelocityProfile(allSets, sessions, { dateISO, bodyweightKg, primaryMovementId, bodyweightForSet });
+  const modelE1RM = primaryModelE1RM(topSets, { bodyweightForSet, modelId: e1rmModelId, profile: lvProfile }).e1rmSystem;
 
-  const currentE1RMSystem = e1rmValues.length > 0 ? median(e1rmValues) : null;
+  const e1rmBlend = blendE1RMSources(trace, modelE1RM, lvProfile, e1rmModelId);
+  const currentE1RMSystem = e1rmBlend.e1rmSystem;
   const currentE1RMExternal = currentE1RMSystem !== null ? Math.max(0, currentE1RMSystem - bodyweightKg) : null;
 
   // Use peakingConfig e1RM if no computed e1RM
@@ -1509,8 +3147,7 @@ async function recommendPeaking(options = {}) {
 
   let targetExternalLoad;
   if (currentE1RMSystem !== null) {
-    const effectiveReps = targetReps + targetVx;
-    const targetSystemLoad = currentE1RMSystem / (1 + effectiveReps / 30);
+    const targetSystemLoad = systemLoadForPrescription(currentE1RMSystem, targetReps, targetVx, e1rmModelId);
     const rawExternal = targetSystemLoad * (1 + deltaPct) - bodyweightKg;
     targetExternalLoad = roundToHalf(Math.max(0, rawExternal));
   } else {
@@ -1531,14 +3168,19 @@ async function recommendPeaking(options = {}) {
     setCount: dayPlan?.slots?.find(s => s.role === "primary")?.sets || 3,
     deltaPct,
     capLevel: 0, // No caps in peaking
-    readiness: options.readiness || { combined: "GREEN", capLevel: 0, channels: {} },
+    readiness: inputs.readiness || { combined: "GREEN", capLevel: 0, channels: {} },
     e1rmSystem: currentE1RMSystem,
     e1rmExternal: currentE1RMExternal,
+    e1rmSources: e1rmBlend.sources,
+    e1rmModel: e1rmModelId,
+    loadVelocityProfile: lvProfile,
     bodyweightKg,
     varaFeedback: { suggestion: null, type: null },
     breakInfo: null,
     accessoryCapActive: false,
     dayPlan,
+    plannedDateISO: todayPlan.plannedDateISO,
+    calendarStatus: todayPlan.status,
     attemptLoads,
     peakingConfig: mesocycle.peakingConfig,
     traces,
@@ -1546,25 +3188,246 @@ async function recommendPeaking(options = {}) {
 
   for (const t of traces) t.recId = rec.recId;
 
-  if (!options.dryRun) {
-    await saveRecommendation({
-      recId: rec.recId,
-      sessionId: null,
-      variantId: null,
-      targetSetRole: "top",
-      targetLoadKg: targetExternalLoad,
-      deltaPct,
-      capLevel: 0,
-      mesocycleWeek: weekNum,
-      dayType,
-      targetReps,
-      targetVx,
-      createdAtISO: new Date().toISOString(),
-    });
-    for (const t of traces) await saveDecisionTrace(t);
+  return { rec, traces, effects: [{ type: "saveRecommendation", rec }] };
+}
+
+/**
+ * Peaking adapter over planPeakingDay(), same contract as recommend().
+ */
+async function recommendPeaking(options = {}) {
+  const plan = planPeakingDay(await loadPlanInputs(options));
+  if (!options.dryRun) await applyPlanEffects(plan.effects);
+  return plan.rec;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MEET MODE — WARM-UP TIMING AND LIVE ATTEMPT SELECTION
+// ═══════════════════════════════════════════════════════════════
+
+// Jump to the next attempt as a share of the planned external e1RM, after a
+// good 1st / 2nd attempt. After a miss the load is repeated (attempts never go
+// down), except that an aggressive athlete takes missJumpPct more.
+const MEET_JUMP_STRATEGIES = {
+  conservative: { label: "Varovainen", jumpPct: [0.03, 0.02], missJumpPct: 0, velocityTargetPct: [0.97, 1.00] },
+  standard:     { label: "Normaali",   jumpPct: [0.05, 0.05], missJumpPct: 0, velocityTargetPct: [0.98, 1.02] },
+  aggressive:   { label: "Aggressiivinen", jumpPct: [0.07, 0.06], missJumpPct: 0.01, velocityTargetPct: [1.00, 1.04] },
+};
+
+const MEET_WARMUP_DEFAULTS = {
+  minutesPerAttempt: 1,      // one lifter's attempt incl. loading
+  minutesBetweenWarmups: 5,
+  lastWarmupLeadMin: 8,      // last warm-up this long before the opener
+  generalWarmupMin: 20,      // general warm-up before the first loaded warm-up
+};
+
+function minutesToClock(minutes) {
+  const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+function clockToMinutes(hhmm) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(hhmm || "");
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Warm-up schedule timed backward from the opener. The opener is estimated
+ * from the flight start time plus the attempts taken before ours.
+ * @param {object} attemptLoads — computeAttemptLoads() result
+ * @param {object} options — { startTime "HH:MM", liftersBefore, ...MEET_WARMUP_DEFAULTS }
+ * @returns {{ firstAttemptTime, generalWarmupTime, warmups: Array<{ idx, loadKg, reps, time }> }|null}
+ */
+function meetWarmupSchedule(attemptLoads, options = {}) {
+  const cfg = { ...MEET_WARMUP_DEFAULTS, ...options };
+  const start = clockToMinutes(cfg.startTime);
+  if (!attemptLoads || start === null) return null;
+
+  const firstAttempt = start + Math.max(0, cfg.liftersBefore || 0) * cfg.minutesPerAttempt;
+  const loads = attemptLoads.warmupLoads || [];
+  const lastWarmup = firstAttempt - cfg.lastWarmupLeadMin;
+  const warmups = loads.map((loadKg, idx) => {
+    const pct = attemptLoads.opener > 0 ? loadKg / attemptLoads.opener : 1;
+    return {
+      idx,
+      loadKg,
+      reps: pct < 0.6 ? 3 : pct < 0.85 ? 2 : 1,
+      time: minutesToClock(lastWarmup - (loads.length - 1 - idx) * cfg.minutesBetweenWarmups),
+    };
+  });
+  const firstWarmup = lastWarmup - Math.max(0, loads.length - 1) * cfg.minutesBetweenWarmups;
+
+  return {
+    firstAttemptTime: minutesToClock(firstAttempt),
+    generalWarmupTime: minutesToClock(firstWarmup - cfg.generalWarmupMin),
+    warmups,
+  };
+}
+
+/**
+ * Next attempt from the outcome of the previous ones.
+ * A good lift jumps by the strategy's share of the planned e1RM. When the
+ * lift's mean velocity and a load–velocity profile are known, today's e1RM is
+ * re-estimated by shifting the profile through the observed velocity and the
+ * jump is averaged with the strategy's target share of that estimate. A miss
+ * repeats the load.
+ * @param {Array} attempts — [{ loadKg, good, velocity }] taken so far (1–2)
+ * @param {object} options — { strategy, e1rmExternal, bodyweightKg, profile }
+ * @returns {{ loadKg, jumpKg, basis: "jump"|"velocity"|"repeat", velocityE1RMExternal, why }|null}
+ */
+function nextMeetAttempt(attempts, options = {}) {
+  if (!attempts?.length || attempts.length >= 3) return null;
+  const strategy = MEET_JUMP_STRATEGIES[options.strategy] || MEET_JUMP_STRATEGIES.standard;
+  const last = attempts[attempts.length - 1];
+  const idx = attempts.length - 1; // 0 = after opener, 1 = after second
+  const e1rm = options.e1rmExternal || last.loadKg;
+
+  if (!last.good) {
+    const loadKg = roundToHalf(last.loadKg + e1rm * strategy.missJumpPct);
+    return {
+      loadKg,
+      jumpKg: loadKg - last.loadKg,
+      basis: "repeat",
+      velocityE1RMExternal: null,
+      why: loadKg > last.loadKg
+        ? `Epäonnistunut yritys → pieni nosto ${last.loadKg} → ${loadKg} kg (${strategy.label.toLowerCase()})`
+        : `Epäonnistunut yritys → sama kuorma uudelleen (${loadKg} kg)`,
+    };
   }
 
-  return rec;
+  const jumpLoad = last.loadKg + e1rm * strategy.jumpPct[idx];
+  let target = jumpLoad;
+  let basis = "jump";
+  let velocityE1RMExternal = null;
+
+  const profile = options.profile;
+  const bw = options.bodyweightKg || 0;
+  if (profile && profile.slope < 0 && last.velocity > 0 && bw > 0) {
+    // Today's profile runs through the observed point with the fitted slope
+    const todaySystem = bw + last.loadKg + (profile.mvt - last.velocity) / profile.slope;
+    velocityE1RMExternal = Math.max(0, todaySystem - bw);
+    const velocityLoad = velocityE1RMExternal * strategy.velocityTargetPct[idx];
+    target = (jumpLoad + velocityLoad) / 2;
+    basis = "velocity";
+  }
+
+  // Never below the last good lift; a velocity read cannot more than double the jump
+  const maxJump = e1rm * strategy.jumpPct[idx] * 2;
+  const loadKg = roundToHalf(clamp(target, last.loadKg + 0.5, last.loadKg + maxJump));
+  const jumpKg = loadKg - last.loadKg;
+  return {
+    loadKg,
+    jumpKg,
+    basis,
+    velocityE1RMExternal,
+    why: basis === "velocity"
+      ? `Onnistunut ${last.loadKg} kg @ ${last.velocity} m/s → päivän e1RM ~${velocityE1RMExternal.toFixed(1)} kg → ${loadKg} kg (+${jumpKg})`
+      : `Onnistunut ${last.loadKg} kg → ${strategy.label.toLowerCase()} hyppy +${jumpKg} kg → ${loadKg} kg`,
+  };
+}
+
+/**
+ * Meet result record from the recorded attempts.
+ * @param {object} meet — { attempts: [{ attemptNo, loadKg, good, velocity }], strategy, startTime, e1rmExternal }
+ * @param {object} context — { dateISO, bodyweightKg, sessionId, mesocycleId }
+ * @returns {object} { meetId, dateISO, bodyweightKg, attempts, goodLifts, bestLiftKg, bestSystemKg, relativeStrength, bombOut, ... }
+ */
+function summarizeMeetResult(meet, context = {}) {
+  const attempts = (meet?.attempts || [])
+    .filter(a => a.good === true || a.good === false)
+    .map(a => ({ attemptNo: a.attemptNo, loadKg: a.loadKg, good: a.good, velocity: a.velocity ?? null }));
+  const good = attempts.filter(a => a.good);
+  const bw = context.bodyweightKg || null;
+  const bestLiftKg = good.length > 0 ? Math.max(...good.map(a => a.loadKg)) : null;
+  const bestSystemKg = bestLiftKg !== null && bw ? bw + bestLiftKg : null;
+  return {
+    meetId: uid(),
+    dateISO: context.dateISO || todayISO(),
+    sessionId: context.sessionId || null,
+    mesocycleId: context.mesocycleId || null,
+    bodyweightKg: bw,
+    startTime: meet?.startTime || null,
+    strategy: meet?.strategy || "standard",
+    plannedE1RMExternal: meet?.e1rmExternal ?? null,
+    attempts,
+    goodLifts: good.length,
+    bestLiftKg,
+    bestSystemKg,
+    relativeStrength: bestSystemKg !== null ? Math.round((bestSystemKg / bw) * 1000) / 1000 : null,
+    bombOut: attempts.length > 0 && good.length === 0,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// COMPETITION HISTORY — RELATIVE SCORING AND WEIGHT-CLASS PROJECTION
+// ═══════════════════════════════════════════════════════════════
+
+// Relative-strength scores of a result (external load + bodyweight). The
+// allometric score scales by bw^(2/3), so lighter lifters are not favoured
+// as strongly as by a plain ratio.
+const RELATIVE_SCORE_FORMULAS = {
+  system_per_bw:   { label: "System / kehonpaino",    score: (ext, bw) => (bw + ext) / bw },
+  external_per_bw: { label: "Lisäpaino / kehonpaino", score: (ext, bw) => ext / bw },
+  allometric:      { label: "System / kp^⅔",          score: (ext, bw) => (bw + ext) / Math.pow(bw, 2 / 3) },
+};
+
+/**
+ * Score a competition result both absolutely and relatively.
+ * @param {object} competition — { bestLiftKg, weighInKg }
+ * @param {string} formulaId — key of RELATIVE_SCORE_FORMULAS
+ * @returns {{ absoluteKg, systemKg, relative, formulaId }} relative null without a good lift or weigh-in
+ */
+function scoreCompetition(competition, formulaId = "system_per_bw") {
+  const id = RELATIVE_SCORE_FORMULAS[formulaId] ? formulaId : "system_per_bw";
+  const ext = competition?.bestLiftKg ?? null;
+  const bw = competition?.weighInKg ?? null;
+  const valid = ext !== null && bw > 0;
+  return {
+    absoluteKg: ext,
+    systemKg: valid ? bw + ext : null,
+    relative: valid ? Math.round(RELATIVE_SCORE_FORMULAS[id].score(ext, bw) * 1000) / 1000 : null,
+    formulaId: id,
+  };
+}
+
+/**
+ * What external load wins at a target weight class. Assumes the current
+ * system e1RM carries over to the class limit, so cutting weight adds the
+ * difference to the external load (and moving up takes it away). The winning
+ * result is the latest known class winner in the same rule set — the
+ * athlete's own best lift when they placed first.
+ * @param {object} options — { e1rmSystem, bodyweightKg, rulesetId, weightClassKg, competitions, formulaId }
+ * @returns {object|null} { competingBodyweightKg, projectedExternalKg, projectedRelative,
+ *   winningLiftKg, winningSource, requiredSystemE1RM, marginKg, wins } or null without an e1RM
+ */
+function projectWinningLoad(options = {}) {
+  const { e1rmSystem, bodyweightKg, rulesetId, competitions = [] } = options;
+  const weightClassKg = options.weightClassKg ?? null;
+  if (!(e1rmSystem > 0)) return null;
+
+  // +class / open: compete at today's bodyweight
+  const competingBodyweightKg = weightClassKg !== null ? weightClassKg : bodyweightKg;
+  if (!(competingBodyweightKg > 0)) return null;
+  const projectedExternalKg = roundToHalf(Math.max(0, e1rmSystem - competingBodyweightKg));
+
+  const sameClass = competitions
+    .filter(c => c.rulesetId === rulesetId && (c.weightClassKg ?? null) === weightClassKg)
+    .map(c => ({ c, winning: c.winnerLiftKg ?? (c.placement === 1 ? c.bestLiftKg : null) }))
+    .filter(x => x.winning !== null && x.winning !== undefined)
+    .sort((a, b) => (a.c.dateISO || "").localeCompare(b.c.dateISO || ""));
+  const latest = sameClass[sameClass.length - 1] || null;
+  const winningLiftKg = latest ? latest.winning : null;
+
+  return {
+    competingBodyweightKg,
+    projectedExternalKg,
+    projectedRelative: scoreCompetition({ bestLiftKg: projectedExternalKg, weighInKg: competingBodyweightKg }, options.formulaId).relative,
+    winningLiftKg,
+    winningSource: latest ? { competitionId: latest.c.competitionId, dateISO: latest.c.dateISO, name: latest.c.name || "" } : null,
+    requiredSystemE1RM: winningLiftKg !== null ? competingBodyweightKg + winningLiftKg : null,
+    marginKg: winningLiftKg !== null ? projectedExternalKg - winningLiftKg : null,
+    wins: winningLiftKg !== null ? projectedExternalKg > winningLiftKg : null,
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -1584,6 +3447,440 @@ const SUGGESTED_NEXT_TEMPLATE = {
   peaking:       ["palautuminen", "siirtyma", "hypertrofia"],      // Kilpailun jälkeen → lepo
 };
 
+// ═══════════════════════════════════════════════════════════════
+// MACROCYCLE PLANNER — TEMPLATE CHAIN BACKWARD FROM A COMPETITION
+// ═══════════════════════════════════════════════════════════════
+
+// Cost of an edge in SUGGESTED_NEXT_TEMPLATE is its rank (0 = primary suggestion); an
+// unsuggested first block or block before peaking costs one more than the worst edge
+const MACROCYCLE_UNSUGGESTED_COST = 3;
+
+/**
+ * Peaking start for a competition: the Monday of the competition week minus
+ * three weeks, so the competition falls in peaking week 4.
+ */
+function peakingStartForCompetition(competitionDateISO) {
+  return addDaysISO(competitionDateISO, -(isoWeekday(competitionDateISO) - 1) - 21);
+}
+
+/**
+ * Plan a macrocycle backward from a competition date: a chain of mesocycle
+ * templates following SUGGESTED_NEXT_TEMPLATE that fills the whole weeks
+ * between startDateISO and the peaking start, preferably ending in a block
+ * that suggests peaking. Among chains of equal length the one using the
+ * highest-ranked suggestions wins. Days that no chain can fill become a
+ * lead-in before the first block.
+ * @param {string} competitionDateISO
+ * @param {{ startDateISO?: string, currentType?: string|null, calendar?: object, templates?: Array }} options
+ *   startDateISO — first free day (default today), currentType — type of the mesocycle before the plan
+ * @returns {object|null} { macrocycleId, competitionDateISO, startDateISO, leadInDays, blocks, competitionMove } or null if the peaking can't start in time
+ */
+function planMacrocycle(competitionDateISO, options = {}) {
+  const startDateISO = options.startDateISO || todayISO();
+  const templates = options.templates || MESOCYCLE_TEMPLATES;
+  const weeksOf = new Map(templates.map((t) => [t.id, t.weeks]));
+  const peakingStartISO = peakingStartForCompetition(competitionDateISO);
+  const freeDays = daysBetweenISO(startDateISO, peakingStartISO);
+  if (freeDays < 0) return null;
+
+  // best[w].get(t): cheapest chain of w weeks starting with template t and leading into peaking
+  const maxWeeks = Math.floor(freeDays / 7);
+  const rank = (from, to) => {
+    const i = (SUGGESTED_NEXT_TEMPLATE[from] || []).indexOf(to);
+    return i === -1 ? null : i;
+  };
+  const candidates = templates.map((t) => t.id).filter((id) => id !== "peaking" && weeksOf.get(id) > 0);
+  const best = Array.from({ length: maxWeeks + 1 }, () => new Map());
+  for (let w = 1; w <= maxWeeks; w++) {
+    for (const t of candidates) {
+      const rest = w - weeksOf.get(t);
+      if (rest < 0) continue;
+      let entry = null;
+      if (rest === 0) {
+        entry = { cost: rank(t, "peaking") ?? MACROCYCLE_UNSUGGESTED_COST, next: null };
+      } else {
+        for (const [u, sub] of best[rest]) {
+          const r = rank(t, u);
+          if (r !== null && (!entry || r + sub.cost < entry.cost)) entry = { cost: r + sub.cost, next: u };
+        }
+      }
+      if (entry) best[w].set(t, entry);
+    }
+  }
+
+  // Longest fillable span; the first block is also scored against the current mesocycle
+  let weeks = 0;
+  let first = null;
+  for (let w = maxWeeks; w > 0 && !first; w--) {
+    let firstCost = Infinity;
+    for (const [t, entry] of best[w]) {
+      const r = options.currentType ? rank(options.currentType, t) : 0;
+      const cost = entry.cost + (r ?? MACROCYCLE_UNSUGGESTED_COST);
+      if (cost < firstCost) { firstCost = cost; first = t; weeks = w; }
+    }
+  }
+
+  const leadInDays = freeDays - weeks * 7;
+  const blocks = [];
+  let cursor = addDaysISO(startDateISO, leadInDays);
+  const push = (templateId, n) => {
+    blocks.push({ templateId, weeks: n, startDateISO: cursor, endDateISO: addDaysISO(cursor, n * 7 - 1), status: "planned", mesocycleId: null });
+    cursor = addDaysISO(cursor, n * 7);
+  };
+  for (let t = first, w = weeks; t; ) {
+    const n = weeksOf.get(t);
+    push(t, n);
+    const next = best[w].get(t).next;
+    w -= n;
+    t = next;
+  }
+  push("peaking", weeksOf.get("peaking") || 4);
+
+  // Competition day off the template's weekday → calendar move for the planned day
+  const peaking = createPeakingMesocycle(peakingStartISO);
+  const competition = plannedSessions(peaking, options.calendar || null).find((p) => p.dayPlan.dayType === "competition");
+  const competitionMove = competition && competition.plannedDateISO !== competitionDateISO
+    ? { plannedDateISO: competition.plannedDateISO, toDateISO: competitionDateISO }
+    : null;
+
+  return {
+    macrocycleId: uid(),
+    createdAtISO: new Date().toISOString(),
+    competitionDateISO,
+    startDateISO,
+    leadInDays,
+    blocks,
+    competitionMove,
+  };
+}
+
+/**
+ * Activate the next planned macrocycle block once the current mesocycle has
+ * ended (or there is none). Blocks that ended before dateISO are skipped;
+ * the activated block keeps its planned start so the chain stays aligned to
+ * the competition — it may start a few days ahead (lead-in) or have started
+ * already. Pure: returns the new mesocycle and the updated plan.
+ * @param {object|null} macrocycle
+ * @param {object|null} mesocycle — currently active mesocycle
+ * @param {string} dateISO
+ * @param {{ e1rmExternal?: number, bodyweightKg?: number }} options — peaking attempt base
+ * @returns {{ mesocycle: object, macrocycle: object, block: object }|null} null when nothing is due
+ */
+function activateMacrocycleBlock(macrocycle, mesocycle, dateISO, options = {}) {
+  if (!macrocycle?.blocks?.length) return null;
+  if (mesocycle && (getMesocycleWeek(mesocycle, dateISO) !== null || dateISO < mesocycle.startDateISO)) return null;
+  const idx = macrocycle.blocks.findIndex((b) => b.status === "planned" && b.endDateISO >= dateISO);
+  if (idx === -1) return null;
+
+  const block = macrocycle.blocks[idx];
+  const next = createMesocycleFromTemplate(block.templateId, block.startDateISO, block.templateId === "peaking" ? {
+    e1rmExternal: options.e1rmExternal,
+    bodyweightKg: options.bodyweightKg,
+    taperWeeks: block.taperWeeks,
+  } : {});
+  if (!next) return null;
+  next.macrocycleId = macrocycle.macrocycleId;
+
+  const blocks = macrocycle.blocks.map((b, i) => {
+    if (i === idx) return { ...b, status: "active", mesocycleId: next.mesocycleId };
+    if (b.status === "active") return { ...b, status: "done" };
+    if (b.status === "planned" && i < idx) return { ...b, status: "skipped" };
+    return b;
+  });
+  return { mesocycle: next, macrocycle: { ...macrocycle, blocks }, block: blocks[idx] };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PROGRAM GENERATOR — WEEK PLANS FROM AVAILABILITY
+// ═══════════════════════════════════════════════════════════════
+
+// Day-type mix per emphasis and sessions per week (assigned to weekdays by spacing below)
+const GENERATOR_DAY_TYPES = {
+  maksimivoima: { 2: ["heavy", "volume"], 3: ["heavy", "volume", "speed"], 4: ["heavy", "volume", "heavy", "speed"], 5: ["heavy", "volume", "speed", "heavy", "volume"] },
+  hypertrofia:  { 2: ["volume", "heavy"], 3: ["volume", "heavy", "volume"], 4: ["volume", "heavy", "volume", "speed"], 5: ["volume", "heavy", "volume", "speed", "volume"] },
+  nopeus:       { 2: ["speed", "heavy"], 3: ["speed", "heavy", "speed"], 4: ["speed", "heavy", "speed", "volume"], 5: ["speed", "heavy", "speed", "volume", "speed"] },
+};
+
+// Emphasis → built-in template whose weekDefs (deltas, heavy reps/Vx) the program reuses
+const GENERATOR_BASE_TYPE = { maksimivoima: "maksimivoima", hypertrofia: "hypertrofia", nopeus: "default" };
+
+// Days of recovery a day type needs before the next session, and how hard a day is
+const GENERATOR_RECOVERY_DAYS = { heavy: 2, volume: 2, speed: 1 };
+const GENERATOR_DAY_LOAD = { heavy: 3, volume: 2, speed: 1 };
+
+// Accessory categories in priority order per day type
+const GENERATOR_ACCESSORY_CATEGORIES = {
+  heavy: ["horisontaaliveto", "hauisfleksio", "core", "horisontaalityöntö"],
+  volume: ["vertikaaliveto", "horisontaaliveto", "vertikaalityöntö", "ojentajaekstensio", "hauisfleksio", "core"],
+  speed: ["horisontaalityöntö", "core", "muu", "alaraaja"],
+};
+const GENERATOR_COMPOUND_CATEGORIES = new Set(["vertikaaliveto", "horisontaaliveto", "vertikaalityöntö", "horisontaalityöntö", "alaraaja"]);
+const GENERATOR_MINUTES_PER_ACCESSORY = 8; // 3 sets incl. rest
+const GENERATOR_MAX_ACCESSORIES = 5;
+
+/**
+ * Pick `count` weekdays out of the available ones, spreading them as evenly
+ * around the week as possible (largest smallest gap, then smallest spread).
+ */
+function spreadWeekdays(available, count) {
+  const days = [...new Set(available)].filter((d) => d >= 1 && d <= 7).sort((a, b) => a - b);
+  let best = null;
+  const choose = (start, picked) => {
+    if (picked.length === count) {
+      const gaps = picked.map((d, i) => (i === 0 ? picked[picked.length - 1] - 7 : picked[i - 1])).map((prev, i) => picked[i] - prev);
+      const score = [Math.min(...gaps), -(Math.max(...gaps) - Math.min(...gaps))];
+      if (!best || score[0] > best.score[0] || (score[0] === best.score[0] && score[1] > best.score[1])) best = { days: [...picked], score };
+      return;
+    }
+    for (let i = start; i < days.length; i++) choose(i + 1, [...picked, days[i]]);
+  };
+  choose(0, []);
+  return best?.days || [];
+}
+
+/**
+ * Assign day types to sorted weekdays: every permutation of the mix is scored
+ * by the load that lands before the previous day's recovery is over
+ * (week wraps around); heavy days prefer the longest rest before them.
+ */
+function assignDayTypes(weekdays, dayTypes) {
+  const gapBefore = weekdays.map((d, i) => d - (i === 0 ? weekdays[weekdays.length - 1] - 7 : weekdays[i - 1]));
+  let best = null;
+  const permute = (rest, picked) => {
+    if (rest.length === 0) {
+      let cost = 0;
+      picked.forEach((type, i) => {
+        const prev = picked[(i - 1 + picked.length) % picked.length];
+        cost += Math.max(0, GENERATOR_RECOVERY_DAYS[prev] - gapBefore[i]) * GENERATOR_DAY_LOAD[type];
+        if (type === "heavy") cost -= 0.1 * gapBefore[i];
+      });
+      if (!best || cost < best.cost - 1e-9) best = { cost, types: [...picked] };
+      return;
+    }
+    rest.forEach((type, i) => {
+      if (rest.indexOf(type) !== i) return; // same type twice → same permutations
+      permute([...rest.slice(0, i), ...rest.slice(i + 1)], [...picked, type]);
+    });
+  };
+  permute(dayTypes, []);
+  return best.types;
+}
+
+/**
+ * Primary (+ backoff) slots for a day from DAY_TYPE_SET_RECIPES: heavy days
+ * take the week's heavy reps/Vx, strength emphasis the low end of each range,
+ * hypertrophy the high end. Deload weeks cut the sets and add one Vx to the
+ * recipe-based days.
+ */
+function generatorPrimarySlots(dayType, weekDef, emphasis, primaryName) {
+  const recipe = DAY_TYPE_SET_RECIPES[dayType];
+  const high = emphasis === "hypertrofia" ? 1 : 0;
+  const deload = weekDef.deltaPctBase <= DELOAD_DELTA_MAX;
+  let sets = Array.isArray(recipe.sets) ? recipe.sets[high] : recipe.sets;
+  let reps = dayType === "heavy" ? weekDef.heavyReps : recipe.repsRange[high];
+  let targetVx = dayType === "heavy" ? weekDef.heavyTargetVx : recipe.targetVxRange[emphasis === "maksimivoima" ? 0 : 1];
+  if (deload) {
+    sets = Math.max(2, Math.round(sets * 0.6));
+    if (dayType !== "heavy") targetVx = Math.min(5, targetVx + 1); // heavy Vx is already the deload week's
+  }
+  const slots = [{ role: "primary", category: "vertikaaliveto", defaultMovementName: primaryName, sets, reps, targetVx }];
+  if (dayType === "heavy" && emphasis !== "nopeus" && !deload) {
+    slots.push({ role: "backoff", category: "vertikaaliveto", defaultMovementName: primaryName, sets: 3, reps: reps + 2, targetVx: Math.min(5, targetVx + 1) });
+  }
+  return slots;
+}
+
+/**
+ * Accessory slots within the time budget using only movements the equipment
+ * allows (bodyweight movements always do). Consecutive sessions of the same
+ * day type rotate through the category's movements.
+ */
+function generatorAccessorySlots(dayType, minutes, equipment, deload, rotation) {
+  const count = Math.min(GENERATOR_MAX_ACCESSORIES, Math.floor((minutes || 0) / GENERATOR_MINUTES_PER_ACCESSORY));
+  const slots = [];
+  for (const category of GENERATOR_ACCESSORY_CATEGORIES[dayType]) {
+    if (slots.length >= count) break;
+    const options = PRESET_MOVEMENTS.filter((m) => m.category === category && !m.isPrimary && (m.equipment === null || equipment.has(m.equipment)));
+    if (options.length === 0) continue;
+    const movement = options[(rotation[category] = (rotation[category] ?? -1) + 1) % options.length];
+    const compound = GENERATOR_COMPOUND_CATEGORIES.has(category);
+    slots.push({
+      role: "accessory", category, defaultMovementName: movement.name,
+      sets: deload ? 2 : 3, reps: compound ? 8 : 12, targetVx: compound ? 3 : null,
+    });
+  }
+  return slots;
+}
+
+/**
+ * Generate a program (user template) from the athlete's availability.
+ * Sessions land on the available weekdays as evenly as possible, heavy /
+ * volume / speed days are spaced by recovery need, primary sets come from
+ * DAY_TYPE_SET_RECIPES with VARIANT_DAY_TYPE_MAP variants, and accessories
+ * fill the time budget with the available equipment.
+ * @param {{ weekdays: number[], sessionsPerWeek: number, emphasis: "maksimivoima"|"hypertrofia"|"nopeus",
+ *   accessoryMinutes?: number, equipment?: string[], primaryMovementName?: string }} options
+ * @returns {object|null} template in the user template format, null if fewer than two weekdays are available
+ */
+function generateProgram(options = {}) {
+  const emphasis = GENERATOR_DAY_TYPES[options.emphasis] ? options.emphasis : "maksimivoima";
+  const sessions = Math.max(2, Math.min(5, options.sessionsPerWeek || 3, new Set(options.weekdays || []).size));
+  const weekdays = spreadWeekdays(options.weekdays || [], sessions);
+  if (weekdays.length < 2) return null;
+
+  const dayTypes = assignDayTypes(weekdays, GENERATOR_DAY_TYPES[emphasis][weekdays.length]);
+  const equipment = new Set(options.equipment || []);
+  const primaryName = options.primaryMovementName || PRESET_MOVEMENTS.find((m) => m.isPrimary).name;
+  const baseType = GENERATOR_BASE_TYPE[emphasis];
+  const weekDefs = structuredClone(createMesocycleFromTemplate(baseType, todayISO()).weekDefs);
+
+  const weekPlans = weekDefs.map((weekDef) => {
+    const rotation = {};
+    const deload = weekDef.deltaPctBase <= DELOAD_DELTA_MAX;
+    return {
+      week: weekDef.week,
+      days: weekdays.map((dayOfWeek, i) => ({
+        dayOfWeek,
+        dayType: dayTypes[i],
+        label: { heavy: "Maksimivoima", volume: "Perusvoima", speed: "Nopeusvoima" }[dayTypes[i]],
+        slots: [
+          ...generatorPrimarySlots(dayTypes[i], weekDef, emphasis, primaryName),
+          ...generatorAccessorySlots(dayTypes[i], options.accessoryMinutes, equipment, deload, rotation),
+        ],
+      })),
+    };
+  });
+  assignVariantRotation(weekPlans);
+
+  const dayNames = { 1: "Ma", 2: "Ti", 3: "Ke", 4: "To", 5: "Pe", 6: "La", 7: "Su" };
+  const emphasisLabel = { maksimivoima: "Maksimivoima", hypertrofia: "Hypertrofia", nopeus: "Nopeusvoima" }[emphasis];
+  return {
+    templateId: uid(),
+    label: `${emphasisLabel} ${weekdays.length}×/vk`,
+    icon: "⚙️",
+    desc: `${weekdays.map((d) => dayNames[d]).join("/")} · apuliikkeet ${options.accessoryMinutes || 0} min`,
+    baseType,
+    weekCount: weekDefs.length,
+    weekDefs,
+    weekPlans,
+    generator: { ...options, emphasis, sessionsPerWeek: weekdays.length },
+    createdAtISO: new Date().toISOString(),
+    updatedAtISO: new Date().toISOString(),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// POST-CYCLE ANALYSIS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * End-of-cycle report for a mesocycle: primary e1RM start → end, adherence,
+ * Vara overshoot, readiness distribution and calibrateMesocycle()'s delta
+ * adjustment, plus the suggested next templates. Stored as
+ * mesocycle.postCycleAnalysis. Analysed before its planned end (program switched
+ * mid-cycle) the result is marked partial and carries no calibration forward.
+ * @param {object} mesocycle
+ * @param {{ sessions: Array, allSets: Array, recommendations?: Array, calendar?: object,
+ *   primaryMovementId?: string, bodyweightForSet?: Function, bodyweightKg?: number,
+ *   e1rmModel?: string, dateISO?: string }} context
+ * @returns {object} postCycleAnalysis
+ */
+function analyzeMesocycle(mesocycle, context = {}) {
+  const { allSets = [], recommendations = [], primaryMovementId = null, bodyweightKg = 91 } = context;
+  const modelId = E1RM_MODELS[context.e1rmModel] ? context.e1rmModel : DEFAULT_E1RM_MODEL;
+  const sessions = context.sessions || [];
+  const bwForSet = context.bodyweightForSet || bodyweightLookup({ sessions, fallbackKg: bodyweightKg });
+  const startISO = mesocycle.startDateISO;
+  const plannedEndISO = addDaysISO(startISO, mesocycle.weekCount * 7 - 1);
+  const endISO = context.dateISO && context.dateISO < plannedEndISO ? localDateISO(context.dateISO) : plannedEndISO;
+  const inCycle = (dateISO) => dateISO >= startISO && dateISO <= endISO;
+
+  const cycleSessions = sessions.filter((s) => isWorkoutSession(s) && (s.mesocycleId
+    ? s.mesocycleId === mesocycle.mesocycleId
+    : inCycle(localDateISO(s.dateISO))));
+  const cycleSessionIds = new Set(cycleSessions.map((s) => s.sessionId));
+  const cycleSets = allSets.filter((s) => cycleSessionIds.has(s.sessionId));
+
+  // e1RM entering the cycle (top sets before it) vs. at its end
+  const sessionDate = new Map(sessions.map((s) => [s.sessionId, localDateISO(s.dateISO)]));
+  const topSets = allSets
+    .filter((s) => s.setRole === "top" && (!primaryMovementId || s.movementId === primaryMovementId))
+    .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""));
+  const e1rmOf = (sets) => computeMovementE1RM(sets, true, bodyweightKg, bwForSet, modelId);
+  const cycleTop = topSets.filter((s) => cycleSessionIds.has(s.sessionId));
+  const beforeTop = topSets.filter((s) => (sessionDate.get(s.sessionId) || "") < startISO);
+  const e1rmStart = beforeTop.length ? e1rmOf(beforeTop) : e1rmOf(cycleTop.slice(0, 3));
+  const e1rmEnd = e1rmOf(cycleTop);
+
+  // Adherence: sessions done vs. planned, prescription vs. execution
+  const planned = plannedSessions(mesocycle, context.calendar).filter((p) => p.dateISO <= endISO);
+  const recById = new Map(recommendations.map((r) => [r.recId, r]));
+  const adherence = aggregateAdherence(cycleSessions
+    .filter((s) => s.recId && recById.has(s.recId))
+    .map((s) => sessionAdherence(recById.get(s.recId), cycleSets.filter((set) => set.sessionId === s.sessionId)).summary));
+
+  // Vara: actual − target on primary work sets (positive = load was too light)
+  const varaSets = cycleSets.filter((s) => (s.setRole === "top" || s.setRole === "backoff")
+    && (!primaryMovementId || s.movementId === primaryMovementId)
+    && s.targetVx !== null && s.targetVx !== undefined && s.actualVx !== null && s.actualVx !== undefined);
+  const overshoots = varaSets.map((s) => s.actualVx - s.targetVx);
+
+  // Readiness: the last recommendation of each day in the cycle
+  const recByDate = new Map();
+  for (const r of recommendations) {
+    if (r.mesocycleId !== mesocycle.mesocycleId || !r.readinessCombined) continue;
+    const prev = recByDate.get(r.dateISO);
+    if (!prev || (r.createdAtISO || "") > (prev.createdAtISO || "")) recByDate.set(r.dateISO, r);
+  }
+  const readiness = { GREEN: 0, YELLOW: 0, RED: 0, days: recByDate.size };
+  for (const r of recByDate.values()) if (r.readinessCombined in readiness) readiness[r.readinessCombined]++;
+
+  const calibration = calibrateMesocycle(varaSets);
+  return {
+    analyzedAtISO: new Date().toISOString(),
+    mesocycleType: mesocycle.type || "default",
+    startDateISO: startISO,
+    endDateISO: endISO,
+    partial: endISO < plannedEndISO,
+    e1rm: {
+      start: e1rmStart,
+      end: e1rmEnd,
+      change: e1rmStart !== null && e1rmEnd !== null ? e1rmEnd - e1rmStart : null,
+      changePct: e1rmStart && e1rmEnd !== null ? (e1rmEnd - e1rmStart) / e1rmStart : null,
+      model: modelId,
+    },
+    sessions: { planned: planned.length, done: cycleSessions.length },
+    adherence,
+    vara: {
+      n: overshoots.length,
+      avgOvershoot: overshoots.length ? avg(overshoots) : null,
+      tooLightShare: overshoots.length ? overshoots.filter((d) => d > 0).length / overshoots.length : null,
+      tooHeavyShare: overshoots.length ? overshoots.filter((d) => d < 0).length / overshoots.length : null,
+    },
+    readiness,
+    calibration,
+    nextTemplates: SUGGESTED_NEXT_TEMPLATE[mesocycle.type || "default"] || [],
+    deltaOffset: calibration.adjustment,
+  };
+}
+
+/**
+ * Pre-apply a finished cycle's calibration to a new mesocycle: deltaOffset
+ * is added to every week except deload weeks. Partial analyses are ignored.
+ * @returns {object} the same mesocycle
+ */
+function applyMesocycleCalibration(mesocycle, analysis, fromMesocycleId = null) {
+  if (analysis?.partial) return mesocycle;
+  const offset = analysis?.deltaOffset || 0;
+  if (offset !== 0) {
+    for (const w of mesocycle.weekDefs || []) {
+      if (w.deltaPctBase > DELOAD_DELTA_MAX) w.deltaPctBase = Math.round((w.deltaPctBase + offset) * 1000) / 1000;
+    }
+  }
+  mesocycle.calibratedFrom = { mesocycleId: fromMesocycleId, deltaOffset: offset, reason: analysis?.calibration?.reason || null };
+  return mesocycle;
+}
+
 // ═══════════════════════════════════════════════════════════════
 // EXPORTS
 // ═══════════════════════════════════════════════════════════════
@@ -1604,20 +3901,27 @@ export {
   clamp,
   roundToHalf,
   // e1RM
+  E1RM_MODELS,
+  DEFAULT_E1RM_MODEL,
+  getE1RMModel,
   e1rmSystem,
   e1rmExternal,
   e1rmAccessory,
+  systemLoadForPrescription,
   targetLoadFromE1RM,
   // Baseline
   computeBaseline,
   classifyReadinessZ,
   // Readiness
   velocityReadiness,
+  readinessVelocitySeries,
   hrvReadiness,
   varaReadiness,
   combineReadiness,
   // Mesocycle
   getMesocycleWeek,
+  plannedSessions,
+  consumedPlannedDates,
   getWeekDef,
   getTodayPlan,
   deltaPctRaw,
@@ -1636,9 +3940,27 @@ export {
   initialWeightFrom1RM,
   // Velocity
   velocityLossPercent,
+  // Load–velocity profile
+  DEFAULT_PULLUP_MVT,
+  fitLoadVelocityProfile,
+  velocityE1RM,
+  velocityE1RMWeight,
+  blendE1RMSources,
+  // Velocity-zone autoregulation
+  velocityZone,
+  autoregulateNextLoad,
+  velocityLossCheck,
   // Recommend
+  planDay,
+  planPeakingDay,
+  loadPlanInputs,
+  applyPlanEffects,
   recommend,
   recommendPeaking,
+  // Recommendation persistence
+  persistRecommendation,
+  persistAutoregulationTraces,
+  diffRecommendations,
   // Variant periodization
   DEFAULT_VARIANT_MODIFIERS,
   getDefaultVariantForDayType,
@@ -1647,8 +3969,33 @@ export {
   assignVariantRotation,
   // Peaking
   computeAttemptLoads,
+  // Meet mode
+  MEET_JUMP_STRATEGIES,
+  meetWarmupSchedule,
+  nextMeetAttempt,
+  summarizeMeetResult,
+  // Competition history
+  RELATIVE_SCORE_FORMULAS,
+  scoreCompetition,
+  projectWinningLoad,
+  // Post-cycle analysis
+  analyzeMesocycle,
+  applyMesocycleCalibration,
+  // Macrocycle
+  planMacrocycle,
+  peakingStartForCompetition,
+  activateMacrocycleBlock,
+  // Program generator
+  generateProgram,
+  spreadWeekdays,
+  assignDayTypes,
   // Weekly
   weeklyStimulus,
+  // Workload
+  dailyWorkloads,
+  workloadMetrics,
+  workloadDeloadProposal,
+  applyWorkloadDeload,
   // Stagnation
   checkStagnation,
   // Default plan
@@ -1660,13 +4007,35 @@ export {
   // HRV
   ouraHRVtoLnRMSSD,
   // Adaptive
+  sessionAdherence,
+  aggregateAdherence,
+  // Backtest
+  isFailedSet,
+  readinessAsOf,
+  mesocycleAsOf,
+  calendarAsOf,
+  backtestRecommendations,
+  summarizeBacktest,
   analyzeSessionAdaptation,
-  applyAdaptations,
+  buildAdaptationProposals,
+  mergeAdaptationProposals,
+  activeAdaptationProposals,
+  applyAdaptationProposal,
+  revertAdaptationChange,
   // Future workouts
   getFutureWorkouts,
   // Elite check
   eliteVolumeCheck,
   // Movement e1RM
+  bodyweightLookup,
   computeMovementE1RM,
+  backtestE1RMModels,
   computeMovementE1RMHistory,
+  buildSetExportRows,
+  // Fitness–fatigue
+  dailyTrainingImpulses,
+  plannedTrainingImpulses,
+  fitBanisterModel,
+  predictPerformance,
+  chooseTaperLength,
 };
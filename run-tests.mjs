@@ -0,0 +1,9 @@
+// run-tests.mjs — Testisarja ilman selainta: node run-tests.mjs
+// Nodessa ei ole IndexedDB:tä → data.js ajetaan muistiadapterilla.
+
+import { initDB, createMemoryAdapter } from "./data.js";
+import { runTests } from "./test-runner.js";
+
+await initDB({ adapter: createMemoryAdapter() });
+const { failed } = await runTests();
+process.exitCode = failed > 0 ? 1 : 0;
@@ -6,7 +6,9 @@ import {
   e1rmSystem, e1rmExternal, e1rmAccessory, targetLoadFromE1RM,
   computeBaseline, classifyReadinessZ,
   velocityReadiness, hrvReadiness, varaReadiness, combineReadiness,
+  readinessVelocitySeries,
   getMesocycleWeek, getWeekDef, deltaPctRaw,
+  getTodayPlan, getFutureWorkouts, plannedSessions,
   calibrateMesocycle,
   varaFeedback, varaTrendCorrection,
   breakAnalysis, mesocycleBreakReset,
@@ -16,14 +18,35 @@ import {
   weeklyStimulus, checkStagnation,
   speedDayLoad,
   ouraHRVtoLnRMSSD,
+  persistRecommendation, persistAutoregulationTraces, diffRecommendations, sessionAdherence, aggregateAdherence,
+  buildAdaptationProposals, mergeAdaptationProposals, applyAdaptationProposal, revertAdaptationChange,
+  buildSetExportRows,
+  fitLoadVelocityProfile, velocityE1RM, velocityE1RMWeight, blendE1RMSources, DEFAULT_PULLUP_MVT,
+  velocityZone, autoregulateNextLoad, velocityLossCheck,
+  bodyweightLookup, computeMovementE1RMHistory, computeMovementE1RM,
+  E1RM_MODELS, backtestE1RMModels,
+  backtestRecommendations, summarizeBacktest, isFailedSet, mesocycleAsOf, calendarAsOf,
+  planDay, planPeakingDay,
+  dailyTrainingImpulses, fitBanisterModel, predictPerformance, chooseTaperLength,
+  dailyWorkloads, workloadMetrics, workloadDeloadProposal, applyWorkloadDeload,
+  analyzeMesocycle, applyMesocycleCalibration,
+  planMacrocycle, peakingStartForCompetition, activateMacrocycleBlock,
+  generateProgram, spreadWeekdays, assignDayTypes, DAY_TYPE_SET_RECIPES,
+  computeAttemptLoads, meetWarmupSchedule, nextMeetAttempt, summarizeMeetResult,
+  RELATIVE_SCORE_FORMULAS, scoreCompetition, projectWinningLoad,
+  SUGGESTED_NEXT_TEMPLATE,
 } from "./engine.js";
 
 import {
   validateVelocity, validateLoad, validateReps, validateHRV, validateBodyweight,
   isVelocityTypo, parseNumericInput,
-  uid, createDefaultMesocycle,
-  exportFullBackup, importFullBackup,
-  initDB,
+  uid, addDaysISO, isWorkoutSession, createDefaultMesocycle, createPeakingMesocycle, createMesocycleFromTemplate,
+  createUserTemplate, resizeUserTemplate, validateMesocycleTemplate, exportUserTemplates, parseUserTemplates,
+  createCompetition, competitionFromMeetResult, weightClassLabel,
+  saveSession, getTracesForRec, exportFullBackup, importFullBackup, validateBackup,
+  initDB, getStorageAdapter, createMemoryAdapter, createFileAdapter, runAutoBackup, getBackupSnapshots,
+  migrateDataset, SCHEMA_VERSION, PRIMARY_VARIANTS, VARIANT_DAY_TYPE_MAP, PRESET_MOVEMENTS,
+  parseCSV, toCSV, selectCSVColumns, CSV_SET_COLUMNS, CSV_MEASUREMENT_COLUMNS,
 } from "./data.js";
 
 // ═══════════════════════════════════════════════════════════════
@@ -116,6 +139,24 @@ function testReadiness23Rule() {
   assertEqual(r4.capLevel, 2, "capLevel = 2 for RED");
 }
 
+function testReadinessVelocitySeries() {
+  // Baseline = readiness tests before today (sorted), today's test is the value
+  const sets = [
+    { setRole: "readiness_test", dateISO: "2026-02-03", velocityRep1: 0.55, timestamp: "2026-02-03T08:00:00Z" },
+    { setRole: "readiness_test", dateISO: "2026-02-01", velocityRep1: 0.52, timestamp: "2026-02-01T08:00:00Z" },
+    { setRole: "top", dateISO: "2026-02-02", velocityRep1: 0.30 },
+    { setRole: "readiness_test", dateISO: "2026-02-05", velocityRep1: 0.49, timestamp: "2026-02-05T08:00:00Z" },
+    { setRole: "readiness_test", dateISO: "2026-02-04", velocityRep1: null },
+  ];
+  const series = readinessVelocitySeries(sets, "2026-02-05");
+  assertEqual(series.todayTest?.velocityRep1, 0.49, "Readiness series: today's test picked");
+  assertEqual(JSON.stringify(series.baselineValues), "[0.52,0.55]", "Readiness series: baseline sorted, today + nulls excluded");
+
+  const none = readinessVelocitySeries(sets, "2026-02-06");
+  assertEqual(none.todayTest, null, "Readiness series: no test today → null");
+  assertEqual(none.baselineValues.length, 3, "Readiness series: all earlier tests in baseline");
+}
+
 function testE1RM() {
   // e1RM: 67kg ext + 91kg BW, 3 rep, V2
   // e1RM_system = (67+91) × (1 + (3+2)/30) = 158 × 1.1667 = 184.33
@@ -380,6 +421,42 @@ function testMesocycleWeek() {
   assertEqual(getMesocycleWeek(meso, "2026-02-15"), 3, "Meso week: day 15 → week 3");
   assertEqual(getMesocycleWeek(meso, "2026-02-22"), 4, "Meso week: day 22 → week 4");
   assertEqual(getMesocycleWeek(meso, "2026-03-01"), null, "Meso week: day 29 → null (past end)");
+  // 23:30 UTC on Sat 7.2. is already Sun 8.2. in Helsinki
+  assertEqual(getMesocycleWeek(meso, "2026-02-07T23:30:00Z"), 2, "Meso week: timestamp resolved in Europe/Helsinki");
+}
+
+function testTrainingCalendar() {
+  // Default mesocycle: Ma heavy / Ke volume / Pe speed; starts Su 1.2.2026
+  const meso = createDefaultMesocycle("2026-02-01");
+  const monday = getTodayPlan(meso, "2026-02-02", {});
+  assertEqual(monday.status, "planned", "Calendar: Monday is a planned day");
+  assertEqual(monday.dayPlan?.dayType, "heavy", "Calendar: Monday → heavy");
+
+  const trained = [{ sessionId: "s1", dateISO: "2026-02-02", plannedDateISO: "2026-02-02" }];
+  const tuesday = getTodayPlan(meso, "2026-02-03", { sessions: trained });
+  assertEqual(tuesday.status, "rest", "Calendar: Tuesday after trained Monday → rest day");
+  assertEqual(tuesday.plannedDateISO, "2026-02-04", "Calendar: rest day previews Wednesday, not Monday again");
+  assertEqual(getTodayPlan(meso, "2026-02-02", { sessions: trained }).status, "consumed", "Calendar: trained session is consumed");
+  assertEqual(getTodayPlan(meso, "2026-02-03", {}).status, "catch_up", "Calendar: missed Monday → catch-up on Tuesday");
+
+  const calendar = { trainingDays: null, overrides: {
+    "2026-02-02": { action: "move", toDateISO: "2026-02-03" },
+    "2026-02-04": { action: "skip" },
+  } };
+  const moved = getTodayPlan(meso, "2026-02-03", { calendar });
+  assertEqual(moved.status, "moved", "Calendar: moved session resolves on its new date");
+  assertEqual(moved.dayPlan?.dayType, "heavy", "Calendar: moved session keeps its day type");
+  const future = getFutureWorkouts(meso, "2026-02-01", 7, { calendar });
+  assertEqual(future.map(f => f.dateISO).join(","), "2026-02-03,2026-02-06", "Calendar: skipped session left out of preview");
+
+  const tueThuSat = plannedSessions(meso, { trainingDays: [2, 4, 6], overrides: {} }).filter(p => p.weekNum === 1);
+  assertEqual(tueThuSat.map(p => p.dateISO).join(","), "2026-02-03,2026-02-05,2026-02-07", "Calendar: template days mapped onto training days");
+  // Short calendar: Mon/Wed/Fri template on two training days — the third session needs a weekday of its own
+  const short = plannedSessions(meso, { trainingDays: [4, 2], overrides: {} }).filter(p => p.weekNum === 1);
+  assertEqual(short.map(p => p.dateISO).join(","), "2026-02-03,2026-02-05,2026-02-06", "Calendar: short calendar keeps a leftover day on its free weekday");
+  const shortDup = plannedSessions(meso, { trainingDays: [3, 5], overrides: {} }).filter(p => p.weekNum === 1);
+  assertEqual(new Set(shortDup.map(p => p.dateISO)).size, shortDup.length, "Calendar: short calendar never doubles a date");
+  assertEqual(shortDup.map(p => p.dateISO).join(","), "2026-02-04,2026-02-06,2026-02-07", "Calendar: colliding leftover day moves to the next free weekday");
 }
 
 function testCalibration() {
@@ -402,6 +479,722 @@ function testCalibration() {
   assertClose(cal2.adjustment, -0.01, 0.001, "Calibration: too heavy → -1%");
 }
 
+function testAdaptationProposals() {
+  const meso = createDefaultMesocycle("2026-02-01");
+  const adj = (sessionId, dateISO) => ({
+    sessionId, dateISO, dayType: "heavy", category: "hauisfleksio", role: "accessory",
+    movementName: "Hauiskääntö tanko", type: "volume_up", suggestedSets: 4, reason: "5 sarjaa tehty",
+  });
+
+  // One session is not a pattern
+  assertEqual(buildAdaptationProposals(meso, [adj("s1", "2026-02-02")]).length, 0, "Adaptation: 1 session → no proposal");
+
+  const history = [adj("s1", "2026-02-02"), adj("s2", "2026-02-09")];
+  const proposals = buildAdaptationProposals(meso, history);
+  assertEqual(proposals.length, 1, "Adaptation: 2 sessions → 1 proposal");
+  assertEqual(proposals[0].sources.length, 2, "Adaptation: proposal lists both source sessions");
+  assert(proposals[0].slotChanges.every(c => c.toSets === 4 && c.fromSets < 4), "Adaptation: preview raises sets to 4");
+  assertEqual(meso.weekPlans[0].days[0].slots[4].sets, 3, "Adaptation: building proposals does not mutate mesocycle");
+
+  const entry = applyAdaptationProposal(meso, proposals[0], "2026-02-10T08:00:00Z");
+  assertEqual(meso.weekPlans[0].days[0].slots[4].sets, 4, "Adaptation: accept applies sets");
+  assertEqual(meso.adaptationLog.length, 1, "Adaptation: applied change logged on mesocycle");
+
+  const { reverted } = revertAdaptationChange(meso, entry.changeId, "2026-02-11T08:00:00Z");
+  assert(reverted, "Adaptation: revert succeeds");
+  assertEqual(meso.weekPlans[0].days[0].slots[4].sets, 3, "Adaptation: revert restores sets");
+
+  // Rejected pattern needs two new sessions after the decision
+  const rejected = [{ ...proposals[0], status: "rejected", decidedAtISO: "2026-02-10T08:00:00Z" }];
+  assertEqual(mergeAdaptationProposals(rejected, proposals, "2026-02-12T08:00:00Z").length, 0,
+    "Adaptation: rejected proposal stays rejected");
+  const more = buildAdaptationProposals(meso, [...history, adj("s3", "2026-02-16"), adj("s4", "2026-02-23")]);
+  assertEqual(mergeAdaptationProposals(rejected, more, "2026-02-24T08:00:00Z")[0]?.status, "pending",
+    "Adaptation: 2 new sessions re-open rejected proposal");
+}
+
+function testRecommendationDiff() {
+  const recA = { dayType: "heavy", targetLoadKg: 70, capLevel: 0, deltaPct: 0.025 };
+  const recB = { dayType: "volume", targetLoadKg: 66, capLevel: 0, deltaPct: 0.025 };
+  const tracesA = [
+    { seq: 0, ruleId: "BASE_E1RM", before: {}, after: { e1rm: 180 }, why: "" },
+    { seq: 1, ruleId: "WEEK_DELTA", before: {}, after: { deltaPct: 0.025 }, why: "" },
+  ];
+  const tracesB = [
+    { seq: 0, ruleId: "BASE_E1RM", before: {}, after: { e1rm: 180 }, why: "" },
+    { seq: 1, ruleId: "WEEK_DELTA", before: {}, after: { deltaPct: 0.01 }, why: "" },
+    { seq: 2, ruleId: "READINESS_CAP", before: {}, after: { capLevel: 1 }, why: "" },
+  ];
+  const diff = diffRecommendations(recA, tracesA, recB, tracesB);
+  assertEqual(diff.fields.map(f => f.key).join(","), "dayType,targetLoadKg", "Rec diff: changed headline fields");
+  assertEqual(diff.rules.map(r => r.status).join(","), "same,changed,only_b", "Rec diff: rule statuses");
+}
+
+function testLoadVelocityProfile() {
+  // v = 1.45 − 0.01 × systemLoad, BW 90 → external 10…40 kg; one Vara 0 single at 0.22 m/s (+33 kg)
+  const sessions = [];
+  const sets = [];
+  const loads = [10, 15, 20, 25, 30, 35, 40, 20, 30, 40];
+  loads.forEach((ext, i) => {
+    const sessionId = `lv${i}`;
+    sessions.push({ sessionId, dateISO: `2025-03-${String(i + 1).padStart(2, "0")}`, bodyweightKg: 90 });
+    sets.push({ setId: `s${i}`, sessionId, movementId: "pri", setRole: "top", externalLoadKg: ext, reps: 3, actualVx: 2, velocityMean: 1.45 - 0.01 * (90 + ext) });
+  });
+  sessions.push({ sessionId: "lvMax", dateISO: "2025-03-12", bodyweightKg: 90 });
+  sets.push({ setId: "sMax", sessionId: "lvMax", movementId: "pri", setRole: "top", externalLoadKg: 33, reps: 1, actualVx: 0, velocityMean: 0.22 });
+  sets.push({ setId: "acc", sessionId: "lv0", movementId: "acc", setRole: "accessory", externalLoadKg: 60, reps: 10, velocityMean: 0.5 });
+
+  const profile = fitLoadVelocityProfile(sets, sessions, { dateISO: "2025-03-15" });
+  assert(profile !== null, "L–V: profile fitted");
+  assertClose(profile.slope, -0.01, 0.0005, "L–V: slope");
+  assertEqual(profile.n, 11, "L–V: accessory sets excluded");
+  assertEqual(profile.mvtSource, "vara0", "L–V: MVT from Vara 0 sets");
+  assertClose(velocityE1RM(profile), (1.45 - 0.22) / 0.01, 1, "L–V: velocity e1RM = load at MVT");
+  assert(profile.r2 > 0.99, "L–V: near-perfect fit");
+
+  assertEqual(fitLoadVelocityProfile(sets, sessions, { dateISO: "2025-06-30" }), null, "L–V: old sets outside window → null");
+  const flat = sets.map(s => ({ ...s, externalLoadKg: 20 }));
+  assertEqual(fitLoadVelocityProfile(flat, sessions, { dateISO: "2025-03-15" }), null, "L–V: no load spread → null");
+
+  const noFailure = fitLoadVelocityProfile(sets.filter(s => s.setId !== "sMax"), sessions, { dateISO: "2025-03-15" });
+  assertEqual(noFailure.mvt, DEFAULT_PULLUP_MVT, "L–V: default MVT without Vara 0 sets");
+  assert(velocityE1RMWeight(noFailure, velocityE1RM(noFailure)) < velocityE1RMWeight(profile, velocityE1RM(profile)),
+    "L–V: default MVT weighs less");
+
+  const traces = [];
+  const trace = (ruleId, before, after) => traces.push({ ruleId, before, after });
+  const blend = blendE1RMSources(trace, 120, profile);
+  const w = blend.sources.find(src => src.source === "velocity").weight;
+  assert(w > 0 && w <= 0.5, "L–V blend: velocity weight capped at 0.5");
+  assertClose(blend.e1rmSystem, 120 * (1 - w) + velocityE1RM(profile) * w, 0.01, "L–V blend: weighted mean");
+  assertEqual(traces[0]?.ruleId, "E1RM_VELOCITY_BLEND", "L–V blend: traced");
+  assertEqual(blendE1RMSources(trace, 120, null).e1rmSystem, 120, "L–V blend: no profile → Epley only");
+}
+
+function testVelocityAutoregulation() {
+  const profile = { slope: -0.01, intercept: 1.45, r2: 0.95, n: 12, loadRange: [100, 130], mvt: 0.22, mvtSource: "vara0" };
+  const heavy = velocityZone(profile, 120, "heavy");
+  assertClose(heavy.target, 0.25, 0.001, "Zone: target = predicted velocity at prescribed load");
+  assertClose(heavy.min, 0.22, 0.001, "Zone: lower bound never below MVT");
+  assertEqual(velocityZone(profile, 110, "speed").max, null, "Zone: speed day has no upper bound");
+  assertEqual(velocityZone(profile, 125, "heavy"), null, "Zone: prescription below MVT → no zone");
+  assertEqual(velocityZone(null, 110, "heavy"), null, "Zone: no profile → null");
+
+  const volume = velocityZone(profile, 110, "volume"); // target 0.35, 0.30–0.40
+  const args = { zone: volume, profile, externalLoadKg: 20, bodyweightKg: 90 };
+  assertEqual(autoregulateNextLoad({ ...args, velocity: 0.36 }).action, "hold", "Autoreg: inside zone → hold");
+  const slow = autoregulateNextLoad({ ...args, velocity: 0.28 });
+  assertEqual(slow.action, "decrease", "Autoreg: slow → decrease");
+  assertEqual(slow.deltaKg, -5.5, "Autoreg: decrease capped at 5 % of system load");
+  const fast = autoregulateNextLoad({ ...args, velocity: 0.42 });
+  assertEqual(fast.nextLoadKg, 25.5, "Autoreg: fast → increase, capped at +5 %");
+  const mild = autoregulateNextLoad({ ...args, zone: { target: 0.35, min: 0.33, max: 0.37 }, velocity: 0.38 });
+  assertEqual(mild.nextLoadKg, 23, "Autoreg: load for zone target when under the cap");
+
+  const sets = [
+    { velocity: 0.9, completed: true, isWarmup: true },
+    { velocity: 0.5, completed: true },
+    { velocity: 0.45, completed: true },
+    { velocity: 0.38, completed: true },
+  ];
+  const vl = velocityLossCheck(sets, 3, 20);
+  assertEqual(vl.referenceVelocity, 0.5, "VL: reference is first work set, not warm-up");
+  assertClose(vl.vl, 24, 0.01, "VL: loss vs first work set");
+  assert(vl.exceeded, "VL: 24 % > 20 % exceeded");
+  assert(!velocityLossCheck(sets, 2, 20).exceeded, "VL: 10 % within limit");
+  assertEqual(velocityLossCheck(sets, 1, 20).vl, null, "VL: first work set has no reference");
+}
+
+function testBodyweightLookup() {
+  const sessions = [
+    { sessionId: "a", dateISO: "2025-01-06", bodyweightKg: 94 },
+    { sessionId: "b", dateISO: "2025-02-03", bodyweightKg: null },
+    { sessionId: "c", dateISO: "2025-03-03", bodyweightKg: 90 },
+  ];
+  const measurements = [
+    { type: "bodyweight", dateISO: "2025-01-30", value: 92.5 },
+    { type: "bodyweight", dateISO: "2025-02-20", value: 91 },
+    { type: "HRV", dateISO: "2025-02-03", value: 60 },
+  ];
+  const bwFor = bodyweightLookup({ sessions, measurements, fallbackKg: 89 });
+  assertEqual(bwFor({ sessionId: "a" }), 94, "BW lookup: session bodyweight");
+  assertEqual(bwFor({ sessionId: "b" }), 92.5, "BW lookup: nearest weigh-in when session has none");
+  assertEqual(bwFor({ sessionId: "x", dateISO: "2025-02-18", bodyweightKg: 95 }), 95, "BW lookup: set's own bodyweight first");
+  assertEqual(bodyweightLookup({ fallbackKg: 89 })({ sessionId: "b" }), 89, "BW lookup: fallback to today's weight");
+
+  // Same lift (+30 kg × 3 @ V2) across a 4 kg cut: system e1RM follows the bodyweight of the day
+  const sets = ["a", "c"].map(id => ({ setId: id, sessionId: id, movementId: "p", setRole: "top", externalLoadKg: 30, reps: 3, actualVx: 2 }));
+  const history = computeMovementE1RMHistory(sets, sessions, true, 89);
+  assertClose(history[0].e1rm, 124 * (1 + 5 / 30), 0.01, "e1RM history: session 94 kg bodyweight");
+  assertClose(history[1].e1rm, 120 * (1 + 5 / 30), 0.01, "e1RM history: session 90 kg bodyweight");
+  assertClose(history[1].relative, (120 * (1 + 5 / 30)) / 90, 0.001, "e1RM history: relative strength");
+  assertClose(computeMovementE1RM(sets, true, 89, bwFor), 122 * (1 + 5 / 30), 0.01, "e1RM: per-set bodyweights, median");
+}
+
+function testE1RMModels() {
+  // Every model must invert itself: loadFor(estimate(w, r @ V)) = w
+  for (const model of Object.values(E1RM_MODELS).filter(m => m.id !== "velocity")) {
+    const e1rm = model.estimate({ load: 120, reps: 3, vara: 2 });
+    assertClose(model.loadFor(e1rm, { reps: 3, vara: 2 }), 120, 0.01, `e1RM model ${model.id}: inverse round-trip`);
+  }
+  assertClose(E1RM_MODELS.brzycki.estimate({ load: 100, reps: 5, vara: 0 }), 100 * 36 / 32, 0.01, "Brzycki: 100 × 5");
+  assertClose(E1RM_MODELS.rpe_table.estimate({ load: 100, reps: 1, vara: 0 }), 100, 0.01, "RPE table: 1 @ V0 = 1RM");
+  assertClose(E1RM_MODELS.rpe_table.estimate({ load: 92.2, reps: 1, vara: 2 }), 100, 0.01, "RPE table: 1 @ V2 = 92.2 %");
+  assertClose(e1rmSystem(90, 30, 3, 2, "epley"), e1rmSystem(90, 30, 3, 2), 0.001, "e1rmSystem: Epley stays the default");
+
+  // Velocity model: slope −0.01 m/s per kg, MVT 0.25 → 0.45 m/s at 120 kg is 20 kg from 1RM
+  const profile = { slope: -0.01, intercept: 1.65, mvt: 0.25 };
+  assertClose(E1RM_MODELS.velocity.estimate({ load: 120, reps: 3, vara: 2, velocity: 0.45 }, { profile }), 140, 0.01, "Velocity model: slides to MVT");
+  assertClose(e1rmSystem(90, 30, 3, 2, "velocity", {}), e1rmSystem(90, 30, 3, 2), 0.001, "Velocity model without velocity → Epley fallback");
+
+  // Sets generated with Brzycki from a constant 150 kg 1RM: Brzycki back-tests to zero error
+  const reps = [3, 5, 2, 4, 6, 3, 5];
+  const sets = reps.map((r, i) => ({ setId: `s${i}`, setRole: "top", reps: r, actualVx: 1, externalLoadKg: 150 * (37 - r - 1) / 36 - 90 }));
+  const results = backtestE1RMModels(sets, { isPrimary: true, bodyweightKg: 90 });
+  assertEqual(results[0].modelId, "brzycki", "Backtest: generating model ranks first");
+  assertClose(results[0].maeKg, 0, 0.001, "Backtest: generating model has zero error");
+  assertEqual(results[0].n, reps.length - 2, "Backtest: first sets only build history");
+  assertEqual(results.find(r => r.modelId === "velocity").n, 0, "Backtest: velocity model needs a profile");
+
+  // Velocity model: the profile is fitted only from days before each predicted set
+  const dated = sets.map((s, i) => ({ ...s, dateISO: addDaysISO("2026-01-05", i), velocityMean: 0.5 }));
+  const asked = [];
+  const vel = backtestE1RMModels(dated, {
+    isPrimary: true, bodyweightKg: 90,
+    profileAsOf: (dateISO) => { asked.push(dateISO); return profile; },
+  }).find(r => r.modelId === "velocity");
+  assertEqual(vel.n, dated.length - 2, "Backtest: velocity model scored with a profile");
+  assertEqual(asked.join(","), dated.slice(2).map(s => addDaysISO(s.dateISO, -1)).join(","), "Backtest: profile as of the day before each predicted set");
+
+  // Shown e1RM = recommend(): the velocity model reads the profile instead of falling back to Epley
+  const velSets = [{ setRole: "top", externalLoadKg: 30, reps: 3, actualVx: 2, velocityMean: 0.45 }];
+  assertClose(computeMovementE1RM(velSets, true, 90, null, "velocity", profile), 140, 0.01, "Movement e1RM: velocity model uses the profile");
+  assertClose(computeMovementE1RM(velSets, true, 90, null, "velocity"), e1rmSystem(90, 30, 3, 2), 0.01, "Movement e1RM: no profile → Epley fallback");
+}
+
+function testPlanDay() {
+  // No mesocycle: the new one comes back as an effect, saved before the recommendation
+  const fresh = planDay({ settings: {}, dateISO: "2026-03-02", bodyweightKg: 90 });
+  assertEqual(fresh.effects.map(e => e.type).join(","), "saveMesocycle,saveRecommendation", "planDay: proposes mesocycle + rec");
+  assertEqual(fresh.effects[0].mesocycle.mesocycleId, fresh.rec.mesocycleId, "planDay: rec uses the proposed mesocycle");
+  assertEqual(fresh.traces, fresh.rec.traces, "planDay: traces returned alongside rec");
+
+  // Same inputs → same plan (apart from generated ids)
+  const meso = createDefaultMesocycle("2026-03-02");
+  const inputs = {
+    settings: {}, dateISO: "2026-03-09", bodyweightKg: 90, mesocycle: meso, sessions: [], allSets: [
+      { setId: "p1", sessionId: "x", movementId: "pri", setRole: "top", externalLoadKg: 30, reps: 3, actualVx: 2, timestamp: "2026-03-04T10:00:00Z" },
+    ],
+    primaryMovementId: "pri",
+  };
+  const a = planDay(inputs).rec;
+  const b = planDay(inputs).rec;
+  assertEqual(a.targetExternalLoad, b.targetExternalLoad, "planDay: deterministic load");
+  assertEqual(planDay(inputs).effects.length, 1, "planDay: only the recommendation when mesocycle is given");
+  assertClose(computeMovementE1RM(inputs.allSets, true, 90), a.e1rmSystem, 0.01, "planDay: e1RM matches computeMovementE1RM");
+
+  // Finished peaking block → new default mesocycle proposed, not saved
+  const peak = createPeakingMesocycle("2026-01-05", 90, 90);
+  const after = planPeakingDay({ ...inputs, mesocycle: peak, dateISO: "2026-03-09" });
+  assertEqual(after.effects[0].type, "saveMesocycle", "planPeakingDay: transition mesocycle as an effect");
+  assertEqual(after.rec.mesocycleType, "default", "planPeakingDay: rec planned on the new mesocycle");
+}
+
+function testBanisterModel() {
+  // Daily impulse/performance: readiness tests count as performance only
+  const days = dailyTrainingImpulses([
+    { sessionId: "b1", externalLoadKg: 30, reps: 3, actualVx: 2, timestamp: "2026-03-02T10:00:00Z" },
+    { sessionId: "b1", externalLoadKg: 20, reps: 5, actualVx: 3, timestamp: "2026-03-02T10:10:00Z" },
+    { sessionId: "b2", externalLoadKg: 25, reps: 1, setRole: "readiness_test", timestamp: "2026-03-04T09:00:00Z" },
+  ], { sessions: [{ sessionId: "b1", dateISO: "2026-03-02", bodyweightKg: 90 }, { sessionId: "b2", dateISO: "2026-03-04", bodyweightKg: 90 }] });
+  assertEqual(days.length, 2, "Banister: one row per day");
+  assert(days[0].impulse > 0 && days[0].performance === Math.max(e1rmSystem(90, 30, 3, 2), e1rmSystem(90, 20, 5, 3)), "Banister: impulse + best e1RM of the day");
+  assertEqual(days[1].impulse, 0, "Banister: readiness test adds no impulse");
+
+  // Synthetic history from a known model → the grid search recovers it
+  const truth = { p0: 150, k1: 0.08, k2: 0.25, tau1: 40, tau2: 7 };
+  const series = [];
+  for (let d = 0; d < 70; d += 2) {
+    series.push({ dateISO: addDaysISO("2026-01-05", d), impulse: 20 + ((d * 7) % 13) * 3, performance: null });
+  }
+  for (const day of series) day.performance = predictPerformance(truth, series, [day.dateISO])[0].performance;
+  const model = fitBanisterModel(series);
+  assert(model && model.tau1 === 40 && model.tau2 === 7, "Banister: recovers τ1/τ2", JSON.stringify(model));
+  assert(model && model.r2 > 0.99 && Math.abs(model.k2 - truth.k2) < 0.01, "Banister: fits gains", JSON.stringify(model));
+  assertEqual(fitBanisterModel(series.slice(0, 5)), null, "Banister: too little data → null");
+
+  // Taper choice: fatigue-dominated athlete tapers longer, fitness-dominated shorter
+  const candidates = [1, 2].map(taperWeeks => ({ taperWeeks, mesocycle: createPeakingMesocycle("2026-03-16", 30, 90, { taperWeeks }) }));
+  const opts = { e1rmSystem: 125, dateISO: "2026-03-16" };
+  const tired = chooseTaperLength({ p0: 120, k1: 0.02, k2: 0.5, tau1: 50, tau2: 9 }, series, candidates, opts);
+  const fresh = chooseTaperLength({ p0: 120, k1: 0.3, k2: 0.01, tau1: 50, tau2: 3 }, series, candidates, opts);
+  assertEqual(tired.taperWeeks, 2, "Banister: high fatigue → 2-week taper");
+  assertEqual(fresh.taperWeeks, 1, "Banister: low fatigue → 1-week taper");
+  assertEqual(tired.candidates[0].competitionDateISO, tired.candidates[1].competitionDateISO, "Banister: same competition day for both tapers");
+  assertEqual(candidates[1].mesocycle.weekDefs[1].label, "Taper 1", "Peaking: 2-week taper replaces week 2");
+  assertEqual(chooseTaperLength(null, series, candidates, opts), null, "Banister: no model → no choice");
+}
+
+function testWorkloadMonitoring() {
+  // 4 weeks of 3×/wk at 1000 kg/day, then a 3-session week at 2000 kg/day
+  const sessions = [];
+  const sets = [];
+  for (let d = 0; d < 35; d++) {
+    if (![0, 2, 4].includes(d % 7)) continue;
+    const dateISO = addDaysISO("2026-02-02", d);
+    sessions.push({ sessionId: `w${d}`, dateISO, bodyweightKg: 90 });
+    sets.push({ sessionId: `w${d}`, movementId: "pri", externalLoadKg: 10, reps: d >= 28 ? 20 : 10, setRole: "top" });
+    sets.push({ sessionId: `w${d}`, movementId: "row", externalLoadKg: 50, reps: 2, setRole: "accessory" });
+    sets.push({ sessionId: `w${d}`, movementId: "pri", externalLoadKg: 20, reps: 1, setRole: "readiness_test" });
+  }
+  const movements = [{ movementId: "pri", isPrimary: true, category: "vertikaaliveto" }, { movementId: "row", category: "horisontaaliveto" }];
+  const daily = dailyWorkloads(sets, { sessions, movements });
+  assertEqual(daily.get("2026-02-02").load, 1100, "Workload: system tonnage + external tonnage, no readiness test");
+
+  const m = workloadMetrics(daily, "2026-03-08");
+  assertEqual(m.acute, 6300, "Workload: 7-day acute load");
+  assertClose(m.chronic, (6300 + 3 * 3300) / 4, 0.01, "Workload: chronic = 28-day weekly average");
+  assertClose(m.acwr, 6300 / m.chronic, 0.0001, "Workload: ACWR");
+  assertClose(m.monotony, 900 / Math.sqrt((3 * 1200 ** 2 + 4 * 900 ** 2) / 7), 0.0001, "Workload: Foster monotony");
+  assertClose(m.strain, m.acute * m.monotony, 0.01, "Workload: strain = load × monotony");
+  assertEqual(m.byCategory.horisontaaliveto.acute, 300, "Workload: per-category load");
+  assertEqual(workloadMetrics(daily, "2026-02-10").acwr, null, "Workload: no ACWR before 21 days of history");
+
+  // Rule: disabled by default, proposes when enabled and over the limit
+  const meso = createDefaultMesocycle("2026-02-02");
+  const inputs = { settings: {}, dateISO: "2026-03-09", bodyweightKg: 90, mesocycle: meso, sessions, allSets: sets, movements, primaryMovementId: "pri" };
+  assertEqual(planDay(inputs).rec.workloadDeload, null, "Workload rule: off by default");
+  const on = planDay({ ...inputs, settings: { workloadDeload: { enabled: true, acwrMax: 1.0 } } });
+  const t = on.traces.find(x => x.ruleId === "WORKLOAD_DELOAD");
+  assert(t && on.rec.workloadDeload && on.rec.deltaPct <= 0, "Workload rule: trace + proposal, no increase", JSON.stringify(on.rec.workloadDeload));
+
+  // Shortened block: week 4 deload pulled forward to week 2, then reverted
+  const m2 = createDefaultMesocycle("2026-02-02");
+  const shorten = workloadDeloadProposal({ acwr: 1.8, strain: null }, m2, 1, { acwrMax: 1.5 });
+  assertEqual(shorten.action, "shorten_block", "Workload: later deload → shorten block");
+  const entry = applyWorkloadDeload(m2, shorten, "2026-02-05T10:00:00Z");
+  assertEqual(m2.weekCount, 2, "Workload: block shortened");
+  assertEqual(m2.weekDefs[1].deltaPctBase, -0.25, "Workload: deload is next week");
+  revertAdaptationChange(m2, entry.changeId);
+  assertEqual(m2.weekCount, 4, "Workload: shortening reverted");
+
+  // No later deload → inserted deload week, later weeks shift
+  const m3 = createDefaultMesocycle("2026-02-02");
+  m3.weekDefs.forEach(w => { w.deltaPctBase = 0; });
+  const insert = workloadDeloadProposal({ acwr: 1.8, strain: null }, m3, 2, { acwrMax: 1.5 });
+  assertEqual(insert.action, "insert_deload", "Workload: no deload → insert one");
+  applyWorkloadDeload(m3, insert);
+  assertEqual(m3.weekCount, 5, "Workload: week inserted");
+  assert(m3.weekPlans[2].week === 3 && m3.weekPlans[2].days[0].slots[0].sets < m3.weekPlans[1].days[0].slots[0].sets, "Workload: inserted week has fewer sets");
+  assertEqual(workloadDeloadProposal({ acwr: 1.8, strain: null }, m3, 2, { acwrMax: 1.5 }), null, "Workload: no proposal right before a deload");
+}
+
+function testPostCycleAnalysis() {
+  const meso = createMesocycleFromTemplate("hypertrofia", "2026-02-02");
+  const sessions = [{ sessionId: "pre", dateISO: "2026-01-28", bodyweightKg: 90 }];
+  const sets = [{ sessionId: "pre", movementId: "pri", setRole: "top", externalLoadKg: 20, reps: 3, targetVx: 2, actualVx: 2, timestamp: "2026-01-28T10:00:00Z" }];
+  const recommendations = [];
+  ["2026-02-02", "2026-02-09", "2026-02-16", "2026-02-23"].forEach((dateISO, i) => {
+    sessions.push({ sessionId: `c${i}`, dateISO, bodyweightKg: 90, mesocycleId: meso.mesocycleId, recId: `r${i}` });
+    sets.push({ sessionId: `c${i}`, movementId: "pri", setRole: "top", externalLoadKg: 22 + i, reps: 3, targetVx: 2, actualVx: 4, slotIdx: 0, timestamp: `${dateISO}T10:00:00Z` });
+    recommendations.push({ recId: `r${i}`, dateISO, mesocycleId: meso.mesocycleId, readinessCombined: i === 3 ? "RED" : "GREEN", dayPlan: { slots: [{ role: "primary", sets: 2, reps: 3, targetVx: 2 }] } });
+  });
+
+  const a = analyzeMesocycle(meso, { sessions, allSets: sets, recommendations, primaryMovementId: "pri", bodyweightKg: 90, dateISO: "2026-03-02" });
+  assert(a.e1rm.change > 0 && a.e1rm.start < a.e1rm.end, "Post-cycle: e1RM start → end", JSON.stringify(a.e1rm));
+  assertEqual(a.sessions.done, 4, "Post-cycle: sessions done");
+  assertClose(a.adherence.setCompliance, 0.5, 0.001, "Post-cycle: adherence from linked recommendations");
+  assertEqual(a.vara.avgOvershoot, 2, "Post-cycle: Vara overshoot (actual − target)");
+  assertEqual(a.readiness.RED, 1, "Post-cycle: readiness distribution");
+  assertEqual(a.deltaOffset, 0.01, "Post-cycle: calibration → +1%");
+  assertEqual(a.nextTemplates[0], "maksimivoima", "Post-cycle: suggested next template");
+
+  // Readiness-only check-in is not a workout: no effect on sessions done or adherence
+  const checkIn = { sessionId: "rt", dateISO: "2026-02-11", mesocycleId: meso.mesocycleId, recId: null, source: "readiness_test" };
+  assert(!isWorkoutSession(checkIn) && isWorkoutSession(sessions[1]), "Post-cycle: readiness-only session is not a workout");
+  const withCheckIn = analyzeMesocycle(meso, { sessions: [...sessions, checkIn], allSets: sets, recommendations, primaryMovementId: "pri", bodyweightKg: 90, dateISO: "2026-03-02" });
+  assertEqual(withCheckIn.sessions.done, a.sessions.done, "Post-cycle: readiness-only session not counted as done");
+  assertEqual(withCheckIn.adherence.sessionCount, a.adherence.sessionCount, "Post-cycle: readiness-only session not in adherence");
+
+  const next = applyMesocycleCalibration(createMesocycleFromTemplate("maksimivoima", "2026-03-02"), a, meso.mesocycleId);
+  const base = createMesocycleFromTemplate("maksimivoima", "2026-03-02");
+  assertClose(next.weekDefs[0].deltaPctBase, base.weekDefs[0].deltaPctBase + 0.01, 0.0001, "Post-cycle: offset pre-applied");
+  assertEqual(next.weekDefs[3].deltaPctBase, base.weekDefs[3].deltaPctBase, "Post-cycle: deload week untouched");
+  assert(!a.partial, "Post-cycle: finished cycle is not partial");
+
+  // Program switched mid-cycle: partial analysis, no calibration carried forward
+  const mid = analyzeMesocycle(meso, { sessions, allSets: sets, recommendations, primaryMovementId: "pri", bodyweightKg: 90, dateISO: "2026-02-17" });
+  assert(mid.partial, "Post-cycle: mid-cycle analysis marked partial");
+  const uncalibrated = applyMesocycleCalibration(createMesocycleFromTemplate("maksimivoima", "2026-02-17"), { ...mid, deltaOffset: 0.01 }, meso.mesocycleId);
+  assertEqual(uncalibrated.weekDefs[0].deltaPctBase, base.weekDefs[0].deltaPctBase, "Post-cycle: partial analysis not applied");
+  assertEqual(uncalibrated.calibratedFrom, undefined, "Post-cycle: partial analysis leaves no calibratedFrom");
+
+  // Ended cycle in planDay: analysis saved on the finished mesocycle, same template repeated
+  const plan = planDay({ settings: {}, dateISO: "2026-03-02", bodyweightKg: 90, mesocycle: meso, sessions, allSets: sets, recommendations, primaryMovementId: "pri" });
+  assertEqual(plan.effects[0].mesocycle.mesocycleId, meso.mesocycleId, "Post-cycle: finished mesocycle saved first");
+  assert(plan.effects[0].mesocycle.postCycleAnalysis !== null, "Post-cycle: postCycleAnalysis stored");
+  assertEqual(plan.rec.mesocycleType, "hypertrofia", "Post-cycle: cycle type kept");
+  assertEqual(plan.effects[1].mesocycle.calibratedFrom.deltaOffset, 0.01, "Post-cycle: new cycle calibrated");
+}
+
+function testMacrocycle() {
+  // Competition Fri 2027-02-26 → peaking from Mon 2027-02-01, 15 whole weeks + 4 lead-in days before it
+  const plan = planMacrocycle("2027-02-26", { startDateISO: "2026-10-15", currentType: "hypertrofia" });
+  const peaking = plan.blocks[plan.blocks.length - 1];
+  assertEqual(peaking.templateId, "peaking", "Macrocycle: ends in peaking");
+  assertEqual(peaking.startDateISO, "2027-02-01", "Macrocycle: peaking starts 3 weeks before the competition week");
+  assertEqual(plan.blocks[plan.blocks.length - 2].templateId, "maksimivoima", "Macrocycle: block before peaking suggests peaking");
+  assertEqual(plan.leadInDays, 4, "Macrocycle: leftover days as lead-in");
+  assertEqual(plan.blocks[0].startDateISO, "2026-10-19", "Macrocycle: first block after the lead-in");
+  assert(plan.blocks.every((b, i) => i === 0 || b.startDateISO === addDaysISO(plan.blocks[i - 1].endDateISO, 1)), "Macrocycle: blocks are contiguous");
+  assert(plan.blocks.slice(1).every((b, i) => SUGGESTED_NEXT_TEMPLATE[plan.blocks[i].templateId].includes(b.templateId)), "Macrocycle: chain follows the suggestion graph");
+  assertEqual(plan.competitionMove, null, "Macrocycle: Friday competition needs no move");
+  assertEqual(peakingStartForCompetition("2026-12-05"), "2026-11-09", "Macrocycle: Saturday competition → same week's Monday − 3 wk");
+  assertEqual(planMacrocycle("2026-12-05", { startDateISO: "2026-10-15" }).competitionMove.toDateISO, "2026-12-05", "Macrocycle: off-weekday competition → calendar move");
+  assertEqual(planMacrocycle("2026-10-30", { startDateISO: "2026-10-15" }), null, "Macrocycle: no room for peaking → null");
+
+  // Activation: nothing while the current cycle runs, next block once it ends
+  const current = createMesocycleFromTemplate("hypertrofia", "2026-09-14");
+  assertEqual(activateMacrocycleBlock(plan, current, "2026-10-05"), null, "Macrocycle: running cycle not replaced");
+  const act = activateMacrocycleBlock(plan, current, "2026-10-12");
+  assertEqual(act.mesocycle.type, plan.blocks[0].templateId, "Macrocycle: next block activated");
+  assertEqual(act.mesocycle.startDateISO, "2026-10-19", "Macrocycle: activated block keeps its planned start");
+  assertEqual(act.macrocycle.blocks[0].status, "active", "Macrocycle: block marked active");
+  assertEqual(activateMacrocycleBlock(plan, null, "2026-11-20").macrocycle.blocks[0].status, "skipped", "Macrocycle: blocks already over are skipped");
+
+  // planDay: ended cycle + plan → block activated; before its start the day is rest
+  const day = planDay({ settings: {}, dateISO: "2026-10-12", bodyweightKg: 90, mesocycle: current, macrocycle: plan, sessions: [], allSets: [] });
+  assertEqual(day.rec.mesocycleType, plan.blocks[0].templateId, "Macrocycle: planDay continues with the planned block");
+  assert(day.effects.some(e => e.type === "saveMacrocycle" && e.macrocycle.blocks[0].status === "active"), "Macrocycle: planDay proposes the plan update");
+  assertEqual(day.rec.calendarStatus, "rest", "Macrocycle: lead-in days are rest");
+}
+
+function testUserTemplates() {
+  const template = createUserTemplate("hypertrofia");
+  assertEqual(template.baseType, "hypertrofia", "User template: base type from the built-in");
+  assertEqual(validateMesocycleTemplate(template).length, 0, "User template: copy of a built-in is valid");
+
+  resizeUserTemplate(template, 6);
+  assertEqual(template.weekDefs.length, 6, "User template: weeks added");
+  assertEqual(template.weekPlans[5].days.length, template.weekPlans[3].days.length, "User template: new weeks copy the last week");
+  resizeUserTemplate(template, 3);
+  assertEqual(template.weekPlans.length, 3, "User template: weeks removed");
+
+  const broken = structuredClone(template);
+  broken.weekPlans[0].days[0].slots[0].sets = 0;
+  broken.weekPlans[1].days[1].dayOfWeek = broken.weekPlans[1].days[0].dayOfWeek;
+  assertEqual(validateMesocycleTemplate(broken).length, 2, "User template: bad sets and duplicate weekday rejected");
+
+  // Versioned JSON: round trip gets fresh ids, unknown versions are refused
+  const file = JSON.parse(JSON.stringify(exportUserTemplates([template])));
+  assertEqual(file.formatVersion, 1, "Template file: format version");
+  const imported = parseUserTemplates(file);
+  assertEqual(imported.errors.length, 0, "Template file: import accepted");
+  assert(imported.templates[0].templateId !== template.templateId, "Template file: import never overwrites");
+  assertEqual(imported.templates[0].importedFromId, template.templateId, "Template file: source id kept");
+  assert(parseUserTemplates({ ...file, formatVersion: 2 }).errors.length > 0, "Template file: newer version rejected");
+  assert(parseUserTemplates({ ...file, templates: [broken] }).templates.length === 0, "Template file: invalid template rejects the file");
+  const injected = structuredClone(template);
+  injected.icon = '<img src=x onerror="alert(1)">';
+  injected.weekPlans[0].days[0].slots[0].defaultMovementName = "<script>x</script>";
+  const injectedErrors = parseUserTemplates({ ...file, templates: [injected] }).errors;
+  assertEqual(injectedErrors.length, 2, "Template file: markup in icon and movement name rejected");
+  assert(injectedErrors.every(e => !/[<>]/.test(e)), "Template file: error messages carry no markup");
+  const punctuated = structuredClone(template);
+  punctuated.label = "Voima & nopeus";
+  punctuated.desc = "Jannen 'kova' blokki";
+  assertEqual(parseUserTemplates({ ...file, templates: [punctuated] }).errors.length, 0, "Template file: & and quotes allowed in names");
+
+  // Mesocycle from a user template, repeated by planDay once it ends
+  const meso = createMesocycleFromTemplate(template.templateId, "2026-03-02", { userTemplates: [template] });
+  assertEqual(meso.userTemplateId, template.templateId, "User template: mesocycle linked to its template");
+  assertEqual(meso.weekCount, 3, "User template: week count from the template");
+  const day = planDay({ settings: {}, dateISO: "2026-03-23", bodyweightKg: 90, mesocycle: meso, userTemplates: [template], sessions: [], allSets: [] });
+  assertEqual(day.effects[1].mesocycle.userTemplateId, template.templateId, "User template: ended cycle repeats the user template");
+}
+
+function testProgramGenerator() {
+  assertEqual(spreadWeekdays([1, 2, 3, 4, 5, 6, 7], 3).join(","), "1,3,5", "Generator: 3 days spread over the week");
+  assertEqual(spreadWeekdays([2, 4, 6, 7], 3).join(","), "2,4,6", "Generator: widest spacing among available days");
+  assertEqual(assignDayTypes([1, 2, 4], ["heavy", "volume", "speed"]).join(","), "speed,volume,heavy", "Generator: back-to-back days start light, heavy after a rest day");
+
+  // Tue/Thu/Sat/Sun athlete, 4 sessions, cable + dumbbells only
+  const t = generateProgram({ weekdays: [2, 4, 6, 7], sessionsPerWeek: 4, emphasis: "maksimivoima", accessoryMinutes: 25, equipment: ["cable", "dumbbell"] });
+  const week1 = t.weekPlans[0].days;
+  assertEqual(week1.map(d => d.dayOfWeek).join(","), "2,4,6,7", "Generator: sessions on the available weekdays");
+  assertEqual(validateMesocycleTemplate(t).length, 0, "Generator: output is a valid user template");
+  const heavyDays = week1.filter(d => d.dayType === "heavy");
+  assertEqual(heavyDays.length, 2, "Generator: strength emphasis → two heavy days");
+  assert(!week1.some((d, i) => i > 0 && d.dayType === "heavy" && week1[i - 1].dayType === "heavy" && d.dayOfWeek - week1[i - 1].dayOfWeek < 2),
+    "Generator: heavy days not on consecutive days");
+  assertEqual(heavyDays[0].slots[0].sets, DAY_TYPE_SET_RECIPES.heavy.sets, "Generator: primary sets from the day-type recipe");
+  assert(week1.every(d => VARIANT_DAY_TYPE_MAP[d.dayType].includes(d.slots[0].variantName)), "Generator: variants from VARIANT_DAY_TYPE_MAP");
+  const accessories = week1.flatMap(d => d.slots.filter(s => s.role === "accessory"));
+  assert(week1.every(d => d.slots.filter(s => s.role === "accessory").length === 3), "Generator: 25 min → 3 accessories");
+  assert(accessories.every(s => [null, "cable", "dumbbell"].includes(PRESET_MOVEMENTS.find(m => m.name === s.defaultMovementName).equipment)),
+    "Generator: accessories only with available equipment");
+  assert(t.weekPlans[3].days[0].slots[0].sets < heavyDays[0].slots[0].sets, "Generator: deload week cuts sets");
+
+  assertEqual(generateProgram({ weekdays: [3], sessionsPerWeek: 3 }), null, "Generator: one free day → null");
+  assertEqual(generateProgram({ weekdays: [1, 4], sessionsPerWeek: 4, emphasis: "hypertrofia" }).weekPlans[0].days.length, 2, "Generator: sessions capped by free days");
+}
+
+function testMeetMode() {
+  const loads = computeAttemptLoads(100, 90, { openerPct: 0.92, secondPct: 0.97, thirdPct: 1.02, warmupPcts: [0.40, 0.60, 0.75, 0.85, 0.90] });
+
+  // Flight starts 10:00, six lifters before us at ~1 min each → opener ~10:06
+  const schedule = meetWarmupSchedule(loads, { startTime: "10:00", liftersBefore: 6 });
+  assertEqual(schedule.firstAttemptTime, "10:06", "Meet: opener time from flight start + lifters before");
+  assertEqual(schedule.warmups.map(w => w.time).join(","), "09:38,09:43,09:48,09:53,09:58", "Meet: warm-ups timed backward from the opener");
+  assertEqual(schedule.warmups.map(w => w.reps).join(","), "3,2,2,1,1", "Meet: warm-up reps taper toward the opener");
+  assertEqual(schedule.generalWarmupTime, "09:18", "Meet: general warm-up before the first loaded set");
+  assertEqual(meetWarmupSchedule(loads, { startTime: "" }), null, "Meet: no start time → no schedule");
+
+  const opener = [{ loadKg: 92, good: true }];
+  assertEqual(nextMeetAttempt(opener, { strategy: "conservative", e1rmExternal: 100 }).loadKg, 95, "Meet: conservative jump after a good opener");
+  assertEqual(nextMeetAttempt(opener, { strategy: "standard", e1rmExternal: 100 }).loadKg, 97, "Meet: standard jump after a good opener");
+  assertEqual(nextMeetAttempt(opener, { strategy: "aggressive", e1rmExternal: 100 }).loadKg, 99, "Meet: aggressive jump after a good opener");
+  assertEqual(nextMeetAttempt([...opener, { loadKg: 97, good: true }], { strategy: "standard", e1rmExternal: 100 }).loadKg, 102, "Meet: third attempt from the second");
+  assertEqual(nextMeetAttempt([{ loadKg: 92, good: false }], { strategy: "standard", e1rmExternal: 100 }).loadKg, 92, "Meet: miss → repeat the load");
+  assertEqual(nextMeetAttempt([{ loadKg: 92, good: false }], { strategy: "aggressive", e1rmExternal: 100 }).loadKg, 93, "Meet: aggressive miss → small jump");
+  assertEqual(nextMeetAttempt([{ loadKg: 92, good: true }, { loadKg: 97, good: true }, { loadKg: 102, good: false }], {}), null, "Meet: no fourth attempt");
+
+  // Profile v = 2.02 − 0.01 × load, MVT 0.20: 0.30 m/s at 182 kg system → today's e1RM +102 kg
+  const profile = { slope: -0.01, intercept: 2.02, mvt: 0.20 };
+  const fast = nextMeetAttempt([{ loadKg: 92, good: true, velocity: 0.30 }], { strategy: "standard", e1rmExternal: 100, bodyweightKg: 90, profile });
+  assertEqual(fast.basis, "velocity", "Meet: velocity used with a profile");
+  assertClose(fast.velocityE1RMExternal, 102, 0.01, "Meet: today's e1RM from the opener velocity");
+  assertEqual(fast.loadKg, 98.5, "Meet: fast opener → bigger jump than planned");
+  const slow = nextMeetAttempt([{ loadKg: 92, good: true, velocity: 0.22 }], { strategy: "standard", e1rmExternal: 100, bodyweightKg: 90, profile });
+  assertEqual(slow.loadKg, 94.5, "Meet: grinding opener → smaller jump");
+  assertEqual(nextMeetAttempt([{ loadKg: 92, good: true, velocity: 0.30 }], { strategy: "standard", e1rmExternal: 100 }).basis, "jump",
+    "Meet: velocity without a profile → plain jump");
+
+  const result = summarizeMeetResult({
+    strategy: "standard", startTime: "10:00", e1rmExternal: 100,
+    attempts: [
+      { attemptNo: 1, loadKg: 92, good: true, velocity: 0.3 },
+      { attemptNo: 2, loadKg: 97, good: true },
+      { attemptNo: 3, loadKg: 102, good: false },
+    ],
+  }, { dateISO: "2026-06-13", bodyweightKg: 90, sessionId: "s1" });
+  assertEqual(result.bestLiftKg, 97, "Meet result: best good lift");
+  assertEqual(result.goodLifts, 2, "Meet result: good lift count");
+  assertEqual(result.bestSystemKg, 187, "Meet result: system load includes bodyweight");
+  assertClose(result.relativeStrength, 2.078, 0.001, "Meet result: system load / bodyweight");
+  assert(!result.bombOut, "Meet result: not a bomb-out");
+  const bomb = summarizeMeetResult({ attempts: [{ attemptNo: 1, loadKg: 92, good: false }, { attemptNo: 2, loadKg: 92, good: null }] }, { bodyweightKg: 90 });
+  assert(bomb.bombOut && bomb.bestLiftKg === null && bomb.attempts.length === 1, "Meet result: all misses → bomb-out, untaken attempts dropped");
+}
+
+function testCompetitions() {
+  const comp = createCompetition({
+    dateISO: "2026-06-13", rulesetId: "streetlifting", weightClassKg: 94, weighInKg: 90,
+    attempts: [{ attemptNo: 1, loadKg: 92, good: true }, { attemptNo: 2, loadKg: 97, good: true }, { attemptNo: 3, loadKg: 102, good: false }],
+    placement: 2,
+  });
+  assertEqual(comp.bestLiftKg, 97, "Competition: best lift from good attempts");
+  assertEqual(createCompetition({ attempts: [{ attemptNo: 2, loadKg: 90, good: false }] }).attempts.map(a => a.loadKg ?? "-").join(","), "-,90,-",
+    "Competition: always three attempts");
+  assertEqual(weightClassLabel("streetlifting", 80), "-80 kg", "Competition: class label");
+  assertEqual(weightClassLabel("streetlifting", null), "+110 kg", "Competition: top class label");
+  assertEqual(weightClassLabel("open", null), "Avoin", "Competition: open class label");
+
+  const fromMeet = competitionFromMeetResult({
+    dateISO: "2026-06-13", bodyweightKg: 79.4, sessionId: "s1", mesocycleId: "m1",
+    attempts: [{ attemptNo: 1, loadKg: 90, good: true, velocity: 0.3 }, { attemptNo: 2, loadKg: 95, good: false }],
+  });
+  assertEqual(fromMeet.weightClassKg, 80, "Competition from meet: class from weigh-in");
+  assertEqual(fromMeet.mesocycleId, "m1", "Competition from meet: linked to the peaking mesocycle");
+  assertEqual(fromMeet.bestLiftKg, 90, "Competition from meet: best lift");
+  assertEqual(competitionFromMeetResult({ bodyweightKg: 118, attempts: [] }).weightClassKg, null, "Competition from meet: above the top limit → +class");
+
+  const score = scoreCompetition(comp, "system_per_bw");
+  assertEqual(score.absoluteKg, 97, "Score: absolute external load");
+  assertEqual(score.systemKg, 187, "Score: system load");
+  assertClose(score.relative, 2.078, 0.001, "Score: system / bodyweight");
+  assertClose(scoreCompetition(comp, "external_per_bw").relative, 1.078, 0.001, "Score: external / bodyweight");
+  assertClose(scoreCompetition(comp, "allometric").relative, 187 / Math.pow(90, 2 / 3), 0.001, "Score: allometric");
+  assertEqual(scoreCompetition({ bestLiftKg: null, weighInKg: 90 }).relative, null, "Score: bomb-out has no relative score");
+  assert(Object.keys(RELATIVE_SCORE_FORMULAS).includes("system_per_bw"), "Score: default formula registered");
+
+  const history = [
+    createCompetition({ competitionId: "c1", dateISO: "2026-03-01", rulesetId: "streetlifting", weightClassKg: 80, winnerLiftKg: 105 }),
+    createCompetition({ competitionId: "c2", dateISO: "2026-06-01", rulesetId: "streetlifting", weightClassKg: 80, placement: 1,
+      attempts: [{ attemptNo: 1, loadKg: 108, good: true }] }),
+    createCompetition({ competitionId: "c3", dateISO: "2026-07-01", rulesetId: "streetlifting", weightClassKg: 87, winnerLiftKg: 120 }),
+  ];
+  // System e1RM 190 kg: cutting from 90 kg to the -80 class → +110 kg
+  const proj = projectWinningLoad({ e1rmSystem: 190, bodyweightKg: 90, rulesetId: "streetlifting", weightClassKg: 80, competitions: history });
+  assertEqual(proj.projectedExternalKg, 110, "Projection: system e1RM minus class limit");
+  assertEqual(proj.winningLiftKg, 108, "Projection: latest class winner (own first place)");
+  assertEqual(proj.winningSource.competitionId, "c2", "Projection: winning result source");
+  assertEqual(proj.requiredSystemE1RM, 188, "Projection: system e1RM needed to win");
+  assertEqual(proj.marginKg, 2, "Projection: margin over the winning lift");
+  assert(proj.wins, "Projection: projected to win");
+  const plus = projectWinningLoad({ e1rmSystem: 190, bodyweightKg: 90, rulesetId: "streetlifting", weightClassKg: null, competitions: history });
+  assertEqual(plus.projectedExternalKg, 100, "Projection: +class competes at current bodyweight");
+  assertEqual(plus.winningLiftKg, null, "Projection: no known winner → no margin");
+  assertEqual(plus.wins, null, "Projection: win unknown without a winner");
+  assertEqual(projectWinningLoad({ e1rmSystem: null, bodyweightKg: 90 }), null, "Projection: no e1RM → null");
+
+  // v8 migration lifts meet-mode results into the competitions store
+  const v7 = {
+    sessions: [
+      { sessionId: "s1", dateISO: "2026-06-13", meetResult: { dateISO: "2026-06-13", bodyweightKg: 86, mesocycleId: "m1", attempts: [{ attemptNo: 1, loadKg: 90, good: true }] } },
+      { sessionId: "s2", dateISO: "2026-06-10" },
+    ],
+    _meta: { schemaVersion: 7 },
+  };
+  const migrated = migrateDataset(v7, 7);
+  assertEqual(migrated.data.competitions.length, 1, "Migration v8: meet result → competition");
+  assertEqual(migrated.data.competitions[0].sessionId, "s1", "Migration v8: competition linked to its session");
+  assertEqual(migrated.data.competitions[0].weightClassKg, 87, "Migration v8: class from weigh-in");
+  assertEqual(migrateDataset(migrated.data, 7).data.competitions.length, 1, "Migration v8: idempotent");
+}
+
+async function testBacktest() {
+  const meso = createDefaultMesocycle("2026-02-02");
+  const dates = ["2026-02-02", "2026-02-04", "2026-02-06", "2026-02-09"];
+  const sessions = dates.map((d, i) => ({ sessionId: `bt${i}`, dateISO: d, bodyweightKg: 90, mesocycleId: meso.mesocycleId }));
+  const allSets = sessions.flatMap((sess, i) => [0, 1].map(k => ({
+    setId: `bt${i}-${k}`, sessionId: sess.sessionId, movementId: "pri", setRole: "top",
+    externalLoadKg: 30 + i, reps: 3, targetReps: 3, actualVx: k === 1 && i === 3 ? 0 : 2, targetVx: 2,
+    attemptedReps: k === 1 && i === 3 ? 4 : null, timestamp: `${sess.dateISO}T10:0${k}:00Z`,
+  })));
+  const result = await backtestRecommendations({
+    settings: {}, sessions, allSets, mesocycles: [meso], calendar: { trainingDays: null, overrides: {} },
+    bodyweightMeasurements: [], hrvMeasurements: [], primaryMovementId: "pri", bodyweightKg: 90,
+  });
+  assertEqual(result.days.length, 4, "Backtest: one day per primary training date");
+  assertEqual(result.days[0].prescribed.loadKg, null, "Backtest: first day has no history → no load");
+  const d2 = result.days[2];
+  assertClose(d2.loadErrorKg, d2.actual.loadKg - d2.prescribed.loadKg, 0.001, "Backtest: load error = performed − prescribed");
+  assertEqual(result.days[3].failedSets, 1, "Backtest: failed set counted");
+  assertEqual(result.summary.overall.days, 4, "Backtest: summary covers all days");
+  assert(result.params.limitations.length > 0, "Backtest: limitations reported with the result");
+
+  // Program and calendar rolled back to the replayed day
+  const adapted = createDefaultMesocycle("2026-02-02");
+  const weekCount = adapted.weekCount;
+  applyWorkloadDeload(adapted, { weekNum: 1, action: "extra_deload", reasons: ["ACWR 1.6"] }, "2026-02-05T09:00:00Z");
+  assertEqual(mesocycleAsOf(adapted, "2026-02-04").mesocycle.weekCount, weekCount, "Backtest: later program change reverted");
+  assertEqual(mesocycleAsOf(adapted, "2026-02-05").mesocycle.weekCount, weekCount + 1, "Backtest: earlier program change kept");
+  assertEqual(adapted.weekCount, weekCount + 1, "Backtest: stored mesocycle untouched");
+  const cal = calendarAsOf({ trainingDays: null, overrides: {
+    "2026-02-06": { action: "skip", createdAtISO: "2026-02-05T20:00:00Z" },
+    "2026-02-09": { action: "skip" },
+  } }, "2026-02-04");
+  assertEqual(Object.keys(cal.calendar.overrides).join(","), "2026-02-09", "Backtest: later override dropped, undated kept");
+  assertEqual(cal.undatedOverrides, 1, "Backtest: undated overrides counted");
+
+  const summary = summarizeBacktest([
+    { dayType: "heavy", capLevel: 2, loadErrorKg: 2, varaSets: 2, varaMisses: 1, failedSets: 1, ruleIds: ["CAP_RED"] },
+    { dayType: "heavy", capLevel: 0, loadErrorKg: -4, varaSets: 2, varaMisses: 0, failedSets: 0, ruleIds: [] },
+    { dayType: "volume", capLevel: 2, loadErrorKg: null, varaSets: 0, varaMisses: 0, failedSets: 0, ruleIds: ["CAP_RED"] },
+  ]);
+  assertClose(summary.byDayType.heavy.maeLoadKg, 3, 0.001, "Backtest summary: MAE per day type");
+  assertClose(summary.byDayType.heavy.biasLoadKg, -1, 0.001, "Backtest summary: bias per day type");
+  assertClose(summary.overall.varaMissRate, 0.25, 0.001, "Backtest summary: Vara miss rate per set");
+  assertEqual(summary.byRule.CAP_RED.days, 2, "Backtest summary: per-rule days");
+  assertClose(summary.redCap.failureRate, 0.5, 0.001, "Backtest summary: RED → failure rate");
+  assertEqual(isFailedSet({ reps: 3, targetReps: 3, attemptedReps: null }), false, "Failed set: full reps");
+}
+
+function testSessionAdherence() {
+  const rec = {
+    targetLoadKg: 70,
+    dayPlan: { slots: [
+      { role: "primary", category: "vertikaaliveto", defaultMovementName: "Lisäpainoleuanveto", sets: 3, reps: 3, targetVx: 2 },
+      { role: "accessory", category: "hauisfleksio", defaultMovementName: "Hauiskääntö tanko", sets: 3, reps: 10, targetVx: null },
+    ] },
+  };
+  const sets = [
+    { slotIdx: 0, setRole: "top", targetLoadKg: 70, externalLoadKg: 67, reps: 3, actualVx: 1 },
+    { slotIdx: 0, setRole: "top", targetLoadKg: 70, externalLoadKg: 67, reps: 3, actualVx: 1 },
+    { slotIdx: null, setRole: "accessory", movementId: "m1", externalLoadKg: 20, reps: 12 },
+  ];
+  const report = sessionAdherence(rec, sets);
+  assertEqual(report.slots[1].status, "skipped", "Adherence: slot without sets → skipped");
+  assertEqual(report.added.length, 1, "Adherence: set without slotIdx → added exercise");
+  assertClose(report.summary.setCompliance, 2 / 6, 0.001, "Adherence: 2 of 6 prescribed sets");
+  assertClose(report.summary.loadDeltaPct, -3 / 70, 0.001, "Adherence: load -3 kg vs prescribed");
+  assertClose(report.summary.varaDelta, -1, 0.001, "Adherence: Vara 1 vs target 2");
+
+  const week = aggregateAdherence([report.summary, report.summary]);
+  assertEqual(week.sessionCount, 2, "Adherence: weekly roll-up counts sessions");
+  assertEqual(week.skipped, 2, "Adherence: weekly roll-up sums skipped slots");
+}
+
+// ── Schema migration fixtures (backup snapshots as older app versions wrote them) ──
+const FIXTURE_V1 = {
+  _meta: { exportedAtISO: "2025-11-05T18:00:00Z", appVersion: "1.0.0", schemaVersion: 1 },
+  appMeta: [{ key: "meta", appVersion: "1.0.0", schemaVersion: 1 }],
+  movements: [
+    { movementId: "m-lpl", name: "Lisäpainoleuanveto", category: "vertikaaliveto", isPrimary: true },
+    { movementId: "m-pv", name: "Penkkiveto", category: "horisontaaliveto", isPrimary: false },
+  ],
+  sessions: [{ sessionId: "s1", dateISO: "2025-11-03", plannedDayType: "heavy", bodyweightKg: 90 }],
+  sets: [
+    { setId: "x1", sessionId: "s1", movementId: "m-lpl", externalLoadKg: 60, reps: 3, actualVx: 2 },
+    { setId: "x2", sessionId: "s1", movementId: "m-pv", externalLoadKg: 80, reps: 6, actualVx: 2 },
+  ],
+  mesocycles: [{
+    mesocycleId: "meso1", startDateISO: "2025-11-03", weekCount: 1,
+    weekDefs: [{ week: 1, deltaPctBase: 0, label: "Adaptaatio", heavyReps: 3, heavyTargetVx: 2 }],
+    weekPlans: [{ week: 1, days: [
+      { dayOfWeek: 1, dayType: "heavy", slots: [{ role: "primary", category: "vertikaaliveto", defaultMovementName: "Lisäpainoleuanveto", sets: 5, reps: 3, targetVx: 2 }] },
+      { dayOfWeek: 3, dayType: "volume", slots: [{ role: "primary", category: "vertikaaliveto", defaultMovementName: "Lisäpainoleuanveto", sets: 5, reps: 5, targetVx: 3 }] },
+    ] }],
+  }],
+};
+
+const FIXTURE_V2 = {
+  _meta: { exportedAtISO: "2025-11-12T18:00:00Z", appVersion: "2.0.0", schemaVersion: 2 },
+  movements: [{ movementId: "m-lpl", name: "Lisäpainoleuanveto", category: "vertikaaliveto", isPrimary: true, countsAsPullVolume: true, isPreset: true, tags: [] }],
+  variants: [{ variantId: "v1", movementId: "m-lpl", name: PRIMARY_VARIANTS[0].name, isDefault: true, tags: PRIMARY_VARIANTS[0].tags || [], notes: "" }],
+  sessions: [{ sessionId: "s2", dateISO: "2025-11-10", plannedDayType: "heavy", bodyweightKg: 91 }],
+  sets: [
+    { setId: "r1", sessionId: "s2", movementId: "m-lpl", setRole: "readiness_test", externalLoadKg: 40, reps: 2, velocityRep1: 0.52 },
+    { setId: "t1", sessionId: "s2", movementId: "m-lpl", setRole: "top", externalLoadKg: 65, reps: 3, actualVx: 1 },
+  ],
+  mesocycles: [{ mesocycleId: "meso2", type: "peaking", startDateISO: "2025-11-10", weekCount: 1, weekDefs: [], weekPlans: [] }],
+  recommendations: [{ recId: "rec1", targetLoadKg: 65, createdAtISO: "2025-11-09T22:30:00Z" }],
+};
+
+function testMigrations() {
+  // v1 → current
+  const v1 = migrateDataset(structuredClone(FIXTURE_V1), 1);
+  assertEqual(v1.applied.map(a => a.version).join(","),
+    Array.from({ length: SCHEMA_VERSION - 1 }, (_, i) => i + 2).join(","), "Migration v1: every step applied in order");
+  assertEqual(v1.data._meta.schemaVersion, SCHEMA_VERSION, "Migration v1: _meta.schemaVersion bumped");
+  const lpl = v1.data.movements.find(m => m.movementId === "m-lpl");
+  assert(lpl.countsAsPullVolume === true && Array.isArray(lpl.tags), "Migration v1: movement metadata backfilled");
+  assertEqual(v1.data.variants.length, PRIMARY_VARIANTS.length, "Migration v1: primary variants created");
+  assert(v1.data.variants.every(v => Array.isArray(v.tags)), "Migration v1: variants tagged");
+  assertEqual(v1.data.sets.map(s => s.setRole).join(","), "top,accessory", "Migration v1: setRole from movement");
+  const meso = v1.data.mesocycles[0];
+  assertEqual(meso.type, "default", "Migration v1: mesocycle type defaulted");
+  assertEqual(meso.weekPlans[0].days[0].slots[0].variantName, VARIANT_DAY_TYPE_MAP.heavy[0], "Migration v1: heavy day variant assigned");
+  assertEqual(meso.weekPlans[0].days[1].slots[0].variantName, VARIANT_DAY_TYPE_MAP.volume[0], "Migration v1: volume day variant assigned");
+  assertEqual(v1.data.sessions[0].recId, null, "Migration v1: session recId added");
+  assert(Array.isArray(v1.data.workoutDrafts) && Array.isArray(v1.data.adaptations), "Migration v1: stores added since v1 exist");
+
+  // v2 → current
+  const v2 = migrateDataset(structuredClone(FIXTURE_V2), 2);
+  assertEqual(v2.applied[0]?.version, 3, "Migration v2: starts from v3 step");
+  assertEqual(v2.data.variants.length, 1, "Migration v2: v2 step not re-run");
+  assertEqual(v2.data.mesocycles[0].weekPlans.length, 0, "Migration v2: peaking mesocycle untouched");
+  const test = v2.data.sets.find(s => s.setId === "r1");
+  assertEqual(test.dateISO, "2025-11-10", "Migration v2: readiness test dated from session");
+  assertEqual(test.bodyweightKg, 91, "Migration v2: readiness test bodyweight from session");
+  assertEqual(v2.data.recommendations[0].dateISO, "2025-11-10", "Migration v2: rec date in Europe/Helsinki");
+
+  // Current data is left alone
+  const again = migrateDataset(structuredClone(v2.data), SCHEMA_VERSION);
+  assertEqual(again.applied.length, 0, "Migration: current schema → no steps");
+}
+
 async function testBackupRoundtrip() {
   // This test requires IndexedDB — skip if not available
   try {
@@ -410,7 +1203,7 @@ async function testBackupRoundtrip() {
     assert(backup._meta !== undefined, "Backup: _meta exists");
     assert(backup._meta.appVersion === "3.2.0", "Backup: appVersion = 3.2.0");
     // Roundtrip import
-    await importFullBackup(backup);
+    await importFullBackup(backup, { snapshot: false });
     const backup2 = await exportFullBackup();
     assertEqual(
       JSON.stringify(backup.appMeta),
@@ -423,6 +1216,185 @@ async function testBackupRoundtrip() {
   }
 }
 
+function testCSVExport() {
+  const rows = buildSetExportRows(
+    [
+      { setId: "x2", sessionId: "s2", movementId: "acc", setRole: "accessory", externalLoadKg: 22.5, reps: 10 },
+      { setId: "x1", sessionId: "s1", movementId: "pri", variantId: "v1", setRole: "top", externalLoadKg: 32.5, reps: 3, actualVx: 1, velocityMean: 0.42 },
+    ],
+    {
+      sessions: [{ sessionId: "s1", dateISO: "2025-03-03", bodyweightKg: 90.5 }, { sessionId: "s2", dateISO: "2025-03-05" }],
+      movements: [{ movementId: "pri", name: "Lisäpainoleuanveto", category: "vertikaaliveto", isPrimary: true }, { movementId: "acc", name: "Penkkiveto", category: "horisontaaliveto" }],
+      variants: [{ variantId: "v1", name: "Kilpaveto (leveä vastaote)" }],
+    }
+  );
+  assertEqual(rows[0].setId, "x1", "CSV rows: sorted by session date");
+  assertEqual(rows[0].systemLoadKg, 123, "CSV rows: system load = session BW + external");
+  assertClose(rows[0].e1rm, 123 * (1 + 4 / 30), 0.05, "CSV rows: primary e1RM uses system load + Vara");
+  assertEqual(rows[1].systemLoadKg, null, "CSV rows: accessory has no system load");
+  assertClose(rows[1].e1rm, 22.5 * (1 + 10 / 30), 0.05, "CSV rows: accessory e1RM");
+
+  for (const [delimiter, decimalComma] of [[";", true], [",", false]]) {
+    const text = toCSV(rows, CSV_SET_COLUMNS, { delimiter, decimalComma });
+    const { headers, rows: parsed } = parseCSV(text);
+    assertEqual(headers.length, CSV_SET_COLUMNS.length, `CSV '${delimiter}': header count`);
+    assertEqual(parsed[0][CSV_SET_COLUMNS.findIndex(c => c.key === "variant")], "Kilpaveto (leveä vastaote)", `CSV '${delimiter}': text roundtrip`);
+    assertEqual(parsed[0][CSV_SET_COLUMNS.findIndex(c => c.key === "externalLoadKg")], decimalComma ? "32,5" : "32.5", `CSV '${delimiter}': decimal format roundtrip`);
+    assertEqual(parsed[1].length, CSV_SET_COLUMNS.length, `CSV '${delimiter}': empty cells kept`);
+  }
+
+  const tricky = parseCSV(toCSV([{ type: 'say "hi"; ok', value: 1.5 }], CSV_MEASUREMENT_COLUMNS));
+  assertEqual(tricky.rows[0][1], 'say "hi"; ok', "CSV: quotes and delimiters escaped");
+  assertEqual(selectCSVColumns(CSV_SET_COLUMNS, ["e1rm", "dateISO"]).map(c => c.key).join(), "dateISO,e1rm", "CSV: column selection keeps order");
+}
+
+function testBackupValidation() {
+  const ok = validateBackup({ ...structuredClone(FIXTURE_V2), _meta: { schemaVersion: 2 } });
+  assert(ok.valid, "Backup validation: v2 fixture valid");
+  assertEqual(ok.counts.sets, FIXTURE_V2.sets.length, "Backup validation: set count");
+
+  assert(!validateBackup(null).valid, "Backup validation: null rejected");
+  assert(!validateBackup({ _meta: { schemaVersion: SCHEMA_VERSION + 1 } }).valid, "Backup validation: newer schema rejected");
+  assert(!validateBackup({ sessions: {}, _meta: { schemaVersion: 2 } }).valid, "Backup validation: store must be array");
+
+  const dup = validateBackup({ sessions: [{ sessionId: "a", dateISO: "2025-01-01" }, { sessionId: "a", dateISO: "2025-01-02" }] });
+  assert(!dup.valid && dup.errors[0].includes("duplikaatti"), "Backup validation: duplicate key rejected");
+  const missing = validateBackup({ sets: [{ setId: "s1", movementId: "m1" }] });
+  assert(!missing.valid && missing.errors[0].includes("sessionId"), "Backup validation: required field missing");
+  assert(missing.warnings.some(w => w.includes("_meta")), "Backup validation: missing _meta warns");
+}
+
+async function testStorageAdapters() {
+  const mem = createMemoryAdapter({ sessions: [{ sessionId: "b", dateISO: "2025-01-02" }, { sessionId: "a", dateISO: "2025-01-01" }] });
+  assertEqual((await mem.getAll("sessions")).map(s => s.sessionId).join(","), "a,b", "Memory adapter: getAll in key order");
+  const rec = await mem.get("sessions", "a");
+  rec.dateISO = "changed";
+  assertEqual((await mem.get("sessions", "a")).dateISO, "2025-01-01", "Memory adapter: records are copies");
+  assertEqual(await mem.put("sets", { setId: { bad: true } }), false, "Memory adapter: invalid key → put fails");
+  assertEqual((await mem.getByIndex("sessions", "dateISO", "2025-01-02")).length, 1, "Memory adapter: index lookup");
+
+  let threw = false;
+  try {
+    await mem.writeDataset({ sessions: [{ sessionId: "c" }], sets: [{ setId: null }] }, "replace", ["sessions", "sets"]);
+  } catch (e) {
+    threw = true;
+  }
+  assert(threw && (await mem.getAll("sessions")).length === 2, "Memory adapter: failed dataset write changes nothing");
+
+  // JSON file adapter only exists under Node
+  if (typeof process === "undefined" || !process.versions?.node) return;
+  const { tmpdir } = await import("node:os");
+  const filePath = `${tmpdir()}/leve-coach-test-${uid()}.json`;
+  const file = await createFileAdapter(filePath);
+  await file.put("measurements", { measurementId: "m1", type: "bodyweight", value: 90 });
+  const reopened = await createFileAdapter(filePath);
+  assertEqual((await reopened.get("measurements", "m1"))?.value, 90, "File adapter: data survives reopen");
+  const { unlink, mkdir, rmdir } = await import("node:fs/promises");
+
+  // A directory in place of the tmp file makes one write fail; the next one must still land
+  await mkdir(`${filePath}.tmp`);
+  let failed = false;
+  try {
+    await file.put("measurements", { measurementId: "m2", type: "bodyweight", value: 91 });
+  } catch (e) {
+    failed = true;
+  }
+  assert(failed, "File adapter: failing write rejects its caller");
+  await rmdir(`${filePath}.tmp`);
+  await file.put("measurements", { measurementId: "m3", type: "bodyweight", value: 92 });
+  const afterFailure = await createFileAdapter(filePath);
+  assertEqual((await afterFailure.get("measurements", "m3"))?.value, 92, "File adapter: write after a failed write lands");
+  await unlink(filePath);
+}
+
+// Runs fn against a throwaway memory adapter, then hands the data layer back to
+// the live storage — the suite also runs inside the app (Diagnostics → "Aja testit")
+async function withMemoryDB(fn) {
+  const live = getStorageAdapter();
+  const mem = createMemoryAdapter();
+  await initDB({ adapter: mem });
+  try {
+    return await fn(mem);
+  } finally {
+    if (live) await initDB({ adapter: live });
+  }
+}
+
+async function testAutoBackup() {
+  const live = getStorageAdapter();
+  await withMemoryDB(async (mem) => {
+    const backdate = async (days) => {
+      // Move every auto backup `days` back so the once-a-day rule does not apply
+      for (const b of await mem.getAll("backups")) {
+        await mem.put("backups", { ...b, createdAtISO: new Date(Date.parse(b.createdAtISO) - days * 86400000).toISOString() });
+      }
+    };
+
+    const first = await runAutoBackup(2);
+    assert(first !== null && first.kind === "auto", "Auto backup: first run creates a snapshot");
+    assertEqual(await runAutoBackup(2), null, "Auto backup: at most one per day");
+    await backdate(1);
+    assertEqual(await runAutoBackup(2), null, "Auto backup: skipped when nothing changed");
+
+    for (let i = 1; i <= 3; i++) {
+      await backdate(1);
+      await mem.put("sessions", { sessionId: `auto-${i}`, dateISO: "2026-01-0" + i });
+      assert((await runAutoBackup(2)) !== null, `Auto backup: data change ${i} → new snapshot`);
+    }
+    const autos = (await getBackupSnapshots()).filter(b => b.kind === "auto");
+    assertEqual(autos.length, 2, "Auto backup: rotation keeps the newest generations");
+    assertEqual(autos[0].counts.sessions, 3, "Auto backup: newest generation kept");
+    assertEqual(await runAutoBackup(0), null, "Auto backup: 0 generations = off");
+  });
+  if (live) assert(getStorageAdapter() === live, "Auto backup: live storage restored after the test");
+}
+
+async function testAutoregulationTraces() {
+  await withMemoryDB(async () => {
+    const vlStop = (vl) => ({ ruleId: "VL_STOP", before: { remainingSets: 2 }, after: { vl, limit: 20, remainingSets: 0 }, why: `VL ${vl} % > 20 %` });
+
+    // Workout started without a recommendation: the VL stop has no chain to continue
+    await saveSession({ sessionId: "free", dateISO: "2026-03-02", recId: null });
+    assertEqual(await persistAutoregulationTraces([vlStop(24)], null, "free"), 0, "Autoregulation traces: no recId → none saved");
+    const backup = await exportFullBackup();
+    assertEqual(backup.decisionTraces.length, 0, "Autoregulation traces: rec-less workout adds no traces");
+    assert(validateBackup(backup).valid, "Autoregulation traces: export after a rec-less VL stop validates", validateBackup(backup).errors.join("; "));
+
+    // With a recommendation they continue its trace chain
+    await persistRecommendation({ recId: "rec1", dateISO: "2026-03-04", traces: [{ traceId: "t0", recId: "rec1", seq: 0, ruleId: "BASE" }] }, "s1");
+    assertEqual(await persistAutoregulationTraces([vlStop(22)], "rec1", "s1"), 1, "Autoregulation traces: saved with recId");
+    const traces = await getTracesForRec("rec1");
+    assertEqual(traces.find(t => t.ruleId === "VL_STOP")?.seq, 1, "Autoregulation traces: seq continues the chain");
+    assert(validateBackup(await exportFullBackup()).valid, "Autoregulation traces: export with a VL stop validates");
+  });
+}
+
+async function testRestoreAtomic() {
+  try {
+    await initDB();
+    const before = await exportFullBackup();
+    // Passes validation but the key is not a valid IndexedDB key → put throws mid-transaction
+    const bad = {
+      _meta: { schemaVersion: SCHEMA_VERSION },
+      sessions: [{ sessionId: "__atomic_test__", dateISO: "2025-01-01" }],
+      sets: [{ setId: { bad: true }, sessionId: "__atomic_test__", movementId: "m" }],
+    };
+    let threw = false;
+    try {
+      await importFullBackup(bad, { mode: "replace", snapshot: false });
+    } catch (e) {
+      threw = true;
+    }
+    assert(threw, "Restore: failing write throws");
+    const after = await exportFullBackup();
+    assertEqual(after.sessions.length, before.sessions.length, "Restore: failed replace leaves sessions untouched");
+    assert(!after.sessions.some(s => s.sessionId === "__atomic_test__"), "Restore: no partial writes");
+  } catch (e) {
+    _results.push({ name: "Restore atomic", pass: false, details: "IndexedDB not available: " + e.message });
+    _failed++;
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════
 // RUN ALL TESTS
 // ═══════════════════════════════════════════════════════════════
@@ -437,6 +1409,7 @@ export async function runTests() {
   testMath();
   testZClassification();
   testReadiness23Rule();
+  testReadinessVelocitySeries();
   testE1RM();
   testTargetLoad();
   testCapOnly();
@@ -456,11 +1429,39 @@ export async function runTests() {
   testParseNumeric();
   testTypoDetection();
   testMesocycleWeek();
+  testTrainingCalendar();
+  testMigrations();
   testCalibration();
+  testAdaptationProposals();
+  testRecommendationDiff();
+  testLoadVelocityProfile();
+  testVelocityAutoregulation();
+  testBodyweightLookup();
+  testE1RMModels();
+  testPlanDay();
+  testBanisterModel();
+  testWorkloadMonitoring();
+  testPostCycleAnalysis();
+  testMacrocycle();
+  testUserTemplates();
+  testProgramGenerator();
+  testMeetMode();
+  testCompetitions();
+  await testBacktest();
+  testSessionAdherence();
+  testCSVExport();
+  testBackupValidation();
   await testBackupRoundtrip();
+  await testRestoreAtomic();
+  await testStorageAdapters();
+  await testAutoregulationTraces();
+  await testAutoBackup();
 
   console.log(`\n=== Results: ${_passed} passed, ${_failed} failed ===`);
 
+  // Headless (node run-tests.mjs): no DOM to render into
+  if (typeof document === "undefined") return { passed: _passed, failed: _failed, results: _results };
+
   // Render results to DOM
   const container = document.getElementById("app") || document.body;
   const html = `